@@ -0,0 +1,288 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { validateSchema } from './schema.js';
+
+/**
+ * Action items and decisions
+ * generateActionItems() asks the model for structured JSON and checks it against ACTION_ITEMS_SCHEMA,
+ * asking again with the problems found when it does not match. writeActionItemFiles() stores the result
+ * as JSON, CSV, an iCalendar file of VTODOs and a Markdown checklist.
+ */
+
+const DEFAULT_OPTIONS = {
+    model: 'gemini-1.5-flash-8b',
+    maxAttempts: 3
+};
+
+const clock = {
+    type: ['string', 'null'],
+    check: (value) => (value === null || /^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(value) ? null : 'must be "MM:SS", "HH:MM:SS" or null')
+};
+const date = {
+    type: ['string', 'null'],
+    check: (value) => (value === null || isCalendarDate(value) ? null : 'must be a date as YYYY-MM-DD or null')
+};
+
+export const ACTION_ITEMS_SCHEMA = {
+    type: 'object',
+    required: ['actionItems', 'decisions'],
+    properties: {
+        actionItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['task', 'owner', 'dueDate', 'timestamp'],
+                properties: {
+                    task: { type: 'string', minLength: 1 },
+                    owner: { type: ['string', 'null'] },
+                    dueDate: date,
+                    timestamp: clock
+                }
+            }
+        },
+        decisions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['decision', 'timestamp'],
+                properties: {
+                    decision: { type: 'string', minLength: 1 },
+                    timestamp: clock
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Extract action items and decisions from a summary as structured JSON
+ * @param {object} options - ai.actionItems config: { model, maxAttempts }
+ * @param {object} meeting - { id, name, sessionId, date (Date of the meeting), timezone }; relative due dates are resolved against date
+ * @returns {Promise<object>} { version, meeting, sessionId, meetingDate, model, actionItems: [{ task, owner, dueDate, timestamp, start }], decisions: [{ decision, timestamp, start }] }
+ */
+export async function generateActionItems(summary, options = {}, meeting) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY not found in environment variables');
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: settings.model });
+    const chat = model.startChat({ generationConfig: { responseMimeType: 'application/json' } });
+    const meetingDate = formatCalendarDate(meeting.date, meeting.timezone);
+    const weekday = meeting.date.toLocaleDateString('en-US', { weekday: 'long', timeZone: meeting.timezone || undefined });
+
+    console.log(chalk.blue('Extracting action items and decisions...'));
+
+    let message = `Extract the action items and decisions from these notes of the meeting "${meeting.name}", held on ${weekday} ${meetingDate}.
+Return only JSON of exactly this shape:
+{"actionItems": [{"task": string, "owner": string or null, "dueDate": "YYYY-MM-DD" or null, "timestamp": "MM:SS" or null}],
+ "decisions": [{"decision": string, "timestamp": "MM:SS" or null}]}
+- task: what has to be done, as one short sentence
+- owner: the person responsible, only if the notes name one
+- dueDate: the deadline if one is mentioned; resolve relative dates ("by Friday", "next week") against the meeting date
+- timestamp: the [MM:SS] or [HH:MM:SS] the item comes from, if the notes give one
+Use empty arrays when there is nothing.
+
+Meeting notes:
+${summary}`;
+
+    for (let attempt = 1; ; attempt++) {
+        const result = await chat.sendMessage(message);
+        const { data, errors } = parseResponse(result.response.text());
+
+        if (errors.length === 0) {
+            console.log(chalk.green(`✓ ${data.actionItems.length} action item(s) and ${data.decisions.length} decision(s) extracted`));
+            return {
+                version: 1,
+                meeting: { id: meeting.id, name: meeting.name },
+                sessionId: meeting.sessionId || null,
+                meetingDate,
+                model: settings.model,
+                actionItems: data.actionItems.map((item) => ({ ...item, start: clockToSeconds(item.timestamp) })),
+                decisions: data.decisions.map((item) => ({ ...item, start: clockToSeconds(item.timestamp) }))
+            };
+        }
+
+        if (attempt >= settings.maxAttempts) {
+            throw new Error(`Action items did not match the schema after ${attempt} attempt(s): ${errors.slice(0, 3).join('; ')}`);
+        }
+
+        console.warn(chalk.yellow(`⚠ Action items did not match the schema (${errors[0]}), asking again...`));
+        message = `That JSON does not match the required shape:
+- ${errors.slice(0, 10).join('\n- ')}
+Return the corrected JSON only.`;
+    }
+}
+
+/**
+ * Write the extracted items next to each other: <basePath>.json, .csv, .ics and .md
+ * @returns {Promise<{json: string, csv: string, ics: string, markdown: string}>}
+ */
+export async function writeActionItemFiles(document, basePath) {
+    const paths = {
+        json: `${basePath}.json`,
+        csv: `${basePath}.csv`,
+        ics: `${basePath}.ics`,
+        markdown: `${basePath}.md`
+    };
+
+    await fs.writeFile(paths.json, JSON.stringify(document, null, 2), 'utf-8');
+    await fs.writeFile(paths.csv, formatCsv(document), 'utf-8');
+    await fs.writeFile(paths.ics, formatIcs(document), 'utf-8');
+    await fs.writeFile(paths.markdown, formatChecklist(document), 'utf-8');
+    return paths;
+}
+
+/**
+ * Action items as CSV (RFC 4180), one row per item
+ */
+export function formatCsv(document) {
+    const quote = (value) => (value === null || value === undefined ? '' : /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = [
+        ['Task', 'Owner', 'Due date', 'Timestamp', 'Meeting', 'Meeting date', 'Session'],
+        ...document.actionItems.map((item) => [
+            item.task, item.owner, item.dueDate, item.timestamp, document.meeting.name, document.meetingDate, document.sessionId
+        ])
+    ];
+    return `${rows.map((row) => row.map(quote).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Action items as an iCalendar file with one VTODO each, importable into calendar and task apps
+ */
+export function formatIcs(document) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//zoom-recorder//action items//EN', 'CALSCALE:GREGORIAN'];
+
+    document.actionItems.forEach((item, index) => {
+        const description = [
+            item.owner && `Owner: ${item.owner}`,
+            `From ${document.meeting.name} on ${document.meetingDate}${item.timestamp ? ` at [${item.timestamp}]` : ''}`
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${document.sessionId || document.meeting.id}-${index + 1}@zoom-recorder`,
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${escapeIcsText(item.task)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`,
+            ...(item.dueDate ? [`DUE;VALUE=DATE:${item.dueDate.replace(/-/g, '')}`] : []),
+            'STATUS:NEEDS-ACTION',
+            'END:VTODO'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Action items as a Markdown checklist, followed by the decisions
+ */
+export function formatChecklist(document) {
+    const at = (item) => (item.timestamp ? ` [${item.timestamp}]` : '');
+    const lines = [`# Action items: ${document.meeting.name}, ${document.meetingDate}`, ''];
+
+    lines.push(...(document.actionItems.length > 0
+        ? document.actionItems.map((item) => {
+            const details = [item.owner && `**${item.owner}**`, item.dueDate && `due ${item.dueDate}`].filter(Boolean).join(', ');
+            return `- [ ] ${item.task}${details ? ` (${details})` : ''}${at(item)}`;
+        })
+        : ['No action items.']));
+
+    if (document.decisions.length > 0) {
+        lines.push('', '## Decisions', '', ...document.decisions.map((item) => `- ${item.decision}${at(item)}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * One line per action item ("Task (Owner, due 2026-10-23)") from a generateActionItems() document
+ */
+export function describeActionItems(document) {
+    return document.actionItems.map((item) => {
+        const details = [item.owner, item.dueDate && `due ${item.dueDate}`].filter(Boolean).join(', ');
+        return details ? `${item.task} (${details})` : item.task;
+    });
+}
+
+/**
+ * Action items from a summary: the list items under its "Action Items" heading
+ * (a Markdown heading or a line in bold, as the summary prompt asks for)
+ * Used when no structured action items were extracted
+ * @returns {string[]} item texts without list markers
+ */
+export function extractActionItems(summaryMarkdown) {
+    const items = [];
+    let inSection = false;
+
+    for (const line of summaryMarkdown.split(/\r?\n/)) {
+        const heading = line.match(/^\s*(?:#{1,6}\s+(.+?)|(?:\*\*|__)([^*_]+?):?(?:\*\*|__):?)\s*$/);
+        if (heading) {
+            inSection = /action items?/i.test(heading[1] || heading[2]);
+            continue;
+        }
+        if (!inSection) continue;
+
+        const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/);
+        if (item && !/^(none|n\/a|no action items)\b/i.test(item[1].replace(/[*_]/g, '').trim())) {
+            items.push(item[1].trim());
+        }
+    }
+
+    return items;
+}
+
+/**
+ * The model's reply as data plus any schema problems; a ```json fence around it is tolerated
+ */
+function parseResponse(text) {
+    let data;
+    try {
+        data = JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+        return { data: null, errors: [`the response is not valid JSON (${error.message})`] };
+    }
+    return { data, errors: validateSchema(data, ACTION_ITEMS_SCHEMA, 'response') };
+}
+
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * YYYY-MM-DD of a date in a timezone (the local one when none is given)
+ */
+function formatCalendarDate(value, timezone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' }).format(value);
+}
+
+function clockToSeconds(value) {
+    return value ? value.split(':').map(Number).reduce((total, part) => total * 60 + part, 0) : null;
+}
+
+function escapeIcsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold lines longer than 75 octets (RFC 5545), without splitting a UTF-8 character
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
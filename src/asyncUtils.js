@@ -0,0 +1,39 @@
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * Resolves to the results in input order; rejects with the first error
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Call fn until it succeeds, waiting baseDelayMs * 2^attempt between attempts
+ * @param {object} options - { retries, baseDelayMs, onRetry(error, attempt) }
+ */
+export async function retry(fn, { retries = 3, baseDelayMs = 2000, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries) {
+                throw error;
+            }
+            if (onRetry) {
+                onRetry(error, attempt + 1);
+            }
+            await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** attempt));
+        }
+    }
+}
@@ -0,0 +1,146 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { getAudioDuration, detectSilences } from './audioChunks.js';
+
+/**
+ * Audio activity of a recording
+ * While recording, ffmpeg's silencedetect filter runs on the captured audio (it passes the audio
+ * through unchanged) and a silence tracker reads its log to tell how long the meeting has been quiet.
+ * After recording, silent lead-in and tail are cut off the file without re-encoding it.
+ */
+
+const DEFAULT_OPTIONS = {
+    noiseDb: -50,
+    stopAfterSeconds: 900,
+    trimPaddingSeconds: 2
+};
+
+// silencedetect only reports a silence once it has lasted this long
+const MIN_SILENCE_SECONDS = 2;
+
+// How close to the start or end of the file a silence must reach to count as lead-in or tail
+const EDGE_TOLERANCE_SECONDS = 1;
+
+/**
+ * Follow silencedetect output from the recording's ffmpeg
+ * Silence only counts once there has been sound, so a late start or a wrong audio device does not end the session
+ * @param {object} options - recording.silence config: { noiseDb }
+ * continueClock() is called when ffmpeg is restarted, so the times of the new run follow on from the old one
+ * @returns {{ filter: string, handleOutput(text: string): void, continueClock(): void, getSilentSeconds(): number, hasHeardSound(): boolean }}
+ */
+export function createSilenceTracker(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    let currentTime = 0;
+    // Times of earlier ffmpeg runs, when the capture was restarted
+    let clockOffset = 0;
+    let silenceStart = null;
+    let silenceReported = false;
+    let heardSound = false;
+
+    return {
+        filter: `silencedetect=noise=${settings.noiseDb}dB:d=${MIN_SILENCE_SECONDS}`,
+        handleOutput(text) {
+            for (const line of text.split(/[\r\n]+/)) {
+                const time = line.match(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+                if (time) {
+                    currentTime = clockOffset + Number(time[1]) * 3600 + Number(time[2]) * 60 + Number(time[3]);
+                }
+
+                const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+                if (start) {
+                    silenceStart = clockOffset + Math.max(0, Number(start[1]));
+                    silenceReported = true;
+                }
+                if (/silence_end:/.test(line)) {
+                    silenceStart = null;
+                    heardSound = true;
+                }
+            }
+
+            // A recording that starts with sound reports no silence at all at first
+            if (!silenceReported && currentTime > MIN_SILENCE_SECONDS * 2) {
+                heardSound = true;
+            }
+        },
+        continueClock() {
+            clockOffset = currentTime;
+        },
+        getSilentSeconds() {
+            return heardSound && silenceStart !== null ? Math.max(0, currentTime - silenceStart) : 0;
+        },
+        hasHeardSound() {
+            return heardSound;
+        }
+    };
+}
+
+/**
+ * Cut silent lead-in and tail off a recording in place, copying the streams (no re-encoding)
+ * Cuts land on the keyframe before each cut point, so a little more than the padding may be kept
+ * @param {object} options - recording.silence config: { noiseDb, trimPaddingSeconds }
+ * @returns {Promise<{leadInSeconds: number, tailSeconds: number, durationSeconds: number}|null>} null when there was nothing to cut
+ */
+export async function trimSilentEnds(filePath, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const duration = await getAudioDuration(filePath);
+    const silences = await detectSilences(filePath, { noiseDb: settings.noiseDb, minSeconds: MIN_SILENCE_SECONDS });
+
+    const window = findTrimWindow(silences, duration, settings.trimPaddingSeconds);
+    if (!window) {
+        console.warn(chalk.yellow('⚠ The recording is silent throughout; it is kept as is'));
+        return null;
+    }
+    const { start, end } = window;
+    if (start === 0 && end === duration) {
+        return null;
+    }
+
+    const parsed = path.parse(filePath);
+    const trimmedPath = path.join(parsed.dir, `${parsed.name}.trimmed${parsed.ext}`);
+
+    console.log(chalk.blue(`Trimming silence: ${Math.round(start)}s from the start, ${Math.round(duration - end)}s from the end...`));
+    await new Promise((resolve, reject) => {
+        ffmpeg(filePath)
+            .seekInput(start)
+            .duration(end - start)
+            .outputOptions(['-map 0', '-c copy', '-movflags +faststart'])
+            .output(trimmedPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    }).catch(async (error) => {
+        await fs.unlink(trimmedPath).catch(() => { });
+        throw error;
+    });
+
+    await fs.rename(trimmedPath, filePath);
+    const result = {
+        leadInSeconds: Math.round(start * 10) / 10,
+        tailSeconds: Math.round((duration - end) * 10) / 10,
+        durationSeconds: Math.round((await getAudioDuration(filePath)) * 10) / 10
+    };
+    console.log(chalk.green(`✓ Silence trimmed, recording is now ${Math.round(result.durationSeconds / 60)} min`));
+    return result;
+}
+
+/**
+ * The part of a recording to keep: from paddingSeconds before the end of a silent lead-in to paddingSeconds
+ * after the start of a silent tail
+ * @param {Array<{start: number, end: number}>} silences - detectSilences() result, in seconds
+ * @returns {{start: number, end: number}|null} { start: 0, end: duration } when there is nothing to cut;
+ *   null when the recording is silent throughout
+ */
+export function findTrimWindow(silences, duration, paddingSeconds) {
+    const leadIn = silences.find((s) => s.start <= EDGE_TOLERANCE_SECONDS);
+    const tail = silences.find((s) => s !== leadIn && s.end >= duration - EDGE_TOLERANCE_SECONDS);
+
+    if (leadIn && tail === undefined && leadIn.end >= duration - EDGE_TOLERANCE_SECONDS) {
+        return null;
+    }
+    return {
+        start: leadIn ? Math.max(0, leadIn.end - paddingSeconds) : 0,
+        end: tail ? Math.min(duration, tail.start + paddingSeconds) : duration
+    };
+}
@@ -0,0 +1,163 @@
+import ffmpeg from 'fluent-ffmpeg';
+import path from 'path';
+
+/**
+ * Splitting long audio into overlapping chunks and stitching their transcripts back together
+ * A chunk is { index, offset, start, end } in seconds: the audio from `offset` to `end` is
+ * transcribed, and `start` (>= offset) is where the chunk's own, non-overlapping part begins
+ */
+
+// Repeated runs shorter than this are left alone, since short phrases repeat naturally
+const MIN_REPEATED_WORDS = 3;
+
+/**
+ * Get the duration of a media file in seconds
+ */
+export function getAudioDuration(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (error, data) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(Number(data.format.duration));
+            }
+        });
+    });
+}
+
+/**
+ * Find silent stretches with ffmpeg's silencedetect filter
+ * @returns {Promise<Array<{start: number, end: number}>>}
+ */
+export function detectSilences(filePath, { noiseDb = -35, minSeconds = 0.7 } = {}) {
+    return new Promise((resolve, reject) => {
+        const silences = [];
+        let silenceStart = null;
+
+        ffmpeg(filePath)
+            .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minSeconds}`)
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+                if (startMatch) {
+                    silenceStart = Math.max(0, Number(startMatch[1]));
+                }
+
+                const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+                if (endMatch && silenceStart !== null) {
+                    silences.push({ start: silenceStart, end: Number(endMatch[1]) });
+                    silenceStart = null;
+                }
+            })
+            .on('end', () => resolve(silences))
+            .on('error', reject)
+            .run();
+    });
+}
+
+/**
+ * Plan chunk boundaries of roughly chunkSeconds, moving each cut to the middle of the
+ * nearest silence within silenceSearchSeconds so words are not split
+ */
+export function planChunks(duration, silences, { chunkSeconds, overlapSeconds, silenceSearchSeconds }) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < duration) {
+        let cut = start + chunkSeconds;
+
+        // Fold a short remainder into this chunk instead of sending a tiny last one
+        if (duration - cut < chunkSeconds / 4) {
+            cut = duration;
+        } else {
+            const nearest = silences
+                .map((silence) => (silence.start + silence.end) / 2)
+                .filter((middle) => Math.abs(middle - cut) <= silenceSearchSeconds && middle > start + overlapSeconds)
+                .sort((a, b) => Math.abs(a - cut) - Math.abs(b - cut))[0];
+
+            if (nearest !== undefined) {
+                cut = nearest;
+            }
+        }
+
+        chunks.push({
+            index: chunks.length,
+            offset: Math.max(0, chunks.length > 0 ? start - overlapSeconds : 0),
+            start,
+            end: cut
+        });
+        start = cut;
+    }
+
+    return chunks;
+}
+
+/**
+ * Cut one chunk out of an audio file without re-encoding
+ */
+export function extractChunk(audioPath, chunk, outputDir) {
+    return new Promise((resolve, reject) => {
+        const { name, ext } = path.parse(audioPath);
+        const chunkPath = path.join(outputDir, `${name}-chunk${String(chunk.index).padStart(3, '0')}${ext}`);
+
+        ffmpeg(audioPath)
+            .setStartTime(chunk.offset)
+            .setDuration(chunk.end - chunk.offset)
+            .audioCodec('copy')
+            .output(chunkPath)
+            .on('end', () => resolve(chunkPath))
+            .on('error', reject)
+            .run();
+    });
+}
+
+/**
+ * Merge per-chunk segments (already shifted to absolute time) into one timeline
+ * Inside each overlap, segments before its midpoint come from the earlier chunk and the rest
+ * from the later one; words repeated across the junction are then removed
+ * @param {Array<{chunk: object, segments: Array}>} chunkResults - In chunk order
+ */
+export function mergeChunkSegments(chunkResults) {
+    const merged = [];
+
+    chunkResults.forEach(({ chunk, segments }, i) => {
+        const next = chunkResults[i + 1];
+        const keepFrom = chunk.index === 0 ? -Infinity : (chunk.offset + chunk.start) / 2;
+        const keepUntil = next ? (next.chunk.offset + next.chunk.start) / 2 : Infinity;
+
+        const kept = segments.filter((segment) => segment.start >= keepFrom && segment.start < keepUntil);
+
+        if (merged.length > 0 && kept.length > 0) {
+            const text = trimRepeatedWords(merged[merged.length - 1].text, kept[0].text);
+            if (text) {
+                kept[0] = { ...kept[0], text };
+            } else {
+                kept.shift();
+            }
+        }
+
+        merged.push(...kept);
+    });
+
+    return merged;
+}
+
+/**
+ * Drop the leading words of `text` that repeat the trailing words of `previousText`
+ */
+function trimRepeatedWords(previousText, text) {
+    const previousWords = previousText.split(/\s+/);
+    const words = text.split(/\s+/);
+    const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+    for (let n = Math.min(previousWords.length, words.length); n >= MIN_REPEATED_WORDS; n--) {
+        const tail = previousWords.slice(-n).map(normalize).join(' ');
+        const head = words.slice(0, n).map(normalize).join(' ');
+        if (tail === head) {
+            return words.slice(n).join(' ');
+        }
+    }
+
+    return text;
+}
@@ -0,0 +1,247 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { parseCalendar, expandEvents } from './icalendar.js';
+import { normalizeMeeting } from './configLoader.js';
+import { enqueueSession } from './scheduler.js';
+import { retry } from './asyncUtils.js';
+import { checkMeetingLink } from './meetingLink.js';
+
+/**
+ * Meetings from calendars
+ * Each entry of config.calendars is an .ics file or feed URL. Its events in the next LOOKAHEAD_DAYS that
+ * pass the entry's filters and carry a Zoom link are scheduled like cron meetings: joinEarlyMinutes before
+ * the start, with the event's length as durationMinutes. Every refreshMinutes the calendar is read again,
+ * and sessions of events that were moved, changed or cancelled are rescheduled or dropped.
+ */
+
+const LOOKAHEAD_DAYS = 7;
+const DEFAULT_REFRESH_MINUTES = 15;
+const FETCH_TIMEOUT_MS = 30000;
+
+const ZOOM_LINKS = /https?:\/\/(?:[\w-]+\.)*(?:zoom\.us|zoom\.com|zoomgov\.com)\/[^\s<>"'\\)\]]+/gi;
+const PASSCODE = /\b(?:passcode|password|pwd)\s*[:=]\s*([^\s<>"',;]+)/i;
+
+// Sessions waiting for their start, by calendar source, event and instance
+const scheduledRuns = new Map();
+
+// Sessions already handed to the queue (key -> start), so a re-sync before the start does not run them again
+const startedRuns = new Map();
+
+const syncedSources = new Set();
+
+/**
+ * Schedule the events of every enabled calendar and keep them in sync until stop() is called
+ * A calendar that cannot be read keeps the sessions it had; runSession is called as for cron meetings
+ * @returns {Promise<{stop(): void}>} resolves once every calendar was read for the first time
+ */
+export async function scheduleCalendars(config, runSession) {
+    const refreshTimers = new Map();
+    let stopped = false;
+
+    const sync = async (source) => {
+        try {
+            const { label, runs, skipped } = await loadCalendarRuns(config, source);
+            if (!stopped) {
+                updateRuns(source, label, runs, skipped, runSession);
+            }
+        } catch (error) {
+            // fetch() reports network errors as "fetch failed" with the reason in cause
+            const message = error.cause ? `${error.message} (${error.cause.message || error.cause.code})` : error.message;
+            console.warn(chalk.yellow(`⚠ Calendar "${describeCalendar(source)}" not synced, keeping its sessions: ${message}`));
+        }
+        if (!stopped) {
+            refreshTimers.set(source, setTimeout(() => sync(source), (source.refreshMinutes || DEFAULT_REFRESH_MINUTES) * 60000));
+        }
+    };
+
+    await Promise.all(config.calendars.filter((source) => source.enabled !== false).map(sync));
+    return {
+        stop() {
+            stopped = true;
+            refreshTimers.forEach((timer) => clearTimeout(timer));
+            scheduledRuns.forEach((run) => clearTimeout(run.timer));
+            scheduledRuns.clear();
+        }
+    };
+}
+
+/**
+ * The sessions scheduled from calendars, as { meeting, start, calendar }
+ */
+export function getCalendarRuns() {
+    return [...scheduledRuns.values()].map(({ meeting, start, calendar }) => ({ meeting, start, calendar }));
+}
+
+/**
+ * Read a calendar and turn its upcoming events that pass the filters into meetings
+ * @param {object} source - an entry of config.calendars
+ * @returns {Promise<{label: string, runs: Array<{key: string, meeting: object, start: Date, calendar: string}>, skipped: Array}>}
+ *   skipped holds the matching events that have no Zoom link
+ */
+export async function loadCalendarRuns(config, source, from = new Date(), days = LOOKAHEAD_DAYS) {
+    const calendar = parseCalendar(await readSource(source.source));
+    const label = source.name || calendar.name || describeCalendar(source);
+
+    if (source.calendars?.length > 0 && !source.calendars.some((name) => name.toLowerCase() === calendar.name?.toLowerCase())) {
+        return { label, runs: [], skipped: [] };
+    }
+
+    const defaults = source.meeting || {};
+    const events = expandEvents(calendar, {
+        from,
+        to: new Date(from.getTime() + days * 24 * 60 * 60 * 1000),
+        timezone: defaults.timezone || config.schedule.timezone
+    }).filter((event) => matchesFilters(source, event));
+
+    const runs = [];
+    const skipped = [];
+    for (const event of events) {
+        const link = findZoomLink([event.location, event.url, ...event.conference, event.description].join('\n'));
+        if (!link) {
+            skipped.push(event);
+            continue;
+        }
+
+        const people = [event.organizer, ...event.attendees].map((person) => person?.name).filter(Boolean);
+        const meeting = normalizeMeeting(config, {
+            ...defaults,
+            name: event.summary || 'Calendar event',
+            meetingLink: link.meetingLink,
+            password: link.password || defaults.password,
+            attendees: [...new Set([...(defaults.attendees || []), ...people])],
+            timezone: event.timezone,
+            durationMinutes: event.end ? Math.round((event.end - event.start) / 60000) : defaults.durationMinutes
+        }, 'calendar-event');
+
+        runs.push({
+            key: `${event.uid}\u0000${event.recurrenceId}`,
+            meeting: { ...meeting, outputSubdir: defaults.outputSubdir ?? meeting.id },
+            start: event.start,
+            calendar: label
+        });
+    }
+
+    return { label, runs, skipped };
+}
+
+/**
+ * The first Zoom meeting link in a text, with the passcode given next to it ("Passcode: 123456")
+ * Other Zoom links (downloads, dial-in numbers) are passed over
+ * @returns {{meetingLink: string, password: string}|null}
+ */
+export function findZoomLink(text) {
+    const link = [...text.matchAll(ZOOM_LINKS)]
+        .map((match) => match[0].replace(/[.,;]+$/, ''))
+        .find((candidate) => checkMeetingLink(candidate) === null);
+    if (!link) return null;
+
+    const passcode = text.match(PASSCODE);
+    return {
+        meetingLink: link,
+        password: /[?&]pwd=/.test(link) || !passcode ? '' : passcode[1]
+    };
+}
+
+/**
+ * A name for a calendar in logs: feed URLs often carry a private token, so only their host is shown
+ */
+export function describeCalendar(source) {
+    if (source.name) return source.name;
+    return /^(https?|webcal):\/\//i.test(source.source) ? new URL(source.source).hostname : path.basename(source.source);
+}
+
+/**
+ * Replace the calendar's armed sessions with the ones just read, leaving unchanged ones alone
+ */
+function updateRuns(source, label, runs, skipped, runSession) {
+    const prefix = `${source.source}\u0000`;
+    const firstSync = !syncedSources.has(source.source);
+    syncedSources.add(source.source);
+
+    // Events that start soon are joined right away, even when their early-join time has passed
+    startedRuns.forEach((start, key) => start < Date.now() && startedRuns.delete(key));
+    const wanted = new Map(runs
+        .filter((run) => run.start.getTime() > Date.now())
+        .map((run) => [prefix + run.key, run])
+        .filter(([key]) => !startedRuns.has(key)));
+
+    let changed = 0;
+    let removed = 0;
+    for (const [key, armed] of scheduledRuns) {
+        if (!key.startsWith(prefix)) continue;
+
+        const next = wanted.get(key);
+        if (next && JSON.stringify([next.start, next.meeting]) === JSON.stringify([armed.start, armed.meeting])) {
+            wanted.delete(key);
+            continue;
+        }
+
+        clearTimeout(armed.timer);
+        scheduledRuns.delete(key);
+        if (next) {
+            changed++;
+            console.log(chalk.gray(`   ↻ "${next.meeting.name}" changed, now ${formatStart(next)}`));
+        } else {
+            removed++;
+            console.log(chalk.gray(`   ✗ "${armed.meeting.name}" on ${formatStart(armed)} was cancelled or moved away`));
+        }
+    }
+
+    for (const [key, run] of wanted) {
+        armRun(key, run, runSession);
+    }
+
+    const added = wanted.size - changed;
+    if (firstSync || added > 0 || changed > 0 || removed > 0) {
+        const upcoming = [...scheduledRuns.keys()].filter((key) => key.startsWith(prefix)).length;
+        console.log(chalk.green(`✓ Calendar "${label}": ${upcoming} upcoming session(s)${firstSync ? '' : ` (${added} new, ${changed} changed, ${removed} removed)`}`));
+        if (skipped.length > 0) {
+            console.warn(chalk.yellow(`⚠ ${skipped.length} matching event(s) have no Zoom link and are not recorded: ${[...new Set(skipped.map((event) => `"${event.summary}"`))].join(', ')}`));
+        }
+    }
+}
+
+function armRun(key, run, runSession) {
+    const { meeting, start } = run;
+    const delay = start.getTime() - meeting.joinEarlyMinutes * 60000 - Date.now();
+
+    const timer = setTimeout(() => {
+        scheduledRuns.delete(key);
+        startedRuns.set(key, start.getTime());
+        console.log(chalk.magenta(`\n⏰ "${meeting.name}" from calendar "${run.calendar}" starts at ${start.toLocaleTimeString('en-US', { timeZone: meeting.timezone, timeStyle: 'short' })}` +
+            (meeting.joinEarlyMinutes > 0 ? `, joining ${meeting.joinEarlyMinutes} min early` : '')));
+        enqueueSession(meeting, runSession, start);
+    }, Math.max(0, delay));
+
+    scheduledRuns.set(key, { ...run, timer });
+}
+
+function matchesFilters(source, event) {
+    const text = [event.summary, event.description, event.location].join('\n').toLowerCase();
+    const organizer = [event.organizer?.email, event.organizer?.name].filter(Boolean).map((value) => value.toLowerCase());
+
+    return (!source.keywords?.length || source.keywords.some((keyword) => text.includes(keyword.toLowerCase()))) &&
+        (!source.organizers?.length || source.organizers.some((wanted) => organizer.includes(wanted.toLowerCase().replace(/^mailto:/, ''))));
+}
+
+/**
+ * Fetch a feed (webcal:// is fetched over https) or read a local file
+ */
+async function readSource(source) {
+    if (!/^(https?|webcal):\/\//i.test(source)) {
+        return fs.readFile(path.resolve(source), 'utf-8');
+    }
+
+    return retry(async () => {
+        const response = await fetch(source.replace(/^webcal:/i, 'https:'), { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }, { retries: 2, baseDelayMs: 5000 });
+}
+
+function formatStart(run) {
+    return run.start.toLocaleString('en-US', { timeZone: run.meeting.timezone, dateStyle: 'medium', timeStyle: 'short' });
+}
@@ -0,0 +1,182 @@
+import { execFile } from 'child_process';
+import util from 'util';
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * FFmpeg capture backends for screen + audio recording
+ * Each backend turns the quality settings and recording.capture config into ffmpeg input arguments,
+ * and can check that the devices it would capture from exist (used by the doctor command)
+ * checkDevices resolves to [{ status: 'ok' | 'warn' | 'fail', message }]
+ */
+
+/**
+ * macOS: avfoundation screen device + audio device (e.g. BlackHole)
+ */
+const avfoundation = {
+    name: 'avfoundation',
+    installHint: 'brew install ffmpeg',
+    buildInput(settings, capture) {
+        const display = capture.display ?? 1;
+        const audio = capture.audioDevice === false ? 'none' : (capture.audioDevice ?? 0);
+
+        return {
+            args: [
+                '-f', 'avfoundation',
+                '-framerate', settings.framerate.toString(),
+                '-video_size', settings.resolution,
+                '-i', `${display}:${audio}`
+            ],
+            filters: capture.region ? [cropFilter(capture.region)] : []
+        };
+    },
+    async checkDevices(capture) {
+        // ffmpeg always exits with an error after listing, the device list is on stderr
+        const result = await execFilePromise('ffmpeg', ['-hide_banner', '-f', 'avfoundation', '-list_devices', 'true', '-i', ''], { timeout: 10000 })
+            .catch((error) => error);
+        if (result.code === 'ENOENT') {
+            return [{ status: 'fail', message: 'ffmpeg is needed to list avfoundation devices' }];
+        }
+
+        const devices = { video: [], audio: [] };
+        let section = null;
+        for (const line of String(result.stderr).split('\n')) {
+            if (line.includes('video devices:')) section = 'video';
+            else if (line.includes('audio devices:')) section = 'audio';
+            else {
+                const match = line.match(/\[(\d+)\] (.+)$/);
+                if (match && section) devices[section].push({ index: Number(match[1]), name: match[2].trim() });
+            }
+        }
+
+        const display = capture.display ?? 1;
+        const audio = capture.audioDevice ?? 0;
+        const screen = devices.video.find((d) => d.index === Number(display));
+        const checks = [screen
+            ? { status: 'ok', message: `Screen device ${display}: ${screen.name}` }
+            : { status: 'fail', message: `No avfoundation video device ${display}. Found: ${describeDevices(devices.video)}` }];
+
+        if (capture.audioDevice !== false) {
+            const microphone = devices.audio.find((d) => d.index === Number(audio));
+            checks.push(microphone
+                ? { status: 'ok', message: `Audio device ${audio}: ${microphone.name}` }
+                : { status: 'fail', message: `No avfoundation audio device ${audio}. Found: ${describeDevices(devices.audio)}` });
+        }
+        return checks;
+    }
+};
+
+/**
+ * Linux: X11 x11grab for video, PulseAudio/PipeWire monitor source for system audio
+ */
+const linux = {
+    name: 'linux',
+    installHint: 'sudo apt install ffmpeg',
+    buildInput(settings, capture) {
+        const display = capture.display || process.env.DISPLAY;
+        if (!display) {
+            throw new Error('No X11 display available. Set recording.capture.display, or use the "lavfi" backend when running headless');
+        }
+
+        const region = capture.region;
+        const args = [
+            '-f', 'x11grab',
+            '-framerate', settings.framerate.toString(),
+            ...(region ? ['-video_size', `${region.width}x${region.height}`] : []),
+            '-i', region ? `${display}+${region.x || 0},${region.y || 0}` : display
+        ];
+
+        if (capture.audioDevice !== false) {
+            // @DEFAULT_MONITOR@ captures whatever is playing on the default output (the Zoom audio)
+            args.push('-f', 'pulse', '-i', capture.audioDevice || '@DEFAULT_MONITOR@');
+        }
+
+        // Fit the captured screen/region into the quality preset's frame without stretching it
+        const [width, height] = settings.resolution.split('x');
+        return {
+            args,
+            filters: [
+                `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+                `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`
+            ]
+        };
+    },
+    async checkDevices(capture) {
+        const display = capture.display || process.env.DISPLAY;
+        const checks = [display
+            ? { status: 'ok', message: `X11 display ${display}` }
+            : { status: 'fail', message: 'No X11 display (set DISPLAY or recording.capture.display)' }];
+
+        if (capture.audioDevice !== false) {
+            const source = capture.audioDevice || '@DEFAULT_MONITOR@';
+            try {
+                const { stdout } = await execFilePromise('pactl', ['get-default-sink'], { timeout: 10000 });
+                checks.push({ status: 'ok', message: `Audio source ${source} (default sink: ${stdout.trim()})` });
+            } catch (error) {
+                checks.push({
+                    status: 'warn',
+                    message: error.code === 'ENOENT'
+                        ? `pactl not found, cannot check audio source ${source} (install pulseaudio-utils)`
+                        : `No PulseAudio/PipeWire server reachable for audio source ${source}`
+                });
+            }
+        }
+        return checks;
+    }
+};
+
+/**
+ * Synthetic test pattern + tone, for headless containers and CI
+ */
+const lavfi = {
+    name: 'lavfi',
+    installHint: 'install ffmpeg with your package manager',
+    buildInput(settings, capture) {
+        const args = [
+            '-re', '-f', 'lavfi',
+            '-i', `testsrc2=size=${settings.resolution}:rate=${settings.framerate}`
+        ];
+
+        if (capture.audioDevice !== false) {
+            args.push('-re', '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=48000');
+        }
+
+        return { args, filters: [] };
+    },
+    async checkDevices() {
+        return [{ status: 'ok', message: 'Synthetic test input, no devices needed' }];
+    }
+};
+
+const BACKENDS = { avfoundation, linux, lavfi };
+
+export const CAPTURE_BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Pick the capture backend from recording.capture.backend, or from the platform when "auto"
+ */
+export function resolveCaptureBackend(capture = {}) {
+    const name = capture.backend && capture.backend !== 'auto'
+        ? capture.backend
+        : defaultBackendName(process.platform);
+
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown capture backend "${name}". Expected one of: ${CAPTURE_BACKENDS.join(', ')}`);
+    }
+    return backend;
+}
+
+function defaultBackendName(platform) {
+    if (platform === 'darwin') return 'avfoundation';
+    if (platform === 'linux') return 'linux';
+    throw new Error(`No capture backend for platform "${platform}". Set recording.capture.backend explicitly`);
+}
+
+function cropFilter(region) {
+    return `crop=${region.width}:${region.height}:${region.x || 0}:${region.y || 0}`;
+}
+
+function describeDevices(devices) {
+    return devices.length > 0 ? devices.map((d) => `[${d.index}] ${d.name}`).join(', ') : 'none';
+}
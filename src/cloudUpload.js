@@ -1,32 +1,54 @@
 import fs from 'fs/promises';
+import path from 'path';
 import chalk from 'chalk';
+import { uploadToGoogleDrive } from './storage/googleDrive.js';
+import { uploadToOneDrive } from './storage/oneDrive.js';
+import { uploadToS3 } from './storage/s3.js';
+import { uploadToWebDav } from './storage/webdav.js';
 
 /**
- * "Upload" file to cloud storage (Local only)
- * This function now only confirms the file exists locally, as we are saving directly to the synced folder.
+ * Keep the file where it is (e.g. already inside a Google Drive for Desktop synced folder)
  */
-export async function uploadToCloud(filePath, provider, folderName) {
-    console.log(chalk.blue(`Processing storage for provider: ${provider}...`));
+async function keepLocal(filePath) {
+    console.log(chalk.blue(`Skipping upload for local provider. File saved at: ${filePath}`));
+    return {
+        provider: 'local',
+        webUrl: `file://${filePath}`,
+        shareLink: `file://${filePath}`
+    };
+}
+
+const PROVIDERS = {
+    local: keepLocal,
+    'google-drive': uploadToGoogleDrive,
+    onedrive: uploadToOneDrive,
+    s3: uploadToS3,
+    webdav: uploadToWebDav
+};
+
+export const STORAGE_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Upload a file to the configured cloud storage provider
+ * @param {object} cloudStorage - cloudStorage config: { provider, folderName, ...provider options }
+ * @param {string} [remoteName] - name for the uploaded file (defaults to the local file name)
+ * @returns {Promise<{provider: string, webUrl: string, shareLink: string}>}
+ */
+export async function uploadToCloud(filePath, cloudStorage, remoteName = path.basename(filePath)) {
+    console.log(chalk.blue(`Processing storage for provider: ${cloudStorage.provider}...`));
 
     try {
         // Verify file exists
         await fs.access(filePath);
 
-        if (provider === 'local') {
-            console.log(chalk.blue(`Skipping upload for local provider. File saved at: ${filePath}`));
-            return {
-                webUrl: `file://${filePath}`,
-                shareLink: `file://${filePath}`
-            };
-        } else {
-            console.warn(chalk.yellow(`Provider '${provider}' is no longer supported. Assuming local file.`));
-            return {
-                webUrl: `file://${filePath}`,
-                shareLink: `file://${filePath}`
-            };
+        const upload = PROVIDERS[cloudStorage.provider];
+        if (!upload) {
+            throw new Error(`Unknown storage provider "${cloudStorage.provider}"`);
         }
+
+        return await upload(filePath, cloudStorage, remoteName);
     } catch (error) {
-        console.error(chalk.red('✗ File verification failed:'), error.message);
+        console.error(chalk.red('✗ Upload failed:'), error.message);
         throw error;
     }
 }
@@ -0,0 +1,57 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { loadCalendarRuns, describeCalendar } from '../calendarSync.js';
+import { redactPasscode } from '../meetingLink.js';
+import { printTable } from './common.js';
+
+/**
+ * calendar: show which calendar events the scheduler would record, to check the filters
+ */
+export const calendar = {
+    name: 'calendar',
+    usage: 'calendar [--days <n>]',
+    description: 'List the upcoming calendar events that will be recorded',
+    options: {
+        days: { type: 'string' }
+    },
+    async run({ values }) {
+        const config = await loadConfig(values);
+        const days = values.days ? Number(values.days) : 7;
+        if (!(days > 0)) {
+            throw new Error('--days must be a positive number');
+        }
+
+        const sources = config.calendars.filter((source) => source.enabled !== false);
+        if (sources.length === 0) {
+            throw new Error('No calendar is configured (see "calendars" in config.json.example)');
+        }
+
+        let failed = false;
+        for (const source of sources) {
+            let result;
+            try {
+                result = await loadCalendarRuns(config, source, new Date(), days);
+            } catch (error) {
+                const message = error.cause ? `${error.message} (${error.cause.message || error.cause.code})` : error.message;
+                console.error(chalk.red(`✗ Calendar "${describeCalendar(source)}" could not be read: ${message}`));
+                failed = true;
+                continue;
+            }
+
+            const { label, runs, skipped } = result;
+            console.log(chalk.cyan.bold(`\n📅 ${label}: ${runs.length} session(s) in the next ${days} day(s)\n`));
+            if (runs.length > 0) {
+                printTable(['Meeting', 'Starts', 'Length', 'Link'], runs.map(({ meeting, start }) => [
+                    meeting.name,
+                    start.toLocaleString('en-US', { timeZone: meeting.timezone, dateStyle: 'medium', timeStyle: 'short' }),
+                    meeting.durationMinutes ? `${meeting.durationMinutes} min` : '-',
+                    redactPasscode(meeting.meetingLink)
+                ]));
+            }
+            for (const event of skipped) {
+                console.warn(chalk.yellow(`⚠ "${event.summary}" on ${event.start.toLocaleString('en-US', { timeZone: event.timezone, dateStyle: 'medium', timeStyle: 'short' })} matches but has no Zoom link`));
+            }
+        }
+        return failed ? 1 : 0;
+    }
+};
@@ -0,0 +1,79 @@
+import path from 'path';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { findSession, getArtifactPath } from '../sessionManifest.js';
+
+/**
+ * Helpers shared by the CLI commands
+ */
+
+/**
+ * Pick the meeting to run (first meeting unless an id is given)
+ */
+export function selectMeeting(meetings, meetingId) {
+    if (meetings.length === 0) {
+        throw new Error('No meetings are configured (calendar events are only recorded by the scheduler)');
+    }
+    if (!meetingId) {
+        return meetings[0];
+    }
+
+    const meeting = meetings.find((m) => m.id === meetingId);
+    if (!meeting) {
+        throw new Error(`Unknown meeting "${meetingId}". Available: ${meetings.map((m) => m.id).join(', ')}`);
+    }
+    return meeting;
+}
+
+/**
+ * Return the positional argument at index, or throw with the command's usage
+ */
+export function requirePositional(command, positionals, index) {
+    const value = positionals[index];
+    if (!value) {
+        throw new Error(`Usage: npm start -- ${command.usage}`);
+    }
+    return value;
+}
+
+/**
+ * Split a comma-separated option value ("a, b,c") into a list
+ */
+export function parseList(value) {
+    return value ? value.split(',').map((item) => item.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Print rows as aligned columns under a bold header
+ */
+export function printTable(header, rows) {
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => String(row[i]).length)));
+    const formatRow = (row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+
+    console.log(chalk.white.bold(`   ${formatRow(header)}`));
+    console.log(chalk.gray(`   ${widths.map((w) => '─'.repeat(w)).join('  ')}`));
+    for (const row of rows) {
+        console.log(chalk.white(`   ${formatRow(row)}`));
+    }
+}
+
+/**
+ * Resolve a command's input: an existing file, or else a session id whose manifest names the file
+ * @param {string} artifactName - artifact to take from the session (e.g. "recording")
+ * @returns {Promise<{filePath: string, session: {dir: string, manifest: object} | null}>}
+ */
+export async function resolveFileOrSession(config, input, artifactName) {
+    const filePath = path.resolve(input);
+    if (await fs.stat(filePath).then((stats) => stats.isFile(), () => false)) {
+        return { filePath, session: null };
+    }
+
+    const session = await findSession(config.recording.outputDir, input).catch(() => {
+        throw new Error(`"${input}" is neither a file nor a recorded session`);
+    });
+    const sessionFile = getArtifactPath(session.dir, session.manifest, artifactName);
+    if (!sessionFile) {
+        throw new Error(`Session "${input}" has no ${artifactName} yet`);
+    }
+    return { filePath: sessionFile, session };
+}
@@ -0,0 +1,40 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { startDashboard } from '../dashboard/server.js';
+
+/**
+ * dashboard: browse sessions, play recordings and read transcripts in the browser
+ */
+export const dashboard = {
+    name: 'dashboard',
+    usage: 'dashboard [--host <address>] [--port <port>]',
+    description: 'Serve the local web dashboard for past sessions',
+    longRunning: true,
+    options: {
+        host: { type: 'string' },
+        port: { type: 'string' }
+    },
+    async run({ values }) {
+        const config = await loadConfig(values);
+        applyDashboardOptions(config, values);
+
+        await startDashboard(config);
+        console.log(chalk.gray('Press Ctrl+C to stop.\n'));
+    }
+};
+
+/**
+ * Let --host and --port override config.dashboard
+ */
+export function applyDashboardOptions(config, values) {
+    if (values.host) {
+        config.dashboard.host = values.host;
+    }
+    if (values.port !== undefined) {
+        const port = Number(values.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error(`--port must be a port number, got "${values.port}"`);
+        }
+        config.dashboard.port = port;
+    }
+}
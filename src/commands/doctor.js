@@ -0,0 +1,206 @@
+import { execFile } from 'child_process';
+import util from 'util';
+import fs from 'fs/promises';
+import { constants } from 'fs';
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { resolveCaptureBackend } from '../captureBackends.js';
+import { resolveZoomClient } from '../zoomClients.js';
+
+const execFilePromise = util.promisify(execFile);
+
+const STATUS_ICONS = {
+    ok: chalk.green('✓'),
+    warn: chalk.yellow('⚠'),
+    fail: chalk.red('✗')
+};
+
+/**
+ * doctor: check ffmpeg, capture devices, API keys and the config before a meeting starts
+ */
+export const doctor = {
+    name: 'doctor',
+    usage: 'doctor',
+    description: 'Check ffmpeg, the Zoom client automation, capture devices, API keys and the configuration',
+    options: {},
+    async run({ values }) {
+        const results = [];
+        const report = (section, checks) => {
+            console.log(chalk.cyan(`\n${section}`));
+            for (const check of checks) {
+                console.log(`  ${STATUS_ICONS[check.status]} ${check.message}`);
+                results.push(check);
+            }
+        };
+
+        let config = null;
+        try {
+            config = await loadConfig(values);
+            report('Configuration', [{
+                status: 'ok',
+                message: `${config.configPath}${config.profile ? ` (profile: ${config.profile})` : ''}: ${config.meetings.length} meeting(s), storage: ${config.cloudStorage.provider}`
+            }]);
+        } catch (error) {
+            report('Configuration', [{ status: 'fail', message: error.message }]);
+        }
+
+        report('FFmpeg', await checkFfmpeg(config));
+        report('Zoom client', await checkZoomClient());
+
+        if (config) {
+            report('Capture devices', await checkCapture(config));
+            report('Transcription and summary', await checkAiProviders(config));
+            report('Storage', await checkStorage(config));
+        }
+
+        const failures = results.filter((check) => check.status === 'fail').length;
+        const warnings = results.filter((check) => check.status === 'warn').length;
+
+        if (failures > 0) {
+            console.log(chalk.red.bold(`\n✗ ${failures} problem(s) found${warnings > 0 ? `, ${warnings} warning(s)` : ''}`));
+            return 1;
+        }
+        console.log(chalk.green.bold(`\n✓ Ready to record${warnings > 0 ? ` (${warnings} warning(s))` : ''}`));
+        return 0;
+    }
+};
+
+async function checkFfmpeg(config) {
+    let installHint = 'install ffmpeg with your package manager';
+    try {
+        installHint = resolveCaptureBackend(config?.recording.capture).installHint;
+    } catch {
+        // Unsupported platform; keep the generic hint
+    }
+
+    const checks = [];
+    for (const binary of ['ffmpeg', 'ffprobe']) {
+        const version = await getVersion(binary, ['-version']);
+        checks.push(version
+            ? { status: 'ok', message: version }
+            : { status: 'fail', message: `${binary} not found. Install it: ${installHint}` });
+    }
+    return checks;
+}
+
+async function checkZoomClient() {
+    try {
+        const client = resolveZoomClient();
+        return (await client.checkSetup()).map((check) => ({ ...check, message: `${client.name}: ${check.message}` }));
+    } catch (error) {
+        return [{ status: 'fail', message: error.message }];
+    }
+}
+
+/**
+ * Check each distinct capture setup used by the configured meetings
+ */
+async function checkCapture(config) {
+    const captures = new Map(config.meetings.map((meeting) => [JSON.stringify(meeting.capture), meeting.capture]));
+    const checks = [];
+
+    for (const capture of captures.values()) {
+        try {
+            const backend = resolveCaptureBackend(capture);
+            const deviceChecks = await backend.checkDevices(capture);
+            checks.push(...deviceChecks.map((check) => ({ ...check, message: `${backend.name}: ${check.message}` })));
+        } catch (error) {
+            checks.push({ status: 'fail', message: error.message });
+        }
+    }
+    return checks;
+}
+
+/**
+ * Check the API keys or local binaries needed by every transcription provider in use, and by the summary
+ */
+async function checkAiProviders(config) {
+    const checks = [];
+    const seen = new Set();
+
+    for (const transcription of config.meetings.map((meeting) => meeting.transcription)) {
+        const key = JSON.stringify(transcription);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (transcription.provider === 'gemini') {
+            checks.push(checkEnv(['GEMINI_API_KEY'], 'Gemini transcription'));
+        } else if (transcription.provider === 'openai') {
+            const envName = transcription.apiKeyEnv || 'OPENAI_API_KEY';
+            const check = checkEnv([envName], `OpenAI-compatible transcription (${transcription.baseUrl || 'api.openai.com'})`);
+            // Self-hosted endpoints often run without a key
+            checks.push(check.status === 'fail' && transcription.baseUrl ? { ...check, status: 'warn' } : check);
+        } else if (transcription.provider === 'whisper-local') {
+            const engine = transcription.engine || 'whisper.cpp';
+            const binary = transcription.binary || (engine === 'whisper.cpp' ? 'whisper-cli' : 'whisper-ctranslate2');
+            checks.push(await commandExists(binary)
+                ? { status: 'ok', message: `whisper-local: ${binary} (${engine})` }
+                : { status: 'fail', message: `whisper-local: "${binary}" not found. Set ai.transcription.binary to its path` });
+        }
+    }
+
+    checks.push(checkEnv(['GEMINI_API_KEY'], 'Gemini summary'));
+    return checks;
+}
+
+async function checkStorage(config) {
+    const checks = [];
+
+    try {
+        await fs.mkdir(config.recording.outputDir, { recursive: true });
+        await fs.access(config.recording.outputDir, constants.W_OK);
+        checks.push({ status: 'ok', message: `Output directory ${config.recording.outputDir} is writable` });
+    } catch (error) {
+        checks.push({ status: 'fail', message: `Output directory ${config.recording.outputDir}: ${error.message}` });
+    }
+
+    const provider = config.cloudStorage.provider;
+    if (provider === 'google-drive') {
+        checks.push(checkOAuthEnv('GOOGLE', 'Google Drive'));
+    } else if (provider === 'onedrive') {
+        checks.push(checkOAuthEnv('ONEDRIVE', 'OneDrive'));
+    } else {
+        // s3 and webdav credentials are already required by loadConfig
+        checks.push({ status: 'ok', message: `${provider} storage configured` });
+    }
+    return checks;
+}
+
+function checkEnv(names, what) {
+    const found = names.find((name) => process.env[name]);
+    return found
+        ? { status: 'ok', message: `${what}: ${found} is set` }
+        : { status: 'fail', message: `${what}: set ${names.join(' or ')} in .env` };
+}
+
+function checkOAuthEnv(prefix, what) {
+    if (process.env[`${prefix}_ACCESS_TOKEN`]) {
+        return { status: 'ok', message: `${what}: ${prefix}_ACCESS_TOKEN is set` };
+    }
+    const missing = [`${prefix}_CLIENT_ID`, `${prefix}_REFRESH_TOKEN`].filter((name) => !process.env[name]);
+    return missing.length === 0
+        ? { status: 'ok', message: `${what}: OAuth refresh token is set` }
+        : { status: 'fail', message: `${what}: set ${missing.join(' and ')} (or ${prefix}_ACCESS_TOKEN) in .env` };
+}
+
+/**
+ * First line of `<binary> -version`, or null when the binary is missing
+ */
+async function getVersion(binary, args) {
+    try {
+        const { stdout } = await execFilePromise(binary, args, { timeout: 10000 });
+        return stdout.split('\n')[0].trim();
+    } catch {
+        return null;
+    }
+}
+
+async function commandExists(binary) {
+    try {
+        await execFilePromise(binary, ['--help'], { timeout: 10000 });
+        return true;
+    } catch (error) {
+        // A non-zero exit still means the binary ran
+        return error.code !== 'ENOENT';
+    }
+}
@@ -0,0 +1,30 @@
+import { record } from './record.js';
+import { schedule } from './schedule.js';
+import { calendar } from './calendar.js';
+import { transcribe } from './transcribe.js';
+import { summarize } from './summarize.js';
+import { sessions } from './sessions.js';
+import { search } from './search.js';
+import { reprocess } from './reprocess.js';
+import { prune } from './prune.js';
+import { notify } from './notify.js';
+import { dashboard } from './dashboard.js';
+import { doctor } from './doctor.js';
+
+/**
+ * Options every command accepts; values are passed on to loadConfig
+ */
+export const GLOBAL_OPTIONS = {
+    config: { type: 'string' },
+    profile: { type: 'string' }
+};
+
+/**
+ * CLI subcommands
+ * Each command has a name, usage line, description, util.parseArgs options and
+ * run({ values, positionals }), which may resolve to a process exit code.
+ * longRunning commands keep the process alive after run() resolves.
+ */
+export const COMMANDS = Object.fromEntries(
+    [record, schedule, calendar, transcribe, summarize, sessions, search, reprocess, prune, notify, dashboard, doctor].map((command) => [command.name, command])
+);
@@ -0,0 +1,50 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { listSessions, findSession } from '../sessionManifest.js';
+import { notify as sendNotifications, NOTIFICATION_EVENTS } from '../notifications.js';
+
+/**
+ * notify [<session>] [--event completed|failed]: send a session's notification again, e.g. to try out notifiers
+ */
+export const notify = {
+    name: 'notify',
+    usage: 'notify [<session>] [--event completed|failed]',
+    description: 'Send the notification for a session (the newest by default) to the configured notifiers',
+    options: {
+        event: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+        const config = await loadConfig(values);
+        const type = values.event || 'completed';
+        if (!NOTIFICATION_EVENTS.includes(type)) {
+            throw new Error(`--event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`);
+        }
+        if (config.notifications.notifiers.length === 0) {
+            throw new Error('No notifiers configured. Add them under notifications.notifiers in the config');
+        }
+
+        const session = positionals[0]
+            ? await findSession(config.recording.outputDir, positionals[0])
+            : (await listSessions(config.recording.outputDir))[0];
+        if (!session) {
+            throw new Error('No sessions recorded yet; record one first or pass a session ID');
+        }
+
+        // A failed step of the session if it has one, otherwise a sample failure
+        const [failedStep, state] = Object.entries(session.manifest.steps).find(([, step]) => step.status === 'failed') || [];
+        const failure = type === 'failed'
+            ? (failedStep
+                ? { step: failedStep, error: state.lastError, attempts: state.attempts }
+                : { step: 'transcribe', error: 'Test failure sent by "npm start -- notify"', attempts: 1 })
+            : null;
+
+        console.log(chalk.blue(`Sending "${type}" for ${session.manifest.id}...`));
+        const results = await sendNotifications(config, type, { session, failure });
+
+        if (results.length === 0) {
+            console.log(chalk.yellow(`No notifier subscribes to "${type}"`));
+            return 0;
+        }
+        return results.some((result) => result.error) ? 1 : 0;
+    }
+};
@@ -0,0 +1,40 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { pruneRecordings, formatSize } from '../diskSpace.js';
+import { printTable } from './common.js';
+
+/**
+ * prune [--dry-run]: apply the retention policy now (the scheduler applies it after every session when enabled)
+ */
+export const prune = {
+    name: 'prune',
+    usage: 'prune [--dry-run]',
+    description: 'Delete the videos of sessions past the retention policy, keeping transcripts and summaries',
+    options: {
+        'dry-run': { type: 'boolean' }
+    },
+    async run({ values }) {
+        const config = await loadConfig(values);
+        const { keepDays, keepGB, keepAudio } = config.recording.retention;
+        if (!keepDays && !keepGB) {
+            throw new Error('No retention policy is configured (set recording.retention.keepDays or keepGB)');
+        }
+
+        const dryRun = Boolean(values['dry-run']);
+        const { plan } = await pruneRecordings(config, { dryRun });
+        if (plan.length === 0) {
+            console.log(chalk.green('✓ Nothing to prune'));
+            return;
+        }
+        if (!dryRun) return;
+
+        console.log(chalk.cyan.bold(`\n🧹 Would remove ${plan.length} video(s), ${formatSize(plan.reduce((total, entry) => total + entry.sizeBytes, 0))}` +
+            `${keepAudio ? ' (keeping their audio)' : ''}\n`));
+        printTable(['Session', 'Ended', 'Video', 'Reason'], plan.map(({ manifest, sizeBytes, reason }) => [
+            manifest.id,
+            new Date(manifest.actualEnd || manifest.createdAt).toLocaleDateString(),
+            formatSize(sizeBytes),
+            reason
+        ]));
+    }
+};
@@ -0,0 +1,264 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { joinZoomMeeting, waitUntilJoined, monitorMeeting, quitZoom } from '../zoomJoiner.js';
+import path from 'path';
+import { startScreenRecording, stopScreenRecording, getRecordingPath, getRecordingGaps, getCaptureFailure, recoverSegments, describeCapture } from '../screenRecorder.js';
+import { enqueuePostProcessing, processJob, printJobReport } from '../postProcessing.js';
+import { createSession, updateSession, loadSession, listSessions, getSessionStatus, SESSION_FILES } from '../sessionManifest.js';
+import { notify } from '../notifications.js';
+import { createSilenceTracker, trimSilentEnds } from '../audioActivity.js';
+import { getSessionWindow } from '../scheduler.js';
+import { checkDiskSpace, pruneRecordings } from '../diskSpace.js';
+import { selectMeeting } from './common.js';
+
+/**
+ * record [--meeting <id>]: join a meeting now and record it
+ */
+export const record = {
+    name: 'record',
+    usage: 'record [--meeting <id>]',
+    description: 'Join a meeting now, record it and run post-processing',
+    options: {
+        meeting: { type: 'string' }
+    },
+    async run({ values }) {
+        const config = await loadConfig(values);
+        const meeting = selectMeeting(config.meetings, values.meeting);
+        await recoverInterruptedSessions(config);
+        await runRecordingSession(config, meeting);
+    }
+};
+
+/**
+ * Core recording session logic
+ * Everything the session produces goes into its own folder, described by its session.json manifest
+ * Before joining, the free disk space is checked against the recording's expected size
+ * The recording stops when the meeting ends, goes silent, runs graceMinutes past its expected end,
+ * reaches maxDurationMinutes, or its capture fails for good; a meeting not joined within joinTimeoutMinutes
+ * is given up. A failed capture keeps what was recorded and is post-processed, with the failure as its error
+ * @param {object} [options] - { scheduledAt: when the meeting starts, if the scheduler started the session }
+ */
+export async function runRecordingSession(config, meeting, { scheduledAt = null } = {}) {
+    let recordingPath = null;
+    let session = null;
+    let stage = 'joining';
+
+    try {
+        console.log(chalk.cyan.bold(`\n🎬 Session: ${meeting.name}`));
+
+        const window = getSessionWindow(meeting, scheduledAt);
+        session = await createSession(config, meeting, { scheduledAt });
+        await updateSession(session.dir, (manifest) => {
+            manifest.expectedEnd = window.expectedEnd && window.expectedEnd.toISOString();
+        });
+        console.log(chalk.gray(`Session folder: ${session.dir}`));
+
+        // Refuse, or record in a smaller quality, when the recording would not fit on disk
+        let quality = meeting.quality;
+        if (config.recording.diskSpace.enabled) {
+            const maxMs = meeting.maxDurationMinutes * 60000;
+            const expectedMs = window.latestEnd ? Math.min(Math.max(0, window.latestEnd - Date.now()), maxMs) : maxMs;
+            ({ quality } = await checkDiskSpace(config, meeting, expectedMs / 1000));
+        }
+
+        // Step 1: Join Zoom meeting
+        console.log(chalk.cyan('\n[Step 1/5] Joining Zoom meeting...\n'));
+        await joinZoomMeeting(meeting);
+
+        if (!(await waitUntilJoined(window.joinDeadline))) {
+            await quitZoom();
+            await updateSession(session.dir, (manifest) => {
+                manifest.endedBy = 'join-timeout';
+            });
+            throw new Error(`Not admitted to the meeting within ${meeting.joinTimeoutMinutes} min of its start; giving up`);
+        }
+        await updateSession(session.dir, (manifest) => {
+            manifest.joinedAt = new Date().toISOString();
+        });
+        stage = 'recording';
+
+        // Step 2: Start screen recording
+        console.log(chalk.cyan('\n[Step 2/5] Starting screen recording...\n'));
+        const silenceTracker = meeting.silence.enabled ? createSilenceTracker(meeting.silence) : null;
+        recordingPath = await startScreenRecording(session.dir, quality, meeting.capture, SESSION_FILES.recording, silenceTracker, config.recording.segments);
+        await updateSession(session.dir, (manifest) => {
+            manifest.actualStart = new Date().toISOString();
+            manifest.capture = describeCapture(quality, meeting.capture);
+        });
+
+        // Step 3: Monitor meeting until it ends
+        console.log(chalk.cyan('\n[Step 3/5] Monitoring meeting...\n'));
+        console.log(chalk.yellow('⚠ Meeting is being recorded. Press Ctrl+C to stop manually.\n'));
+
+        // Monitor the desktop app window, and the audio and the clock in case the window outlives the meeting
+        const maxEnd = Date.now() + meeting.maxDurationMinutes * 60000;
+        const meetingStatus = await monitorMeeting(null, {
+            shouldStop: () => {
+                if (getCaptureFailure()) return 'capture-failed';
+                if (silenceTracker && silenceTracker.getSilentSeconds() >= meeting.silence.stopAfterSeconds) return 'silent';
+                if (window.latestEnd && Date.now() >= window.latestEnd.getTime()) return 'scheduled-end';
+                if (Date.now() >= maxEnd) return 'max-duration';
+                return null;
+            }
+        });
+        const stopReason = describeStop(meetingStatus, meeting);
+        if (stopReason) {
+            console.log(chalk.yellow(`${stopReason}. Ending recording...`));
+        }
+        console.log(chalk.blue(`\nMeeting status: ${meetingStatus}`));
+
+        // Step 4: Stop recording
+        console.log(chalk.cyan('\n[Step 4/5] Stopping recording...\n'));
+        // Add a small buffer to ensure we catch the end
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        recordingPath = await stopScreenRecording();
+        const captureFailure = getCaptureFailure();
+        await recordSessionEnd(session, captureFailure && new Error(`Capture failed: ${captureFailure}`));
+        await updateSession(session.dir, (manifest) => {
+            manifest.endedBy = meetingStatus;
+            manifest.recordingGaps = getRecordingGaps();
+        });
+        if (meeting.silence.trim) {
+            await trimRecording(session, recordingPath, meeting.silence);
+        }
+
+        // Close Zoom application completely
+        await quitZoom();
+
+        // Step 5: Queue and run post-processing (verify, transcribe, summarize, upload)
+        // The job is stored on disk first, so steps that fail are retried later instead of being lost
+        console.log(chalk.cyan('\n[Step 5/5] Post-processing recording...\n'));
+        const job = await enqueuePostProcessing(config, meeting, session, recordingPath);
+        await processJob(config, job);
+
+        if (config.recording.retention.enabled) {
+            await pruneRecordings(config).catch((error) => {
+                console.warn(chalk.yellow(`⚠ Retention policy not applied: ${error.message}`));
+            });
+        }
+
+        // Final report
+        console.log(chalk.cyan.bold('\n╔══════════════════════════════════════════════════════════╗'));
+        console.log(chalk.cyan.bold('║                    Session Complete                      ║'));
+        console.log(chalk.cyan.bold('╚══════════════════════════════════════════════════════════╝\n'));
+
+        printJobReport(job);
+        if (captureFailure) {
+            console.error(chalk.red(`✗ Capture failed (${captureFailure}); the recording ends there`));
+        }
+
+    } catch (error) {
+        console.error(chalk.red.bold('\n✗ Session error:'), error.message);
+        console.error(error.stack);
+
+        // Cleanup on error
+        try {
+            if (recordingPath) {
+                const recording = getRecordingPath();
+                if (recording && await stopScreenRecording().catch(() => null)) {
+                    await updateSession(session.dir, (manifest) => {
+                        manifest.recordingGaps = getRecordingGaps();
+                    });
+                }
+            }
+            if (session) {
+                await recordSessionEnd(session, error);
+            }
+        } catch (cleanupError) {
+            console.error(chalk.yellow('⚠ Cleanup error:'), cleanupError.message);
+        }
+
+        const failedSession = session && await loadSession(session.dir).then((manifest) => ({ dir: session.dir, manifest }), () => null);
+        await notify(config, 'failed', {
+            session: failedSession,
+            meeting,
+            failure: { step: stage, error: error.message, attempts: 1 }
+        });
+    }
+}
+
+/**
+ * Why the recording was stopped, for the stops that are not the meeting window closing
+ */
+function describeStop(meetingStatus, meeting) {
+    const reasons = {
+        silent: `No sound for ${formatSeconds(meeting.silence.stopAfterSeconds)}`,
+        'scheduled-end': `${meeting.graceMinutes} min past the expected end of the meeting`,
+        'max-duration': `Maximum recording duration of ${meeting.maxDurationMinutes} min reached`,
+        'capture-failed': `Capture failed (${getCaptureFailure()})`
+    };
+    return reasons[meetingStatus] || null;
+}
+
+/**
+ * "45s" below a minute, "15 min" from there on
+ */
+function formatSeconds(seconds) {
+    return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Close the sessions whose recorder died without ending them (see getSessionStatus): join the segments it
+ * left, store when the last one was written as the end, and queue post-processing for the recording
+ * The queued job runs with the scheduler's pending jobs, or with "reprocess <session>"
+ */
+export async function recoverInterruptedSessions(config) {
+    const sessions = (await listSessions(config.recording.outputDir))
+        .filter(({ manifest }) => getSessionStatus(manifest) === 'interrupted');
+
+    for (const { dir, manifest } of sessions) {
+        const recordingPath = path.join(dir, SESSION_FILES.recording);
+        try {
+            const recovered = manifest.actualStart ? await recoverSegments(recordingPath) : null;
+            const endedAt = recovered ? recovered.endedAt : new Date();
+            await updateSession(dir, (current) => {
+                current.actualEnd = endedAt.toISOString();
+                current.endedBy = 'interrupted';
+                current.error = recovered
+                    ? `Recorder exited during the recording; recovered ${recovered.segments} segment(s)`
+                    : `Recorder exited while ${current.actualStart ? 'recording, before any segment was written' : 'joining'}`;
+            });
+            await recordSessionEnd({ dir });
+
+            if (recovered) {
+                await enqueuePostProcessing(config, manifest.meeting, { dir, manifest }, recordingPath);
+                console.log(chalk.green(`✓ Recovered interrupted session ${manifest.id}; post-processing queued`));
+            } else {
+                console.warn(chalk.yellow(`⚠ Closed interrupted session ${manifest.id}: nothing was recorded`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`✗ Could not recover interrupted session ${manifest.id}: ${error.message}`));
+        }
+    }
+}
+
+/**
+ * Cut silent lead-in and tail off the recording; on failure the full recording is kept
+ */
+async function trimRecording(session, recordingPath, silence) {
+    try {
+        const trim = await trimSilentEnds(recordingPath, silence);
+        if (trim) {
+            await updateSession(session.dir, (manifest) => {
+                manifest.trim = trim;
+            });
+        }
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠ Could not trim silence, keeping the full recording: ${error.message}`));
+    }
+}
+
+/**
+ * Store when the recording ended (and why, if it failed) in the session manifest
+ */
+async function recordSessionEnd(session, error = null) {
+    await updateSession(session.dir, (manifest) => {
+        manifest.actualEnd = manifest.actualEnd || new Date().toISOString();
+        manifest.durationSeconds = manifest.actualStart
+            ? Math.round((new Date(manifest.actualEnd) - new Date(manifest.actualStart)) / 1000)
+            : null;
+        if (error) {
+            manifest.error = error.message;
+        }
+    });
+}
@@ -0,0 +1,22 @@
+import { loadConfig } from '../configLoader.js';
+import { reprocessSession, printJobReport } from '../postProcessing.js';
+import { requirePositional, parseList } from './common.js';
+
+/**
+ * reprocess <session> [--steps a,b]: re-run post-processing steps of a recorded session
+ */
+export const reprocess = {
+    name: 'reprocess',
+    usage: 'reprocess <session> [--steps transcribe,summarize]',
+    description: 'Re-run failed (or the chosen) post-processing steps of a session',
+    options: {
+        steps: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+        const sessionId = requirePositional(this, positionals, 0);
+        const config = await loadConfig(values);
+
+        const job = await reprocessSession(config, sessionId, parseList(values.steps));
+        printJobReport(job);
+    }
+};
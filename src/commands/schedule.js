@@ -0,0 +1,68 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { scheduleMeetings, printUpcomingRuns } from '../scheduler.js';
+import { scheduleCalendars, getCalendarRuns } from '../calendarSync.js';
+import { resumePendingJobs } from '../postProcessing.js';
+import { startDashboard } from '../dashboard/server.js';
+import { runRecordingSession, recoverInterruptedSessions } from './record.js';
+import { applyDashboardOptions } from './dashboard.js';
+import { selectMeeting } from './common.js';
+
+/**
+ * schedule: record every enabled meeting at its cron time, and the events of the calendars, until stopped
+ */
+export const schedule = {
+    name: 'schedule',
+    usage: 'schedule [--dashboard] [--host <address>] [--port <port>]',
+    description: 'Run the scheduler for all meetings with a cronExpression and all calendars',
+    longRunning: true,
+    options: {
+        dashboard: { type: 'boolean' },
+        host: { type: 'string' },
+        port: { type: 'string' }
+    },
+    /**
+     * Without a subcommand (plain `npm start`) this runs with implicit set, and records
+     * right away when there is nothing to schedule, as the CLI always did
+     */
+    async run({ values }, { implicit = false } = {}) {
+        const config = await loadConfig(values);
+        const scheduledMeetings = config.meetings.filter((m) => m.enabled && m.cronExpression);
+        const calendars = config.calendars.filter((c) => c.enabled !== false);
+        await recoverInterruptedSessions(config);
+
+        if (config.schedule?.enabled === false || (scheduledMeetings.length === 0 && calendars.length === 0)) {
+            if (!implicit) {
+                throw new Error(config.schedule?.enabled === false
+                    ? 'Scheduling is disabled (schedule.enabled is false)'
+                    : 'No enabled meeting has a cronExpression to schedule, and no calendar is configured');
+            }
+
+            console.log(chalk.yellow('No schedule enabled. Running immediately...'));
+            await runRecordingSession(config, selectMeeting(config.meetings, values.meeting));
+            return 0;
+        }
+
+        const runSession = (meeting, options) => runRecordingSession(config, meeting, options);
+        const scheduled = scheduleMeetings(scheduledMeetings, runSession);
+        if (calendars.length > 0) {
+            await scheduleCalendars(config, runSession);
+        }
+
+        console.log(chalk.green(`\n📅 Scheduler enabled for ${scheduled.length} meeting(s)${calendars.length > 0 ? ` and ${calendars.length} calendar(s)` : ''}\n`));
+        printUpcomingRuns([...scheduled, ...getCalendarRuns()]);
+
+        if (values.dashboard || config.dashboard.enabled) {
+            applyDashboardOptions(config, values);
+            try {
+                await startDashboard(config);
+            } catch (error) {
+                // The dashboard is a convenience; keep recording without it
+                console.warn(chalk.yellow(`⚠ Dashboard not started: ${error.message}`));
+            }
+        }
+        console.log(chalk.gray('\nPress Ctrl+C to exit scheduler.\n'));
+
+        await resumePendingJobs(config);
+    }
+};
@@ -0,0 +1,116 @@
+import { pathToFileURL } from 'url';
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { searchSessions, rebuildSearchIndex, parseQuery } from '../searchIndex.js';
+import { formatClock } from '../transcriptSegments.js';
+
+/**
+ * search <query>: find where something was said across every session's transcript and summary
+ */
+export const search = {
+    name: 'search',
+    usage: 'search <words or "a phrase"> [--meeting <id or name>] [--from <date>] [--to <date>] [--context <n>] [--limit <n>] [--rebuild]',
+    description: 'Search transcripts and summaries; each hit links to the recording at that point',
+    options: {
+        meeting: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        context: { type: 'string' },
+        limit: { type: 'string' },
+        rebuild: { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+        const config = await loadConfig(values);
+        const query = positionals.join(' ');
+
+        if (values.rebuild) {
+            const count = await rebuildSearchIndex(config);
+            console.log(chalk.green(`✓ Search index rebuilt from ${count} session(s)`));
+            if (!query) return;
+        }
+        if (!query) {
+            throw new Error(`Usage: npm start -- ${this.usage}`);
+        }
+
+        const filters = {
+            // Matched against the index, so sessions of calendar events can be found too
+            meeting: values.meeting,
+            from: values.from && parseDate(values.from, '--from'),
+            to: values.to && parseDate(values.to, '--to', true),
+            context: values.context !== undefined ? parseCount(values.context, '--context') : 1,
+            limit: values.limit !== undefined ? parseCount(values.limit, '--limit') : 20
+        };
+
+        const hits = await searchSessions(config, query, filters);
+        if (hits.length === 0) {
+            console.log(chalk.yellow(`No matches for ${query}${values.meeting || values.from || values.to ? ' with these filters' : ''}`));
+            return;
+        }
+
+        const words = parseQuery(query).flat();
+        let sessionId = null;
+        for (const hit of hits) {
+            if (hit.sessionId !== sessionId) {
+                sessionId = hit.sessionId;
+                console.log(chalk.cyan.bold(`\n🎬 ${hit.meeting.name} · ${new Date(hit.date).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })} · ${hit.sessionId}`));
+            }
+            printHit(config, hit, words);
+        }
+
+        console.log(chalk.gray(`\n${hits.length} match(es)${hits.length === filters.limit ? ` (showing the first ${filters.limit}; use --limit for more)` : ''}`));
+    }
+};
+
+function printHit(config, hit, words) {
+    // Summary lines keep their own [MM:SS] references
+    const line = (document) => `${document.source === 'transcript' ? `[${formatClock(document.start)}] ` : ''}${document.speaker ? `${document.speaker}: ` : ''}${document.text}`;
+
+    console.log();
+    for (const document of hit.before) {
+        console.log(chalk.gray(`    ${line(document)}`));
+    }
+    console.log(`  ${hit.source === 'summary' ? '📄' : '›'} ${highlight(line(hit), words)}`);
+    for (const document of hit.after) {
+        console.log(chalk.gray(`    ${line(document)}`));
+    }
+
+    if (hit.start !== null) {
+        const { host, port } = config.dashboard;
+        const seconds = Math.floor(hit.start);
+        if (hit.recording) {
+            console.log(chalk.blue(`    ▶ ${pathToFileURL(hit.recording).href}#t=${seconds}`));
+        }
+        console.log(chalk.blue(`    ▶ http://${host}:${port}/?session=${encodeURIComponent(hit.sessionId)}&t=${seconds}`));
+    }
+}
+
+/**
+ * Mark the query's words in a line
+ */
+function highlight(text, words) {
+    const escaped = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    return text.replace(pattern, (match) => chalk.yellow.bold(match));
+}
+
+/**
+ * Parse a --from/--to date. A plain YYYY-MM-DD is a local day; --to includes the whole day
+ */
+function parseDate(value, flag, endOfDay = false) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+        : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${flag} must be a date like 2026-07-01, got "${value}"`);
+    }
+    return date;
+}
+
+function parseCount(value, flag) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${flag} must be a whole number, got "${value}"`);
+    }
+    return count;
+}
@@ -0,0 +1,106 @@
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { listSessions, findSession, getSessionStatus } from '../sessionManifest.js';
+import { requirePositional, printTable } from './common.js';
+
+/**
+ * sessions list | sessions show <session>: inspect past recording sessions from their manifests
+ */
+export const sessions = {
+    name: 'sessions',
+    usage: 'sessions list [--meeting <id>] | sessions show <session>',
+    description: 'List past sessions, or show the steps, files and links of one',
+    options: {
+        meeting: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+        const action = requirePositional(this, positionals, 0);
+        const config = await loadConfig(values);
+
+        if (action === 'list') {
+            await printSessionList(config, values.meeting);
+        } else if (action === 'show') {
+            await printSession(config, requirePositional(this, positionals, 1));
+        } else {
+            throw new Error(`Unknown sessions action "${action}". Usage: npm start -- ${this.usage}`);
+        }
+    }
+};
+
+async function printSessionList(config, meetingId) {
+    const found = (await listSessions(config.recording.outputDir))
+        .filter(({ manifest }) => !meetingId || manifest.meeting.id === meetingId);
+
+    if (found.length === 0) {
+        console.log(chalk.yellow('No sessions recorded yet'));
+        return;
+    }
+
+    printTable(['Session', 'Meeting', 'Started', 'Duration', 'Status'], found.map(({ manifest }) => [
+        manifest.id,
+        manifest.meeting.name,
+        formatDate(manifest.actualStart || manifest.createdAt),
+        formatDuration(manifest.durationSeconds),
+        getSessionStatus(manifest)
+    ]));
+}
+
+async function printSession(config, sessionId) {
+    const { dir, manifest } = await findSession(config.recording.outputDir, sessionId);
+
+    console.log(chalk.cyan.bold(`\n🎬 ${manifest.id}`));
+    console.log(chalk.white(`  Meeting: ${manifest.meeting.name} (${manifest.meeting.id})`));
+    console.log(chalk.white(`  Folder: ${dir}`));
+    if (manifest.scheduledStart) {
+        console.log(chalk.white(`  Scheduled: ${formatDate(manifest.scheduledStart)}`));
+    }
+    console.log(chalk.white(`  Recorded: ${formatDate(manifest.actualStart)} – ${formatDate(manifest.actualEnd)} (${formatDuration(manifest.durationSeconds)})`));
+    if (manifest.capture) {
+        console.log(chalk.white(`  Capture: ${manifest.capture.backend}, ${manifest.capture.quality} (${manifest.capture.resolution} @ ${manifest.capture.framerate}fps)`));
+    }
+    if (manifest.transcription) {
+        console.log(chalk.white(`  Transcription: ${manifest.transcription.provider} / ${manifest.transcription.model}${manifest.transcription.language ? ` (${manifest.transcription.language})` : ''}`));
+    }
+    if (manifest.transcription?.speakers?.length > 0) {
+        console.log(chalk.white(`  Speakers: ${manifest.transcription.speakers.join(', ')}`));
+    }
+    if (manifest.summary) {
+        console.log(chalk.white(`  Summary: ${manifest.summary.model}`));
+    }
+    console.log(chalk.white(`  Status: ${getSessionStatus(manifest)}`));
+    if (manifest.error) {
+        console.log(chalk.red(`  Error: ${manifest.error}`));
+    }
+
+    if (Object.keys(manifest.steps).length > 0) {
+        console.log();
+        printTable(['Step', 'Status', 'Attempts', 'Last error'], Object.entries(manifest.steps).map(([name, step]) => [
+            name, step.status, step.attempts, step.lastError || ''
+        ]));
+    }
+
+    if (Object.keys(manifest.artifacts).length > 0) {
+        console.log();
+        printTable(['File', 'Path', 'Size', 'SHA-256'], Object.entries(manifest.artifacts).map(([name, artifact]) => [
+            name, artifact.path, `${(artifact.sizeBytes / (1024 * 1024)).toFixed(2)} MB`, artifact.sha256.slice(0, 16)
+        ]));
+    }
+
+    const remoteLinks = manifest.uploads.filter((link) => link.provider !== 'local');
+    if (remoteLinks.length > 0) {
+        console.log(chalk.green('\nUploaded to cloud storage:'));
+        for (const link of remoteLinks) {
+            console.log(chalk.white(`  🔗 ${link.label}: ${link.shareLink}`));
+        }
+    }
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '–';
+}
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '–';
+    const minutes = Math.floor(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m ${seconds % 60}s`;
+}
@@ -0,0 +1,50 @@
+import path from 'path';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { generateSummary } from '../summary.js';
+import { uploadToCloud } from '../cloudUpload.js';
+import { indexSession } from '../searchIndex.js';
+import { SESSION_FILES, updateSession, addSummary, getArtifactPath } from '../sessionManifest.js';
+import { requirePositional, resolveFileOrSession } from './common.js';
+
+/**
+ * summarize <transcript|session>: (re)generate the summary of a transcript file or a session
+ */
+export const summarize = {
+    name: 'summarize',
+    usage: 'summarize <transcript|session> [--output <dir>] [--model <name>] [--upload]',
+    description: 'Generate a summary from a transcript or a session, e.g. again with a different model',
+    options: {
+        output: { type: 'string' },
+        model: { type: 'string' },
+        upload: { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+        const input = requirePositional(this, positionals, 0);
+        const config = await loadConfig(values);
+        const { filePath, session } = await resolveFileOrSession(config, input, 'transcript');
+        const transcript = await fs.readFile(filePath, 'utf-8');
+        const speakersPath = session && getArtifactPath(session.dir, session.manifest, 'speakers');
+        const speakerStats = speakersPath ? JSON.parse(await fs.readFile(speakersPath, 'utf-8')) : null;
+
+        const outputDir = session ? session.dir : path.resolve(values.output || path.dirname(filePath));
+        await fs.mkdir(outputDir, { recursive: true });
+
+        const result = await generateSummary(transcript, outputDir, {
+            ...config.ai.summary,
+            ...(values.model && { model: values.model })
+        }, session ? path.join(session.dir, SESSION_FILES.summary) : null, speakerStats);
+
+        if (session) {
+            await updateSession(session.dir, (manifest) => addSummary(manifest, session.dir, result));
+            await indexSession(config, session.dir);
+        }
+
+        if (values.upload) {
+            const remoteName = session ? `${session.manifest.id}-${path.basename(result.filePath)}` : undefined;
+            const upload = await uploadToCloud(result.filePath, config.cloudStorage, remoteName);
+            console.log(chalk.white(`  🔗 Summary: ${upload.shareLink}`));
+        }
+    }
+};
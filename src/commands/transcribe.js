@@ -0,0 +1,65 @@
+import path from 'path';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { loadConfig } from '../configLoader.js';
+import { transcribeVideo } from '../transcription.js';
+import { uploadToCloud } from '../cloudUpload.js';
+import { indexSession } from '../searchIndex.js';
+import { SESSION_FILES, updateSession, addTranscription } from '../sessionManifest.js';
+import { selectMeeting, requirePositional, resolveFileOrSession } from './common.js';
+
+/**
+ * transcribe <file|session>: transcribe a recording made elsewhere, or re-transcribe a session
+ */
+export const transcribe = {
+    name: 'transcribe',
+    usage: 'transcribe <file|session> [--output <dir>] [--meeting <id>] [--provider <name>] [--model <name>] [--language <code>] [--upload]',
+    description: 'Transcribe an audio or video file, or a session\'s recording, with the configured (or given) provider',
+    options: {
+        output: { type: 'string' },
+        meeting: { type: 'string' },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        language: { type: 'string' },
+        upload: { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+        const input = requirePositional(this, positionals, 0);
+        const config = await loadConfig(values);
+        const { filePath, session } = await resolveFileOrSession(config, input, 'recording');
+
+        // --meeting picks up that meeting's transcription override (a session uses its own meeting's); flags win over both
+        const meeting = values.meeting
+            ? selectMeeting(config.meetings, values.meeting)
+            : config.meetings.find((m) => m.id === session?.manifest.meeting.id);
+
+        const transcription = {
+            ...(meeting ? meeting.transcription : config.ai.transcription),
+            ...(values.provider && { provider: values.provider }),
+            ...(values.model && { model: values.model }),
+            ...(values.language && { language: values.language }),
+            attendees: meeting?.attendees || []
+        };
+
+        // Session transcripts replace the session's own files and are recorded in its manifest
+        const outputDir = session ? session.dir : path.resolve(values.output || path.dirname(filePath));
+        await fs.mkdir(outputDir, { recursive: true });
+
+        const result = await transcribeVideo(filePath, outputDir, transcription, session ? {
+            transcript: path.join(session.dir, SESSION_FILES.transcript),
+            sidecarBase: path.join(session.dir, SESSION_FILES.sidecarBase),
+            speakers: path.join(session.dir, SESSION_FILES.speakers)
+        } : {});
+
+        if (session) {
+            await updateSession(session.dir, (manifest) => addTranscription(manifest, session.dir, result));
+            await indexSession(config, session.dir);
+        }
+
+        if (values.upload) {
+            const remoteName = session ? `${session.manifest.id}-${path.basename(result.filePath)}` : undefined;
+            const upload = await uploadToCloud(result.filePath, config.cloudStorage, remoteName);
+            console.log(chalk.white(`  🔗 Transcript: ${upload.shareLink}`));
+        }
+    }
+};
@@ -2,46 +2,69 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { validateConfig } from './configSchema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const CONFIG_PATH = path.join(__dirname, '../config/config.json');
 
 /**
- * Load and validate configuration from config.json
+ * Load and validate configuration
+ * @param {object} options - { config: path to the config file, profile: name of a profile in "profiles" }
+ *   Both fall back to ZOOM_RECORDER_CONFIG / ZOOM_RECORDER_PROFILE, then config/config.json and "defaultProfile"
  */
-export async function loadConfig() {
+export async function loadConfig(options = {}) {
+    const configPath = path.resolve(options.config || process.env.ZOOM_RECORDER_CONFIG || CONFIG_PATH);
+
     try {
-        const configData = await fs.readFile(CONFIG_PATH, 'utf-8');
-        const config = JSON.parse(configData);
+        const configData = await fs.readFile(configPath, 'utf-8');
 
-        // Validate required fields
-        if (!config.zoom || !config.zoom.meetingLink || !config.zoom.displayName) {
-            throw new Error('Missing required zoom configuration (meetingLink, displayName)');
+        let fileConfig;
+        try {
+            fileConfig = JSON.parse(configData);
+        } catch (error) {
+            throw new Error(`${configPath} is not valid JSON: ${error.message}`);
         }
 
-        if (!config.cloudStorage || !config.cloudStorage.provider) {
-            throw new Error('Missing cloudStorage.provider configuration');
+        const profile = options.profile || process.env.ZOOM_RECORDER_PROFILE || fileConfig.defaultProfile || null;
+        const config = resolveEnvReferences(applyProfile(fileConfig, profile));
+
+        const errors = validateConfig(config);
+
+        if (!Array.isArray(config.meetings) && !config.zoom && config.calendars?.length === 0) {
+            errors.push('meetings is required (or calendars, or the legacy zoom section with meetingLink and displayName)');
+        }
+        if (config.cloudStorage?.webdav?.chunking === 'nextcloud' && !config.cloudStorage.webdav.uploadsUrl) {
+            errors.push('cloudStorage.webdav.uploadsUrl is required when chunking is "nextcloud"');
+        }
+        if (errors.length === 0) {
+            errors.push(...checkStorageCredentials(config.cloudStorage));
         }
 
-        if (!['google-drive', 'onedrive', 'local'].includes(config.cloudStorage.provider)) {
-            throw new Error('cloudStorage.provider must be either "google-drive", "onedrive", or "local"');
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration in ${configPath}${profile ? ` (profile "${profile}")` : ''}:\n  - ${errors.join('\n  - ')}`);
         }
 
-        // Set defaults
-        config.recording = config.recording || {};
-        config.recording.outputDir = config.recording.outputDir || './recordings';
-        config.recording.quality = config.recording.quality || 'high';
+        // ai.transcriptionModel and ai.summaryModel are kept as shorthands for
+        // ai.transcription.model and ai.summary.model; unset models use the code's defaults
+        config.ai.transcription = {
+            ...(config.ai.transcriptionModel && { model: config.ai.transcriptionModel }),
+            ...config.ai.transcription
+        };
+        config.ai.summary = {
+            ...(config.ai.summaryModel && { model: config.ai.summaryModel }),
+            ...config.ai.summary
+        };
 
-        config.ai = config.ai || {};
-        config.ai.transcriptionModel = config.ai.transcriptionModel || 'whisper-1';
-        config.ai.summaryModel = config.ai.summaryModel || 'gpt-4';
+        config.meetings = normalizeMeetings(config);
+        config.configPath = configPath;
+        config.profile = profile;
 
-        console.log(chalk.green('✓ Configuration loaded successfully'));
+        console.log(chalk.green(`✓ Configuration loaded successfully${profile ? ` (profile: ${profile})` : ''}`));
         return config;
     } catch (error) {
         if (error.code === 'ENOENT') {
-            console.error(chalk.red('✗ Configuration file not found at:'), CONFIG_PATH);
+            console.error(chalk.red('✗ Configuration file not found at:'), configPath);
             console.error(chalk.yellow('Please copy config.json.example to config.json and fill in your details'));
         } else {
             console.error(chalk.red('✗ Error loading configuration:'), error.message);
@@ -50,3 +73,157 @@ export async function loadConfig() {
     }
 }
 
+/**
+ * Build the list of meetings to record.
+ * A config without a "meetings" array is treated as a single meeting built
+ * from the legacy "zoom" and "schedule" sections.
+ */
+function normalizeMeetings(config) {
+    if (!Array.isArray(config.meetings) && !config.zoom) {
+        return [];
+    }
+
+    const entries = Array.isArray(config.meetings)
+        ? config.meetings
+        : [{
+            ...config.zoom,
+            cronExpression: config.schedule?.cronExpression,
+            timezone: config.schedule?.timezone,
+            enabled: config.schedule?.enabled,
+        }];
+
+    const seenIds = new Set();
+
+    return entries.map((entry, index) => {
+        const meeting = normalizeMeeting(config, entry, `meeting-${index + 1}`);
+        if (seenIds.has(meeting.id)) {
+            throw new Error(`meetings[${index}] has a duplicate id "${meeting.id}"`);
+        }
+        seenIds.add(meeting.id);
+        return meeting;
+    });
+}
+
+/**
+ * Fill in a meeting's settings from the global ones (also used for meetings taken from calendars)
+ * @param {string} fallbackId - id to use when the entry has neither an id nor a name
+ */
+export function normalizeMeeting(config, entry, fallbackId) {
+    const id = entry.id || slugify(entry.name) || fallbackId;
+
+    return {
+        id,
+        name: entry.name || id,
+        meetingLink: entry.meetingLink,
+        password: entry.password || '',
+        displayName: entry.displayName || config.zoom?.displayName || 'Zoom Recorder',
+        attendees: entry.attendees || [],
+        cronExpression: entry.cronExpression || null,
+        timezone: entry.timezone || config.schedule?.timezone,
+        durationMinutes: entry.durationMinutes ?? config.schedule.durationMinutes ?? null,
+        graceMinutes: entry.graceMinutes ?? config.schedule.graceMinutes,
+        maxDurationMinutes: entry.maxDurationMinutes ?? config.schedule.maxDurationMinutes,
+        joinEarlyMinutes: entry.joinEarlyMinutes ?? config.schedule.joinEarlyMinutes,
+        joinTimeoutMinutes: entry.joinTimeoutMinutes ?? config.schedule.joinTimeoutMinutes,
+        enabled: entry.enabled !== false,
+        quality: entry.quality || config.recording.quality,
+        capture: { ...config.recording.capture, ...entry.capture },
+        silence: { ...config.recording.silence, ...entry.silence },
+        transcription: { ...config.ai.transcription, ...entry.transcription },
+        outputSubdir: entry.outputSubdir ?? (Array.isArray(config.meetings) ? id : ''),
+    };
+}
+
+/**
+ * Use a named profile: its settings are merged over the rest of the file
+ * Objects merge key by key; arrays and plain values are replaced
+ */
+function applyProfile(fileConfig, profile) {
+    const { profiles = {}, ...base } = fileConfig;
+    if (!profile) {
+        return base;
+    }
+
+    if (!Object.hasOwn(profiles, profile)) {
+        const available = Object.keys(profiles);
+        throw new Error(`Unknown profile "${profile}". ${available.length > 0 ? `Available: ${available.join(', ')}` : 'No profiles are defined'}`);
+    }
+    return mergeDeep(base, profiles[profile]);
+}
+
+function mergeDeep(target, source) {
+    const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+    const result = { ...target };
+
+    for (const [key, value] of Object.entries(source)) {
+        result[key] = isObject(value) && isObject(target[key]) ? mergeDeep(target[key], value) : value;
+    }
+    return result;
+}
+
+/**
+ * Replace ${NAME} (or ${NAME:-fallback}) in string values with environment variables,
+ * so secrets such as meeting passwords can stay out of the JSON file
+ */
+function resolveEnvReferences(config) {
+    const missing = [];
+
+    const resolve = (value, path) => {
+        if (typeof value === 'string') {
+            return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+                if (process.env[name] !== undefined) return process.env[name];
+                if (fallback !== undefined) return fallback;
+                missing.push(`${path} references \${${name}}, which is not set in the environment`);
+                return match;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => resolve(item, `${path}[${index}]`));
+        }
+        if (typeof value === 'object' && value !== null) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, path ? `${path}.${key}` : key)]));
+        }
+        return value;
+    };
+
+    const resolved = resolve(config, '');
+    if (missing.length > 0) {
+        throw new Error(`Missing environment variables:\n  - ${missing.join('\n  - ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Check that the chosen storage provider has its section and credentials
+ * @returns {string[]} problems found
+ */
+function checkStorageCredentials(cloudStorage) {
+    const errors = [];
+    const requireEnv = (names, what) => {
+        if (!names.some((name) => process.env[name])) {
+            errors.push(`Missing ${what}: set ${names.join(' or ')} in the environment`);
+        }
+    };
+
+    if (cloudStorage.provider === 's3') {
+        if (!cloudStorage.s3) {
+            errors.push('cloudStorage.s3 is required for the s3 provider');
+        }
+        requireEnv(['S3_ACCESS_KEY_ID', 'AWS_ACCESS_KEY_ID'], 'S3 access key');
+        requireEnv(['S3_SECRET_ACCESS_KEY', 'AWS_SECRET_ACCESS_KEY'], 'S3 secret key');
+    }
+
+    if (cloudStorage.provider === 'webdav') {
+        if (!cloudStorage.webdav) {
+            errors.push('cloudStorage.webdav is required for the webdav provider');
+        }
+        requireEnv(['WEBDAV_USERNAME'], 'WebDAV username');
+        requireEnv(['WEBDAV_PASSWORD'], 'WebDAV password');
+    }
+    return errors;
+}
+
+function slugify(value) {
+    if (!value) return '';
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,427 @@
+import cron from 'node-cron';
+import { CAPTURE_BACKENDS } from './captureBackends.js';
+import { TRANSCRIPTION_PROVIDERS } from './transcriptionProviders.js';
+import { STORAGE_PROVIDERS } from './cloudUpload.js';
+import { NOTIFIER_TYPES, NOTIFICATION_EVENTS, findUnknownPlaceholders } from './notifications.js';
+import { validateSchema } from './schema.js';
+import { checkMeetingLink } from './meetingLink.js';
+import { MEDIA_TYPES, MEDIA_AUDIO_CODECS, DEFAULT_MEDIA_PRESETS } from './mediaPresets.js';
+
+/**
+ * Schema for config.json (see schema.js for the subset of JSON Schema used)
+ * Defaults are the ones the code uses; models are left unset so each provider picks its own default
+ */
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const boolean = { type: 'boolean' };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const url = { type: 'string', check: checkUrl };
+const meetingLink = { type: 'string', check: checkMeetingLink };
+
+const captureProperties = {
+    backend: { enum: ['auto', ...CAPTURE_BACKENDS] },
+    display: { type: ['string', 'integer'] },
+    region: {
+        type: 'object',
+        required: ['width', 'height'],
+        properties: {
+            x: { type: 'integer', minimum: 0 },
+            y: { type: 'integer', minimum: 0 },
+            width: positiveInteger,
+            height: positiveInteger
+        }
+    },
+    audioDevice: {
+        type: ['string', 'integer', 'boolean'],
+        check: (value) => (value === true ? 'must be a device name or index, or false for no audio' : null)
+    }
+};
+
+const transcriptionProperties = {
+    provider: { enum: TRANSCRIPTION_PROVIDERS },
+    model: nonEmptyString,
+    language: nonEmptyString,
+    engine: { enum: ['whisper.cpp', 'faster-whisper'] },
+    binary: nonEmptyString,
+    args: { type: 'array', items: string },
+    baseUrl: url,
+    apiKeyEnv: nonEmptyString,
+    diarization: boolean,
+    chunking: {
+        type: 'object',
+        properties: {
+            enabled: boolean,
+            chunkSeconds: { type: 'number', minimum: 30 },
+            overlapSeconds: { type: 'number', minimum: 0 },
+            splitAtSilence: boolean,
+            silenceSearchSeconds: { type: 'number', minimum: 0 },
+            concurrency: positiveInteger,
+            retries: { type: 'integer', minimum: 0 }
+        }
+    }
+};
+
+const silenceProperties = {
+    enabled: boolean,
+    noiseDb: { type: 'number', maximum: 0 },
+    stopAfterSeconds: { type: 'number', minimum: 10 },
+    trim: boolean,
+    trimPaddingSeconds: { type: 'number', minimum: 0 }
+};
+
+const windowProperties = {
+    durationMinutes: { type: 'number', minimum: 1 },
+    graceMinutes: { type: 'number', minimum: 0 },
+    maxDurationMinutes: { type: 'number', minimum: 1 },
+    joinEarlyMinutes: { type: 'number', minimum: 0 },
+    joinTimeoutMinutes: { type: 'number', minimum: 1 }
+};
+
+// Settings of every media preset type; each type uses its own (see mediaPresets.js)
+const mediaPreset = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: MEDIA_TYPES },
+        label: nonEmptyString,
+        upload: boolean,
+        codec: { enum: MEDIA_AUDIO_CODECS },
+        bitrate: nonEmptyString,
+        channels: { type: 'integer', minimum: 1, maximum: 2 },
+        height: positiveInteger,
+        framerate: positiveInteger,
+        crf: { type: 'integer', minimum: 0, maximum: 51 },
+        preset: nonEmptyString,
+        audioBitrate: nonEmptyString,
+        atSeconds: { type: 'number', minimum: 0 },
+        width: positiveInteger,
+        count: positiveInteger,
+        columns: positiveInteger
+    }
+};
+
+const quality = { enum: ['high', 'medium', 'low'] };
+const cronExpression = { type: 'string', check: (value) => (cron.validate(value) ? null : 'is not a valid cron expression') };
+const timezone = { type: 'string', check: checkTimezone };
+
+const meeting = {
+    type: 'object',
+    required: ['meetingLink'],
+    properties: {
+        id: { type: 'string', check: (value) => (/^[a-z0-9][a-z0-9_-]*$/i.test(value) ? null : 'may only contain letters, digits, "-" and "_"') },
+        name: nonEmptyString,
+        meetingLink,
+        password: string,
+        displayName: nonEmptyString,
+        attendees: { type: 'array', items: nonEmptyString },
+        cronExpression,
+        timezone,
+        ...windowProperties,
+        enabled: boolean,
+        quality,
+        outputSubdir: string,
+        capture: { type: 'object', properties: captureProperties },
+        silence: { type: 'object', properties: silenceProperties },
+        transcription: { type: 'object', properties: transcriptionProperties }
+    }
+};
+
+// A calendar's meeting settings apply to every session created from its events
+const calendarMeetingProperties = Object.fromEntries(Object.entries(meeting.properties)
+    .filter(([key]) => !['id', 'name', 'meetingLink', 'cronExpression', 'enabled'].includes(key)));
+
+const calendar = {
+    type: 'object',
+    required: ['source'],
+    properties: {
+        name: nonEmptyString,
+        source: { type: 'string', check: checkCalendarSource },
+        enabled: boolean,
+        calendars: { type: 'array', items: nonEmptyString },
+        keywords: { type: 'array', items: nonEmptyString },
+        organizers: { type: 'array', items: nonEmptyString },
+        refreshMinutes: { type: 'number', minimum: 1 },
+        meeting: { type: 'object', properties: calendarMeetingProperties }
+    }
+};
+
+const template = {
+    type: 'string',
+    check: (value) => {
+        const unknown = findUnknownPlaceholders(value);
+        return unknown.length > 0 ? `uses unknown placeholder(s): ${unknown.map((name) => `{{${name}}}`).join(', ')}` : null;
+    }
+};
+const templates = {
+    type: 'object',
+    properties: Object.fromEntries(NOTIFICATION_EVENTS.map((event) => [event, {
+        type: 'object',
+        properties: { title: template, text: template }
+    }]))
+};
+
+const notifier = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: NOTIFIER_TYPES },
+        name: nonEmptyString,
+        events: { type: 'array', minItems: 1, items: { enum: NOTIFICATION_EVENTS } },
+        templates,
+        url,
+        headers: { type: 'object', additionalProperties: string },
+        from: nonEmptyString,
+        to: { type: 'array', minItems: 1, items: nonEmptyString },
+        smtp: {
+            type: 'object',
+            required: ['host'],
+            properties: {
+                host: nonEmptyString,
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                secure: boolean
+            }
+        }
+    },
+    check: (value) => {
+        if (value.type === 'email') {
+            return value.smtp && value.from && value.to ? null : 'needs smtp, from and to for email';
+        }
+        return value.url ? null : `needs a url for ${value.type}`;
+    }
+};
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['cloudStorage'],
+    properties: {
+        zoom: {
+            type: 'object',
+            required: ['meetingLink', 'displayName'],
+            properties: {
+                meetingLink,
+                password: string,
+                displayName: nonEmptyString
+            }
+        },
+        meetings: { type: 'array', minItems: 1, items: meeting },
+        calendars: { type: 'array', default: [], items: calendar },
+        schedule: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                cronExpression,
+                timezone,
+                durationMinutes: windowProperties.durationMinutes,
+                graceMinutes: { ...windowProperties.graceMinutes, default: 15 },
+                maxDurationMinutes: { ...windowProperties.maxDurationMinutes, default: 240 },
+                joinEarlyMinutes: { ...windowProperties.joinEarlyMinutes, default: 0 },
+                joinTimeoutMinutes: { ...windowProperties.joinTimeoutMinutes, default: 15 }
+            }
+        },
+        cloudStorage: {
+            type: 'object',
+            required: ['provider'],
+            properties: {
+                provider: { enum: STORAGE_PROVIDERS },
+                folderName: { type: 'string', minLength: 1, default: 'Zoom Recordings' },
+                chunkSizeMB: positiveInteger,
+                googleDrive: {
+                    type: 'object',
+                    properties: { apiBaseUrl: url, tokenUrl: url, shareWithAnyone: boolean }
+                },
+                oneDrive: {
+                    type: 'object',
+                    properties: { graphBaseUrl: url, tokenUrl: url, shareScope: { enum: ['organization', 'anonymous'] } }
+                },
+                s3: {
+                    type: 'object',
+                    required: ['bucket'],
+                    properties: {
+                        endpoint: url,
+                        region: nonEmptyString,
+                        bucket: nonEmptyString,
+                        prefix: string,
+                        forcePathStyle: boolean,
+                        presignExpiresSeconds: { type: 'integer', minimum: 1, maximum: 604800 }
+                    }
+                },
+                webdav: {
+                    type: 'object',
+                    required: ['url'],
+                    properties: {
+                        url,
+                        chunking: { enum: ['none', 'nextcloud'] },
+                        uploadsUrl: url
+                    }
+                }
+            }
+        },
+        recording: {
+            type: 'object',
+            default: {},
+            properties: {
+                outputDir: { type: 'string', minLength: 1, default: './recordings' },
+                quality: { ...quality, default: 'high' },
+                capture: {
+                    type: 'object',
+                    default: {},
+                    properties: { ...captureProperties, backend: { ...captureProperties.backend, default: 'auto' } }
+                },
+                silence: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        // Both change what gets recorded, so they are opt-in
+                        enabled: { type: 'boolean', default: false },
+                        noiseDb: { ...silenceProperties.noiseDb, default: -50 },
+                        stopAfterSeconds: { ...silenceProperties.stopAfterSeconds, default: 900 },
+                        trim: { type: 'boolean', default: false },
+                        trimPaddingSeconds: { ...silenceProperties.trimPaddingSeconds, default: 2 }
+                    }
+                },
+                segments: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        minutes: { type: 'number', minimum: 1, default: 10 },
+                        stallSeconds: { type: 'number', minimum: 10, default: 30 },
+                        maxRestarts: { type: 'integer', minimum: 0, default: 10 }
+                    }
+                },
+                diskSpace: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        reserveGB: { type: 'number', minimum: 0, default: 1 },
+                        onLowSpace: { enum: ['downgrade', 'refuse', 'warn'], default: 'downgrade' }
+                    }
+                },
+                retention: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        keepDays: { type: 'number', minimum: 1 },
+                        keepGB: { type: 'number', minimum: 0 },
+                        keepAudio: { type: 'boolean', default: true }
+                    }
+                }
+            }
+        },
+        ai: {
+            type: 'object',
+            default: {},
+            properties: {
+                transcriptionModel: nonEmptyString,
+                summaryModel: nonEmptyString,
+                transcription: {
+                    type: 'object',
+                    properties: { ...transcriptionProperties, provider: { ...transcriptionProperties.provider, default: 'gemini' } }
+                },
+                summary: {
+                    type: 'object',
+                    properties: {
+                        model: nonEmptyString,
+                        maxInputTokens: positiveInteger,
+                        sectionTokens: positiveInteger,
+                        concurrency: positiveInteger
+                    }
+                },
+                actionItems: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        model: nonEmptyString,
+                        maxAttempts: positiveInteger
+                    }
+                }
+            }
+        },
+        media: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                presets: {
+                    type: 'object',
+                    default: DEFAULT_MEDIA_PRESETS,
+                    additionalProperties: mediaPreset,
+                    // Preset names become file names
+                    check: (value) => Object.keys(value).find((name) => !/^[a-z0-9][a-z0-9_-]*$/i.test(name))
+                        ? 'names may only contain letters, digits, "-" and "_"'
+                        : null
+                }
+            }
+        },
+        postProcessing: {
+            type: 'object',
+            default: {},
+            properties: {
+                maxAttempts: { type: 'integer', minimum: 1, default: 5 },
+                backoffSeconds: { type: 'number', minimum: 0, default: 60 },
+                maxBackoffSeconds: { type: 'number', minimum: 0 },
+                jobsDir: nonEmptyString
+            }
+        },
+        notifications: {
+            type: 'object',
+            default: {},
+            properties: {
+                templates,
+                notifiers: { type: 'array', default: [], items: notifier }
+            }
+        },
+        dashboard: {
+            type: 'object',
+            default: {},
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                host: { ...nonEmptyString, default: '127.0.0.1' },
+                port: { type: 'integer', minimum: 0, maximum: 65535, default: 8787 }
+            }
+        },
+        profiles: { type: 'object', additionalProperties: { type: 'object' } },
+        defaultProfile: nonEmptyString
+    }
+};
+
+/**
+ * Validate a config against the schema, filling in defaults in place
+ * Unknown keys are reported too, so typos do not silently fall back to defaults
+ * @returns {string[]} every problem found, each starting with the path of the offending value
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+    return validateSchema(config, schema, 'config');
+}
+
+function checkUrl(value) {
+    try {
+        new URL(value);
+        return null;
+    } catch {
+        return 'must be a valid URL';
+    }
+}
+
+/**
+ * A calendar is an http(s) or webcal URL, or a path to an .ics file
+ */
+function checkCalendarSource(value) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && !/^(https?|webcal):\/\//i.test(value)) {
+        return 'must be an http(s) or webcal URL, or a path to an .ics file';
+    }
+    return value.trim() ? null : 'must not be empty';
+}
+
+function checkTimezone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return null;
+    } catch {
+        return 'is not a known IANA timezone (e.g. "America/Los_Angeles")';
+    }
+}
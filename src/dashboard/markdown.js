@@ -0,0 +1,107 @@
+/**
+ * Minimal Markdown to HTML for the summaries Gemini writes:
+ * headings, bullet and numbered lists, fenced code, rules, paragraphs,
+ * and inline bold, italic, code and http(s) links. Everything else is escaped.
+ * [MM:SS] and [HH:MM:SS] timestamps become links the dashboard uses to seek the player.
+ */
+export function renderMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.trim().startsWith('```')) {
+            flushParagraph();
+            closeList();
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith('```')) {
+                code.push(lines[i]);
+            }
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            closeList();
+            html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            closeList();
+            html.push('<hr>');
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (list && list.tag !== tag) closeList();
+            if (!list) list = { tag, items: [] };
+            list.items.push((bullet || numbered)[1]);
+        } else if (line.trim() === '') {
+            flushParagraph();
+            closeList();
+        } else if (list && /^\s+\S/.test(line)) {
+            // Continuation of the previous list item
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    }
+
+    flushParagraph();
+    closeList();
+    return html.join('\n');
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderInline(text) {
+    const codeSpans = [];
+
+    // Code spans are set aside first so nothing inside them is formatted
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        .replace(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g, (match, clock) => `<a href="#" class="timestamp" data-seek="${clockToSeconds(clock)}">[${clock}]</a>`)
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+function clockToSeconds(clock) {
+    return clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
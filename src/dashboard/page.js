@@ -0,0 +1,200 @@
+/**
+ * The dashboard's single page; everything it shows comes from the /api routes
+ */
+export function renderPage() {
+    return PAGE;
+}
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Zoom Recorder</title>
+<style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: #1f2328; background: #f6f8fa; display: flex; height: 100vh; }
+    aside { width: 320px; flex-shrink: 0; overflow-y: auto; background: #fff; border-right: 1px solid #d0d7de; }
+    main { flex: 1; overflow-y: auto; padding: 24px; }
+    h1 { font-size: 16px; margin: 16px; }
+    h2 { font-size: 13px; text-transform: uppercase; color: #656d76; margin: 16px 16px 8px; }
+    h3 { margin-top: 0; }
+    .panel { margin: 0 16px; }
+    .muted { color: #656d76; }
+    .live { color: #cf222e; font-weight: 600; }
+    ul.plain { list-style: none; margin: 0; padding: 0; }
+    .run { padding: 4px 0; }
+    .session { padding: 8px 16px; cursor: pointer; border-left: 3px solid transparent; }
+    .session:hover { background: #f6f8fa; }
+    .session.selected { background: #ddf4ff; border-left-color: #0969da; }
+    .status { font-size: 12px; padding: 0 6px; border-radius: 8px; background: #eaeef2; }
+    .status.done { background: #dafbe1; }
+    .status.failed, .status.interrupted { background: #ffebe9; }
+    .status.recording, .status.joining { background: #fff8c5; }
+    .layout { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 24px; align-items: start; }
+    video { width: 100%; background: #000; border-radius: 6px; }
+    .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px; margin-bottom: 16px; }
+    #transcript { max-height: calc(100vh - 120px); overflow-y: auto; }
+    .segment { display: flex; gap: 8px; padding: 4px; border-radius: 4px; }
+    .segment.current { background: #fff8c5; }
+    .speaker { font-weight: 600; }
+    a.timestamp { font-family: ui-monospace, monospace; color: #0969da; text-decoration: none; white-space: nowrap; }
+    a.timestamp:hover { text-decoration: underline; }
+    pre { background: #f6f8fa; padding: 8px; overflow-x: auto; }
+    .files a { margin-right: 12px; }
+</style>
+</head>
+<body>
+<aside>
+    <h1>🎥 Zoom Recorder</h1>
+    <h2>Now</h2>
+    <div class="panel" id="now"></div>
+    <h2>Next runs</h2>
+    <div class="panel"><ul class="plain" id="upcoming"></ul></div>
+    <h2>Sessions</h2>
+    <ul class="plain" id="sessions"></ul>
+</aside>
+<main id="detail"><p class="muted">Select a session.</p></main>
+<script>
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const formatDate = (iso) => iso ? new Date(iso).toLocaleString() : '';
+const formatClock = (seconds) => {
+    const s = Math.floor(seconds);
+    const pad = (n) => String(n).padStart(2, '0');
+    return (s >= 3600 ? Math.floor(s / 3600) + ':' : '') + pad(Math.floor(s / 60) % 60) + ':' + pad(s % 60);
+};
+const formatDuration = (seconds) => seconds == null ? '' : Math.round(seconds / 60) + ' min';
+const getJson = async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error((await res.json()).error);
+    return res.json();
+};
+
+// Search results link to /?session=<id>&t=<seconds>
+const params = new URLSearchParams(location.search);
+let selectedId = params.get('session') || decodeURIComponent(location.hash.slice(1));
+let seekTo = Number(params.get('t')) || 0;
+
+async function loadStatus() {
+    const status = await getJson('/api/status');
+    const now = [];
+    if (status.active) now.push('<div class="live">● Recording ' + escapeHtml(status.active.meeting) + ' since ' + formatDate(status.active.startedAt) + '</div>');
+    for (const session of status.recording) {
+        if (!status.active || status.active.meeting !== session.meeting) {
+            now.push('<div class="live">● ' + escapeHtml(session.meeting) + (session.actualStart ? ' since ' + formatDate(session.actualStart) : ' joining') + '</div>');
+        }
+    }
+    if (status.queued.length) now.push('<div class="muted">Queued: ' + status.queued.map(escapeHtml).join(', ') + '</div>');
+    document.getElementById('now').innerHTML = now.join('') || '<span class="muted">Not recording</span>';
+    document.getElementById('upcoming').innerHTML = status.upcoming.map((run) =>
+        '<li class="run">' + escapeHtml(run.meeting) + '<br><span class="muted">' + formatDate(run.nextRun) + '</span></li>'
+    ).join('') || '<li class="muted">Nothing scheduled</li>';
+}
+
+async function loadSessions() {
+    const sessions = await getJson('/api/sessions');
+    document.getElementById('sessions').innerHTML = sessions.map((session) =>
+        '<li class="session' + (session.id === selectedId ? ' selected' : '') + '" data-id="' + escapeHtml(session.id) + '">' +
+        '<div>' + escapeHtml(session.meeting.name) + '</div>' +
+        '<div class="muted">' + formatDate(session.actualStart || session.scheduledStart) + ' ' + formatDuration(session.durationSeconds) +
+        ' <span class="status ' + escapeHtml(session.status.split(':')[0]) + '">' + escapeHtml(session.status) + '</span></div></li>'
+    ).join('') || '<li class="session muted">No sessions recorded yet</li>';
+}
+
+async function showSession(id) {
+    selectedId = id;
+    location.hash = encodeURIComponent(id);
+    document.querySelectorAll('.session').forEach((el) => el.classList.toggle('selected', el.dataset.id === id));
+
+    const detail = document.getElementById('detail');
+    let session;
+    try {
+        session = await getJson('/api/sessions/' + encodeURIComponent(id));
+    } catch (error) {
+        detail.innerHTML = '<p class="muted">' + escapeHtml(error.message) + '</p>';
+        return;
+    }
+
+    const { manifest } = session;
+    const fileUrl = (name) => session.files.find((file) => file.name === name)?.url;
+    // Sessions pruned by the retention policy only have their audio left
+    const media = fileUrl('recording') || fileUrl('audio');
+    const video = media
+        ? '<video id="player" controls preload="metadata" src="' + media + '">' +
+          (fileUrl('subtitlesVtt') ? '<track kind="subtitles" label="Transcript" src="' + fileUrl('subtitlesVtt') + '">' : '') +
+          '</video>'
+        : '<p class="muted">No recording</p>';
+
+    let transcript;
+    if (session.segments.length) {
+        transcript = session.segments.map((segment, index) =>
+            '<div class="segment" data-index="' + index + '" data-start="' + segment.start + '">' +
+            '<a href="#" class="timestamp" data-seek="' + segment.start + '">' + formatClock(segment.start) + '</a>' +
+            '<div>' + (segment.speaker ? '<span class="speaker">' + escapeHtml(segment.speaker) + ':</span> ' : '') + escapeHtml(segment.text) + '</div></div>'
+        ).join('');
+    } else if (session.transcriptText) {
+        transcript = '<pre>' + escapeHtml(session.transcriptText) + '</pre>';
+    } else {
+        transcript = '<p class="muted">No transcript yet</p>';
+    }
+
+    detail.innerHTML =
+        '<h3>' + escapeHtml(manifest.meeting.name) + ' <span class="status ' + escapeHtml(session.status.split(':')[0]) + '">' + escapeHtml(session.status) + '</span></h3>' +
+        '<p class="muted">' + formatDate(manifest.actualStart || manifest.scheduledStart) + ' · ' + formatDuration(manifest.durationSeconds) +
+        (manifest.error ? ' · <span class="live">' + escapeHtml(manifest.error) + '</span>' : '') + '</p>' +
+        '<div class="layout"><div>' +
+        '<div class="card">' + video + '</div>' +
+        '<div class="card"><h3>Summary</h3>' + (session.summaryHtml || '<p class="muted">No summary yet</p>') + '</div>' +
+        '<div class="card files">' + session.files.map((file) => '<a href="' + file.url + '" target="_blank">' + escapeHtml(file.name) + '</a>').join('') + '</div>' +
+        '</div><div class="card" id="transcript"><h3>Transcript</h3>' + transcript + '</div></div>';
+
+    const player = document.getElementById('player');
+    if (player) {
+        player.addEventListener('timeupdate', () => highlightSegment(player.currentTime));
+        if (seekTo) {
+            player.currentTime = seekTo;
+            highlightSegment(seekTo);
+            document.querySelector('.segment.current')?.scrollIntoView({ block: 'center' });
+            seekTo = 0;
+        }
+    }
+}
+
+function highlightSegment(time) {
+    let current = null;
+    for (const el of document.querySelectorAll('.segment')) {
+        if (Number(el.dataset.start) <= time) current = el;
+        el.classList.remove('current');
+    }
+    if (current) current.classList.add('current');
+}
+
+document.addEventListener('click', (event) => {
+    const timestamp = event.target.closest('a.timestamp');
+    if (timestamp) {
+        event.preventDefault();
+        const player = document.getElementById('player');
+        if (player) {
+            player.currentTime = Number(timestamp.dataset.seek);
+            player.play();
+        }
+        return;
+    }
+    const session = event.target.closest('.session[data-id]');
+    if (session) showSession(session.dataset.id);
+});
+
+async function refresh() {
+    try {
+        await Promise.all([loadStatus(), loadSessions()]);
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+refresh().then(() => selectedId && showSession(selectedId));
+setInterval(refresh, 15000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,228 @@
+import http from 'http';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { listSessions, findSession, getArtifactPath, getSessionStatus } from '../sessionManifest.js';
+import { getUpcomingRuns, getSessionQueue } from '../scheduler.js';
+import { getCalendarRuns } from '../calendarSync.js';
+import { parseTranscriptText } from '../transcriptSegments.js';
+import { renderMarkdown } from './markdown.js';
+import { renderPage } from './page.js';
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4a': 'audio/mp4',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+/**
+ * Start the local dashboard: a session browser with video playback, transcripts and summaries
+ * GET /                              the page
+ * GET /api/status                    upcoming scheduled runs and the session recording now
+ * GET /api/sessions                  every session, newest first
+ * GET /api/sessions/:id              a session's manifest, transcript segments and rendered summary
+ * GET /api/sessions/:id/files/:name  an artifact from the manifest (supports Range requests)
+ * @param {object} config - loaded config; config.dashboard holds host and port
+ * @returns {Promise<http.Server>}
+ */
+export async function startDashboard(config) {
+    const { host, port } = config.dashboard;
+
+    const routes = [
+        [/^\/$/, () => ({ type: 'html', body: renderPage() })],
+        [/^\/api\/status$/, () => getStatus(config)],
+        [/^\/api\/sessions$/, () => getSessionList(config)],
+        [/^\/api\/sessions\/([^/]+)$/, (req, res, id) => getSessionDetail(config, id)],
+        [/^\/api\/sessions\/([^/]+)\/files\/([^/]+)$/, (req, res, id, name) => sendArtifact(config, req, res, id, name)]
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+
+            for (const [pattern, handler] of routes) {
+                const match = pathname.match(pattern);
+                if (!match) continue;
+
+                let params;
+                try {
+                    params = match.slice(1).map(decodeURIComponent);
+                } catch {
+                    return sendJson(res, 400, { error: 'Malformed URL' });
+                }
+
+                const result = await handler(req, res, ...params);
+                if (result?.type === 'html') {
+                    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                    res.end(result.body);
+                } else if (result !== undefined) {
+                    sendJson(res, 200, result);
+                }
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            const notFound = error.code === 'ENOENT' || error.message.startsWith('No session');
+            if (!res.headersSent) {
+                sendJson(res, notFound ? 404 : 500, { error: error.message });
+            } else {
+                res.destroy(error);
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    console.log(chalk.green(`✓ Dashboard running at http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`));
+    return server;
+}
+
+async function getStatus(config) {
+    const scheduled = [
+        ...config.meetings.filter((meeting) => meeting.enabled && meeting.cronExpression).map((meeting) => ({ meeting })),
+        ...getCalendarRuns()
+    ];
+    const queue = getSessionQueue();
+
+    // A scheduler in another process is visible through manifests that have no end yet
+    const recording = (await listSessions(config.recording.outputDir))
+        .filter(({ manifest }) => ['joining', 'recording'].includes(getSessionStatus(manifest)))
+        .map(({ manifest }) => ({ id: manifest.id, meeting: manifest.meeting.name, actualStart: manifest.actualStart }));
+
+    return {
+        upcoming: getUpcomingRuns(scheduled).map(({ meeting, nextRun, calendar }) => ({
+            meetingId: meeting.id,
+            meeting: meeting.name,
+            nextRun: nextRun.toISOString(),
+            cronExpression: meeting.cronExpression,
+            calendar: calendar || null,
+            timezone: meeting.timezone || null
+        })),
+        active: queue.active && { meeting: queue.active.meeting.name, startedAt: queue.active.startedAt },
+        queued: queue.pending.map(({ meeting }) => meeting.name),
+        recording
+    };
+}
+
+async function getSessionList(config) {
+    return (await listSessions(config.recording.outputDir)).map(({ manifest }) => ({
+        id: manifest.id,
+        meeting: manifest.meeting,
+        scheduledStart: manifest.scheduledStart,
+        actualStart: manifest.actualStart,
+        durationSeconds: manifest.durationSeconds,
+        status: getSessionStatus(manifest),
+        hasRecording: Boolean(manifest.artifacts.recording),
+        hasTranscript: Boolean(manifest.artifacts.transcript),
+        hasSummary: Boolean(manifest.artifacts.summary)
+    }));
+}
+
+async function getSessionDetail(config, id) {
+    const { dir, manifest } = await findSession(config.recording.outputDir, id);
+    const read = (name) => {
+        const filePath = getArtifactPath(dir, manifest, name);
+        return filePath ? fs.readFile(filePath, 'utf-8') : null;
+    };
+
+    // Prefer the typed segments sidecar; older sessions only have the [MM:SS] transcript text
+    const segmentsFile = await read('segments');
+    const transcriptText = segmentsFile ? null : await read('transcript');
+    const segments = segmentsFile
+        ? JSON.parse(segmentsFile).segments
+        : transcriptText ? parseTranscriptText(transcriptText) : [];
+
+    const summary = await read('summary');
+
+    return {
+        manifest,
+        status: getSessionStatus(manifest),
+        segments,
+        transcriptText: segments.length === 0 ? transcriptText : null,
+        summaryHtml: summary ? renderMarkdown(summary) : null,
+        files: Object.keys(manifest.artifacts).map((name) => ({
+            name,
+            url: `/api/sessions/${encodeURIComponent(manifest.id)}/files/${encodeURIComponent(name)}`
+        }))
+    };
+}
+
+/**
+ * Stream an artifact; a single "Range: bytes=start-end" request gets a 206 partial response so
+ * browsers can seek in the video without downloading all of it
+ */
+async function sendArtifact(config, req, res, id, name) {
+    const { dir, manifest } = await findSession(config.recording.outputDir, id);
+    const filePath = getArtifactPath(dir, manifest, name);
+    if (!filePath) {
+        sendJson(res, 404, { error: `Session "${id}" has no ${name}` });
+        return;
+    }
+
+    const { size } = await fs.stat(filePath);
+    const headers = {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes'
+    };
+
+    const range = parseRange(req.headers.range, size);
+    if (range === 'invalid') {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+        res.end();
+        return;
+    }
+
+    const { start, end } = range || { start: 0, end: size - 1 };
+    res.writeHead(range ? 206 : 200, {
+        ...headers,
+        'Content-Length': String(size === 0 ? 0 : end - start + 1),
+        ...(range && { 'Content-Range': `bytes ${start}-${end}/${size}` })
+    });
+
+    if (req.method === 'HEAD' || size === 0) {
+        res.end();
+        return;
+    }
+    createReadStream(filePath, { start, end }).on('error', (error) => res.destroy(error)).pipe(res);
+}
+
+/**
+ * Parse a Range header: null when absent (or not a single byte range), "invalid" when unsatisfiable
+ */
+function parseRange(header, size) {
+    const match = header?.match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    return start > end || start >= size ? 'invalid' : { start, end };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
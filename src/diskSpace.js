@@ -0,0 +1,168 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { estimateRecordingBytes, QUALITY_PRESETS } from './screenRecorder.js';
+import { listSessions, updateSession, addArtifact, getArtifactPath, getSessionStatus, SESSION_FILES } from './sessionManifest.js';
+import { indexSession } from './searchIndex.js';
+
+/**
+ * Disk space for recordings
+ * Before a session, checkDiskSpace() compares the free space under recording.outputDir with what the recording
+ * may take, and picks a smaller quality preset (or refuses) when it would not fit.
+ * The retention policy (recording.retention) deletes the video of older sessions: videos are kept for keepDays
+ * and up to keepGB in total, newest first. Transcripts, summaries and the rest of the session folder are kept,
+ * and with keepAudio the audio track is kept as recording.m4a. Only sessions whose post-processing is done are pruned.
+ */
+
+const GB = 1024 ** 3;
+
+// While the segments are joined, the recording is on disk twice
+const JOIN_FACTOR = 2;
+
+/**
+ * Check that a session's recording fits on disk
+ * @param {number} expectedSeconds - how long the recording may run
+ * @returns {Promise<{quality: string, freeBytes: number, neededBytes: number}>} quality is the preset to record with
+ * @throws {Error} when even the smallest preset does not fit and recording.diskSpace.onLowSpace allows no other way out
+ */
+export async function checkDiskSpace(config, meeting, expectedSeconds) {
+    const options = config.recording.diskSpace;
+    await fs.mkdir(config.recording.outputDir, { recursive: true });
+    const stats = await fs.statfs(config.recording.outputDir);
+    const freeBytes = stats.bavail * stats.bsize;
+    const usableBytes = freeBytes - options.reserveGB * GB;
+
+    const neededFor = (quality) => estimateRecordingBytes(quality, expectedSeconds) * JOIN_FACTOR;
+    const needed = neededFor(meeting.quality);
+    if (needed <= usableBytes) {
+        return { quality: meeting.quality, freeBytes, neededBytes: needed };
+    }
+
+    const shortage = `${formatSize(freeBytes)} free in ${config.recording.outputDir}, ${meeting.quality} quality needs about ${formatSize(needed + options.reserveGB * GB)} ` +
+        `for ${Math.round(expectedSeconds / 60)} min (including the ${options.reserveGB} GB reserve)`;
+    if (options.onLowSpace === 'downgrade') {
+        const smaller = QUALITY_PRESETS.slice(QUALITY_PRESETS.indexOf(meeting.quality) + 1).find((quality) => neededFor(quality) <= usableBytes);
+        if (smaller) {
+            console.warn(chalk.yellow(`⚠ Low disk space: ${shortage}. Recording in ${smaller} quality instead`));
+            return { quality: smaller, freeBytes, neededBytes: neededFor(smaller) };
+        }
+    }
+    if (options.onLowSpace === 'warn') {
+        console.warn(chalk.yellow(`⚠ Low disk space: ${shortage}. Recording anyway`));
+        return { quality: meeting.quality, freeBytes, neededBytes: needed };
+    }
+    const smallest = QUALITY_PRESETS[QUALITY_PRESETS.length - 1];
+    throw new Error(`Not enough disk space${options.onLowSpace === 'downgrade' && meeting.quality !== smallest ? `, even in ${smallest} quality` : ''}: ${shortage}`);
+}
+
+/**
+ * Which session videos the retention policy would delete, oldest last
+ * Sessions still recording or being processed count towards keepGB but are never pruned
+ * @returns {Promise<Array<{dir: string, manifest: object, sizeBytes: number, reason: string}>>}
+ */
+export async function planPrune(config, now = new Date()) {
+    const { keepDays, keepGB } = config.recording.retention;
+    const cutoff = keepDays ? now.getTime() - keepDays * 24 * 60 * 60 * 1000 : null;
+    const plan = [];
+    let keptBytes = 0;
+    let overBudget = false;
+
+    for (const { dir, manifest } of await listSessions(config.recording.outputDir)) {
+        const video = manifest.artifacts.recording;
+        if (!video) continue;
+
+        // Once a video does not fit in keepGB, every older one is over it too, even if it is smaller
+        overBudget = overBudget || Boolean(keepGB && keptBytes + video.sizeBytes > keepGB * GB);
+        const ended = new Date(manifest.actualEnd || manifest.createdAt).getTime();
+        const reason = cutoff !== null && ended < cutoff
+            ? `older than ${keepDays} days`
+            : overBudget ? `over ${keepGB} GB of video` : null;
+
+        if (reason && getSessionStatus(manifest) === 'done') {
+            plan.push({ dir, manifest, sizeBytes: video.sizeBytes, reason });
+        } else {
+            keptBytes += video.sizeBytes;
+        }
+    }
+    return plan;
+}
+
+/**
+ * Apply the retention policy
+ * @param {object} [options] - { dryRun: only list what would be deleted }
+ * @returns {Promise<{plan: Array, freedBytes: number}>} plan as from planPrune(); freedBytes counts what was deleted
+ */
+export async function pruneRecordings(config, { dryRun = false } = {}) {
+    const plan = await planPrune(config);
+    if (dryRun) {
+        return { plan, freedBytes: 0 };
+    }
+
+    let freedBytes = 0;
+    let removed = 0;
+    for (const entry of plan) {
+        try {
+            freedBytes += await pruneSession(config, entry);
+            removed++;
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠ Could not prune ${entry.manifest.id}, keeping its video: ${error.message}`));
+        }
+    }
+
+    if (removed > 0) {
+        console.log(chalk.green(`✓ Retention: removed ${removed} video(s), ${formatSize(freedBytes)} freed`));
+    }
+    return { plan, freedBytes };
+}
+
+/**
+ * Bytes as "12.3 GB", or "512 MB" below a gigabyte
+ */
+export function formatSize(bytes) {
+    return bytes >= GB ? `${(bytes / GB).toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+/**
+ * Replace a session's video with its audio track (when keepAudio is set) and record it in the manifest
+ * @returns {Promise<number>} bytes freed
+ */
+async function pruneSession(config, { dir, manifest, sizeBytes }) {
+    const videoPath = getArtifactPath(dir, manifest, 'recording');
+
+    if (config.recording.retention.keepAudio) {
+        const audioPath = path.join(dir, SESSION_FILES.audio);
+        await extractAudio(videoPath, audioPath);
+        sizeBytes -= (await fs.stat(audioPath)).size;
+    }
+
+    await updateSession(dir, async (current) => {
+        if (config.recording.retention.keepAudio) {
+            await addArtifact(current, dir, 'audio', path.join(dir, SESSION_FILES.audio));
+        }
+        delete current.artifacts.recording;
+        current.pruned = { at: new Date().toISOString(), videoBytes: manifest.artifacts.recording.sizeBytes };
+    });
+    await fs.rm(videoPath, { force: true });
+    await indexSession(config, dir);
+
+    console.log(chalk.gray(`   ✗ ${manifest.id}: video removed${config.recording.retention.keepAudio ? ', audio kept' : ''}`));
+    return sizeBytes;
+}
+
+/**
+ * Copy the audio track out of a recording without re-encoding it
+ */
+async function extractAudio(videoPath, audioPath) {
+    await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .outputOptions(['-vn', '-map 0:a', '-c:a copy', '-movflags +faststart'])
+            .output(audioPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    }).catch(async (error) => {
+        await fs.unlink(audioPath).catch(() => { });
+        throw new Error(`Could not extract the audio: ${error.message}`);
+    });
+}
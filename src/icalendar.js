@@ -0,0 +1,559 @@
+import chalk from 'chalk';
+
+/**
+ * iCalendar (RFC 5545) events
+ * parseCalendar() reads the VEVENTs and VTIMEZONEs of an .ics file; expandEvents() turns them into the
+ * instances that start within a time range, expanding RRULE and RDATE, dropping EXDATEs and cancelled
+ * events, and applying instances moved or changed by a RECURRENCE-ID override.
+ * Recurrences are expanded in local wall-clock time, so a weekly 09:00 meeting stays at 09:00 across
+ * daylight saving changes; local times are converted with the IANA database (Intl), or with the VTIMEZONE
+ * definitions in the file for the Windows zone names Outlook uses.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit for rules that never produce an instance (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_PERIODS = 50000;
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Windows timezone names (Outlook, Exchange) for when a file has no VTIMEZONE for them
+const WINDOWS_ZONES = {
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Central Standard Time': 'America/Chicago',
+    'Eastern Standard Time': 'America/New_York',
+    'Atlantic Standard Time': 'America/Halifax',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Israel Standard Time': 'Asia/Jerusalem',
+    'Arabian Standard Time': 'Asia/Dubai',
+    'India Standard Time': 'Asia/Kolkata',
+    'SE Asia Standard Time': 'Asia/Bangkok',
+    'China Standard Time': 'Asia/Shanghai',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+/**
+ * Parse the text of an .ics file
+ * @returns {{name: string|null, timezone: string|null, timezones: object, events: Array}} name and timezone
+ *   come from X-WR-CALNAME and X-WR-TIMEZONE; timezones holds the VTIMEZONE definitions by TZID
+ */
+export function parseCalendar(text) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    // Long lines are folded onto continuation lines that start with a space or tab
+    for (const line of text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n')) {
+        const property = parseProperty(line);
+        if (!property) continue;
+
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+            stack.at(-1).components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            stack.at(-1).properties.push(property);
+        }
+    }
+
+    const calendar = root.components.find((component) => component.name === 'VCALENDAR');
+    if (!calendar) {
+        throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+    }
+
+    const value = (name) => calendar.properties.find((p) => p.name === name)?.value.trim() || null;
+    return {
+        name: value('X-WR-CALNAME') && unescapeText(value('X-WR-CALNAME')),
+        timezone: value('X-WR-TIMEZONE'),
+        timezones: Object.fromEntries(calendar.components
+            .filter((component) => component.name === 'VTIMEZONE')
+            .map(readTimezone)
+            .map((timezone) => [timezone.tzid, timezone])),
+        events: calendar.components
+            .filter((component) => component.name === 'VEVENT')
+            .map(readEvent)
+            .filter((event) => event.start)
+    };
+}
+
+/**
+ * The instances of a calendar's events that start within [from, to), soonest first
+ * All-day events are left out: they are not meetings to join.
+ * @param {object} options - { from: Date, to: Date, timezone: for times without a zone (default: the calendar's, then the system's) }
+ * @returns {Array<{uid: string, recurrenceId: string, start: Date, end: Date|null, timezone: string, summary: string,
+ *   description: string, location: string, url: string, conference: string[], organizer: object|null, attendees: Array}>}
+ *   recurrenceId identifies the instance within its series (the ISO time it was originally scheduled for)
+ */
+export function expandEvents(calendar, { from, to, timezone = null }) {
+    const fallbackZone = resolveZone(calendar.timezone, calendar) || resolveZone(timezone, calendar) ||
+        resolveZone(Intl.DateTimeFormat().resolvedOptions().timeZone, calendar);
+    const unknownZones = new Set();
+    const zoneOf = (tzid) => {
+        const zone = tzid ? resolveZone(tzid, calendar) : fallbackZone;
+        if (!zone) {
+            if (unknownZones.has(tzid)) return fallbackZone;
+            unknownZones.add(tzid);
+            console.warn(chalk.yellow(`⚠ Unknown timezone "${tzid}" in calendar, using ${fallbackZone.name}`));
+            return fallbackZone;
+        }
+        return zone;
+    };
+    const toUtc = (value) => (value.utc ? value.local : zoneOf(value.tzid).toUtc(value.local));
+
+    const timed = calendar.events.filter((event) => !event.start.allDay);
+    const overrides = new Map(timed
+        .filter((event) => event.recurrenceId)
+        .map((event) => [`${event.uid}\u0000${toUtc(event.recurrenceId)}`, event]));
+    const cancelled = new Set(timed.filter((event) => !event.recurrenceId && event.status === 'CANCELLED').map((event) => event.uid));
+    const usedOverrides = new Set();
+
+    const instances = [];
+    const addInstance = (event, originalStart, zone) => {
+        const start = toUtc(event.start);
+        const end = event.end ? toUtc(event.end) : event.duration !== null ? start + event.duration : null;
+        if (event.status === 'CANCELLED' || start < from.getTime() || start >= to.getTime()) {
+            return;
+        }
+        instances.push({
+            uid: event.uid,
+            recurrenceId: new Date(originalStart).toISOString(),
+            start: new Date(start),
+            end: end !== null && end > start ? new Date(end) : null,
+            timezone: zone.name || fallbackZone.name,
+            summary: event.summary,
+            description: event.description,
+            location: event.location,
+            url: event.url,
+            conference: event.conference,
+            organizer: event.organizer,
+            attendees: event.attendees
+        });
+    };
+
+    for (const event of timed.filter((e) => !e.recurrenceId && e.status !== 'CANCELLED')) {
+        const zone = zoneOf(event.start.tzid);
+        const start = toUtc(event.start);
+        const duration = event.end ? toUtc(event.end) - start : event.duration;
+
+        let starts = [start];
+        if (event.rule) {
+            if (!RULE_PERIODS[event.rule.freq]) {
+                console.warn(chalk.yellow(`⚠ "${event.summary}" repeats ${event.rule.freq}, which is not supported; only its first instance is used`));
+            } else {
+                // A day of margin for the difference between wall-clock and UTC time
+                const toEventUtc = (time) => (event.start.utc ? time : zone.toUtc(time));
+                starts = expandRule(event.rule, event.start.local, { until: to.getTime() + DAY_MS, toUtc: toEventUtc }).map(toEventUtc);
+            }
+        }
+
+        const excluded = new Set(event.exdates.map(toUtc));
+        for (const time of new Set([...starts, ...event.rdates.map(toUtc)])) {
+            const key = `${event.uid}\u0000${time}`;
+            if (excluded.has(time)) continue;
+
+            if (overrides.has(key)) {
+                usedOverrides.add(key);
+                addInstance(overrides.get(key), time, zoneOf(overrides.get(key).start.tzid));
+            } else {
+                const end = duration !== null ? { local: time + duration, utc: true } : null;
+                addInstance({ ...event, start: { local: time, utc: true }, end }, time, zone);
+            }
+        }
+    }
+
+    // Instances moved here from beyond the expanded range, and overrides shared without their series
+    for (const [key, override] of overrides) {
+        if (!usedOverrides.has(key) && !cancelled.has(override.uid)) {
+            addInstance(override, Number(key.split('\u0000')[1]), zoneOf(override.start.tzid));
+        }
+    }
+
+    return instances.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Split "NAME;PARAM=value;PARAM="quoted:value":value" into its parts
+ */
+function parseProperty(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) return null;
+
+    const [name, ...parts] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    for (const part of parts) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+        }
+    }
+    return { name: name.trim().toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function readEvent(component) {
+    const get = (name) => component.properties.find((p) => p.name === name);
+    const all = (name) => component.properties.filter((p) => p.name === name);
+    const text = (name) => (get(name) ? unescapeText(get(name).value) : '');
+    const dates = (name) => all(name)
+        .flatMap((p) => p.value.split(',').map((value) => parseDateValue({ ...p, value })))
+        .filter(Boolean);
+
+    return {
+        uid: get('UID')?.value.trim() || `${get('DTSTART')?.value}-${text('SUMMARY')}`,
+        summary: text('SUMMARY'),
+        description: text('DESCRIPTION'),
+        location: text('LOCATION'),
+        url: get('URL')?.value.trim() || '',
+        conference: [...all('CONFERENCE'), ...all('X-GOOGLE-CONFERENCE')].map((p) => p.value.trim()),
+        status: (get('STATUS')?.value.trim() || 'CONFIRMED').toUpperCase(),
+        start: get('DTSTART') ? parseDateValue(get('DTSTART')) : null,
+        end: get('DTEND') ? parseDateValue(get('DTEND')) : null,
+        duration: get('DURATION') ? parseDuration(get('DURATION').value) : null,
+        rule: get('RRULE') ? parseRule(get('RRULE').value) : null,
+        exdates: dates('EXDATE'),
+        rdates: dates('RDATE'),
+        recurrenceId: get('RECURRENCE-ID') ? parseDateValue(get('RECURRENCE-ID')) : null,
+        organizer: get('ORGANIZER') ? readPerson(get('ORGANIZER')) : null,
+        attendees: all('ATTENDEE')
+            .filter((p) => !['ROOM', 'RESOURCE'].includes((p.params.CUTYPE || '').toUpperCase()))
+            .map(readPerson)
+    };
+}
+
+function readPerson(property) {
+    return {
+        name: property.params.CN ? unescapeText(property.params.CN) : null,
+        email: property.value.trim().replace(/^mailto:/i, '') || null
+    };
+}
+
+function readTimezone(component) {
+    const get = (observance, name) => observance.properties.find((p) => p.name === name);
+    return {
+        tzid: component.properties.find((p) => p.name === 'TZID')?.value.trim(),
+        observances: component.components
+            .filter((observance) => ['STANDARD', 'DAYLIGHT'].includes(observance.name) && get(observance, 'DTSTART'))
+            .map((observance) => ({
+                start: parseDateValue(get(observance, 'DTSTART')).local,
+                offsetFrom: parseOffset(get(observance, 'TZOFFSETFROM')?.value),
+                offsetTo: parseOffset(get(observance, 'TZOFFSETTO')?.value),
+                rule: get(observance, 'RRULE') ? parseRule(get(observance, 'RRULE').value) : null,
+                rdates: observance.properties
+                    .filter((p) => p.name === 'RDATE')
+                    .flatMap((p) => p.value.split(',').map((value) => parseDateValue({ ...p, value })?.local))
+                    .filter((time) => time !== undefined)
+            }))
+    };
+}
+
+/**
+ * A DATE or DATE-TIME value
+ * local is the wall-clock time as if it were UTC (the actual UTC time when utc is set); tzid names its zone
+ * @returns {{local: number, utc: boolean, allDay: boolean, tzid: string|null}|null} null for values that are not dates (e.g. PERIODs)
+ */
+function parseDateValue(property) {
+    const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+    return {
+        local: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)),
+        utc: Boolean(utc),
+        allDay: match[4] === undefined,
+        tzid: utc ? null : property.params.TZID || null
+    };
+}
+
+/**
+ * A DURATION ("PT45M", "P1DT2H", "P1W") in milliseconds
+ */
+function parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60000 + Number(seconds) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * A UTC offset ("-0800", "+0530") in milliseconds
+ */
+function parseOffset(value = '+0000') {
+    const match = value.trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) return 0;
+    const ms = ((Number(match[2]) * 60 + Number(match[3])) * 60 + Number(match[4] || 0)) * 1000;
+    return match[1] === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+    const parts = Object.fromEntries(value.trim().split(';')
+        .map((part) => part.split('='))
+        .map(([key, item = '']) => [key.toUpperCase(), item.toUpperCase()]));
+    const numbers = (key) => (parts[key] ? parts[key].split(',').map(Number).filter((n) => Number.isInteger(n) && n !== 0) : []);
+
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, Number(parts.INTERVAL) || 1),
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until: parts.UNTIL ? parseDateValue({ value: parts.UNTIL, params: {} }) : null,
+        byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+            .map((day) => day.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+            .filter(Boolean)
+            .map((match) => ({ ordinal: match[1] ? Number(match[1]) : 0, weekday: WEEKDAYS[match[2]] })),
+        byMonthDay: numbers('BYMONTHDAY'),
+        byMonth: numbers('BYMONTH'),
+        bySetPos: numbers('BYSETPOS'),
+        weekStart: WEEKDAYS[parts.WKST] ?? WEEKDAYS.MO
+    };
+}
+
+/**
+ * Candidate days (as day numbers since 1970-01-01) of the nth period of a rule, in order
+ */
+const RULE_PERIODS = {
+    DAILY: (rule, startDay, n) => {
+        const day = startDay + n * rule.interval;
+        const { month } = splitDay(day);
+        const matches = (rule.byMonth.length === 0 || rule.byMonth.includes(month)) &&
+            (rule.byMonthDay.length === 0 || rule.byMonthDay.some((d) => monthDay(day, d) === day)) &&
+            (rule.byDay.length === 0 || rule.byDay.some((d) => d.weekday === weekday(day)));
+        return { first: day, days: matches ? [day] : [] };
+    },
+    WEEKLY: (rule, startDay, n) => {
+        const first = startDay - ((weekday(startDay) - rule.weekStart + 7) % 7) + n * 7 * rule.interval;
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [weekday(startDay)];
+        const days = Array.from({ length: 7 }, (_, i) => first + i)
+            .filter((day) => weekdays.includes(weekday(day)))
+            .filter((day) => rule.byMonth.length === 0 || rule.byMonth.includes(splitDay(day).month));
+        return { first, days };
+    },
+    MONTHLY: (rule, startDay, n) => {
+        const { year, month } = splitDay(startDay);
+        const index = month - 1 + n * rule.interval;
+        const [y, m] = [year + Math.floor(index / 12), (index % 12) + 1];
+        return { first: dayNumber(y, m, 1), days: daysInMonth(rule, y, m, startDay) };
+    },
+    YEARLY: (rule, startDay, n) => {
+        const { year, month } = splitDay(startDay);
+        const y = year + n * rule.interval;
+        const first = dayNumber(y, 1, 1);
+
+        // BYDAY without BYMONTH counts weekdays within the whole year ("20MO" is the 20th Monday)
+        if (rule.byMonth.length === 0 && rule.byDay.length > 0 && rule.byMonthDay.length === 0) {
+            const length = dayNumber(y + 1, 1, 1) - first;
+            return { first, days: Array.from({ length }, (_, i) => first + i).filter((day) => matchesWeekday(rule.byDay, day, first, length)) };
+        }
+
+        const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [month];
+        return { first, days: months.flatMap((m) => daysInMonth(rule, y, m, startDay)) };
+    }
+};
+
+/**
+ * Wall-clock start times of a rule's instances, from its DTSTART up to until (both wall-clock)
+ * COUNT and UNTIL are applied; toUtc converts a wall-clock time for comparison with a UTC UNTIL
+ */
+function expandRule(rule, start, { until, toUtc }) {
+    const startDay = Math.floor(start / DAY_MS);
+    const timeOfDay = start - startDay * DAY_MS;
+    const times = [];
+
+    for (let n = 0; n < MAX_PERIODS; n++) {
+        const { first, days } = RULE_PERIODS[rule.freq](rule, startDay, n);
+        if (first * DAY_MS > until) break;
+
+        for (const day of selectPositions(days, rule.bySetPos)) {
+            const time = day * DAY_MS + timeOfDay;
+            if (time < start) continue;
+            if (time > until || isAfterUntil(rule, time, toUtc)) return times;
+
+            times.push(time);
+            if (rule.count !== null && times.length >= rule.count) return times;
+        }
+    }
+    return times;
+}
+
+function isAfterUntil(rule, time, toUtc) {
+    if (!rule.until) return false;
+    if (rule.until.utc) return toUtc(time) > rule.until.local;
+    return time > rule.until.local + (rule.until.allDay ? DAY_MS - 1 : 0);
+}
+
+function selectPositions(days, positions) {
+    if (positions.length === 0) return days;
+    const picked = positions.map((position) => days[position > 0 ? position - 1 : days.length + position]);
+    return [...new Set(picked.filter((day) => day !== undefined))].sort((a, b) => a - b);
+}
+
+function daysInMonth(rule, year, month, startDay) {
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+
+    const first = dayNumber(year, month, 1);
+    const length = dayNumber(year, month + 1, 1) - first;
+    let days = Array.from({ length }, (_, i) => first + i);
+
+    if (rule.byMonthDay.length > 0) {
+        days = days.filter((day) => rule.byMonthDay.some((d) => monthDay(day, d) === day));
+    }
+    if (rule.byDay.length > 0) {
+        days = days.filter((day) => matchesWeekday(rule.byDay, day, first, length));
+    }
+    if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+        days = days.filter((day) => day - first + 1 === splitDay(startDay).date);
+    }
+    return days;
+}
+
+/**
+ * Whether a day is one of the BYDAY weekdays, counting ordinals ("2TU", "-1FR") within first..first+length
+ */
+function matchesWeekday(byDay, day, first, length) {
+    return byDay.some(({ ordinal, weekday: wanted }) => {
+        if (weekday(day) !== wanted) return false;
+        if (ordinal > 0) return Math.floor((day - first) / 7) + 1 === ordinal;
+        if (ordinal < 0) return Math.floor((first + length - 1 - day) / 7) + 1 === -ordinal;
+        return true;
+    });
+}
+
+/**
+ * The day of the month a BYMONTHDAY value (negative counts from the end) stands for, in the month of day
+ */
+function monthDay(day, value) {
+    const { year, month } = splitDay(day);
+    const first = dayNumber(year, month, 1);
+    const length = dayNumber(year, month + 1, 1) - first;
+    if (Math.abs(value) > length) return null;
+    return value > 0 ? first + value - 1 : first + length + value;
+}
+
+function dayNumber(year, month, date) {
+    return Math.round(Date.UTC(year, month - 1, date) / DAY_MS);
+}
+
+function splitDay(day) {
+    const date = new Date(day * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, date: date.getUTCDate() };
+}
+
+function weekday(day) {
+    // 1970-01-01 was a Thursday
+    return (((day + 4) % 7) + 7) % 7;
+}
+
+/**
+ * A zone that converts wall-clock times to UTC, or null when the TZID is not known
+ * IANA names are used directly; other names (Outlook's "Pacific Standard Time", Mozilla's
+ * "/mozilla.org/.../Europe/Berlin") go through the file's VTIMEZONE or a list of known names
+ * @returns {{name: string|null, toUtc(local: number): number}|null} name is the IANA zone, when known
+ */
+function resolveZone(tzid, calendar) {
+    if (!tzid) return null;
+
+    const iana = [tzid, tzid.split('/').slice(-2).join('/')].find(isIanaZone);
+    if (iana) {
+        return { name: iana, toUtc: (local) => ianaToUtc(local, iana) };
+    }
+
+    const definition = calendar.timezones[tzid];
+    if (definition?.observances.length > 0) {
+        const name = isIanaZone(WINDOWS_ZONES[tzid]) ? WINDOWS_ZONES[tzid] : null;
+        return { name, toUtc: (local) => local - definitionOffset(definition, local) };
+    }
+
+    return isIanaZone(WINDOWS_ZONES[tzid])
+        ? { name: WINDOWS_ZONES[tzid], toUtc: (local) => ianaToUtc(local, WINDOWS_ZONES[tzid]) }
+        : null;
+}
+
+function isIanaZone(name) {
+    if (!name || !/^[A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)*$/.test(name)) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * The UTC time of a wall-clock time in an IANA zone
+ * Times skipped by a daylight saving change move forward; repeated times take the first occurrence
+ */
+function ianaToUtc(local, zone) {
+    const guess = local - zoneOffset(local, zone);
+    const offset = zoneOffset(guess, zone);
+    return offset === zoneOffset(local - offset, zone) ? local - offset : guess;
+}
+
+function zoneOffset(time, zone) {
+    if (!zoneFormatters.has(zone)) {
+        zoneFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = Object.fromEntries(zoneFormatters.get(zone).formatToParts(new Date(time)).map((p) => [p.type, Number(p.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The UTC offset a VTIMEZONE gives a wall-clock time: that of the observance that began most recently
+ */
+function definitionOffset(definition, local) {
+    let latest = null;
+    for (const observance of definition.observances) {
+        const onsets = observance.rule
+            ? expandRule(observance.rule, observance.start, { until: local, toUtc: (time) => time - observance.offsetFrom })
+            : [observance.start];
+        const onset = Math.max(...[...onsets, ...observance.rdates].filter((time) => time <= local));
+        if (Number.isFinite(onset) && (!latest || onset > latest.onset)) {
+            latest = { onset, offset: observance.offsetTo };
+        }
+    }
+
+    if (latest) return latest.offset;
+    const earliest = [...definition.observances].sort((a, b) => a.start - b.start)[0];
+    return earliest.offsetFrom;
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * On-disk job queue for post-processing
+ * A job is one JSON file holding an ordered list of steps, each with its own retry state:
+ * { status: pending|running|retrying|done|failed, attempts, lastError, nextAttemptAt, result }
+ * Steps run in order and a step only runs once every step before it is done.
+ */
+
+const DEFAULT_RETRY = {
+    maxAttempts: 5,
+    backoffSeconds: 60,
+    maxBackoffSeconds: 6 * 60 * 60
+};
+
+/**
+ * Create and save a job whose steps all start as pending
+ */
+export async function createJob(jobsDir, fields, stepNames) {
+    const job = {
+        ...fields,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        steps: Object.fromEntries(stepNames.map((name) => [name, newStepState()]))
+    };
+
+    await saveJob(jobsDir, job);
+    return job;
+}
+
+/**
+ * Load a job by id. Steps left "running" by a crashed process are put back to pending
+ */
+export async function loadJob(jobsDir, id) {
+    const job = JSON.parse(await fs.readFile(jobPath(jobsDir, id), 'utf-8'));
+
+    for (const step of Object.values(job.steps)) {
+        if (step.status === 'running') {
+            step.status = 'pending';
+        }
+    }
+    return job;
+}
+
+/**
+ * Load every job in the queue, oldest first
+ */
+export async function listJobs(jobsDir) {
+    let files;
+    try {
+        files = await fs.readdir(jobsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const jobs = await Promise.all(files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => loadJob(jobsDir, path.basename(file, '.json'))));
+
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Write a job atomically (temp file + rename) so a crash never leaves a half-written file
+ */
+export async function saveJob(jobsDir, job) {
+    await fs.mkdir(jobsDir, { recursive: true });
+    job.updatedAt = new Date().toISOString();
+
+    const target = jobPath(jobsDir, job.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(job, null, 2), 'utf-8');
+    await fs.rename(temp, target);
+}
+
+/**
+ * Overall job status: done, failed (a step ran out of attempts) or pending
+ */
+export function getJobStatus(job) {
+    const steps = Object.values(job.steps);
+    if (steps.every((step) => step.status === 'done')) return 'done';
+    if (steps.some((step) => step.status === 'failed')) return 'failed';
+    return 'pending';
+}
+
+/**
+ * When the job's next step may run (null when nothing is left to run)
+ */
+export function getNextAttemptAt(job) {
+    const step = Object.values(job.steps).find((s) => s.status !== 'done');
+    if (!step || step.status === 'failed') return null;
+    return step.nextAttemptAt ? new Date(step.nextAttemptAt) : new Date();
+}
+
+/**
+ * Put the given steps (or every failed step) back to pending with fresh attempts
+ */
+export function resetSteps(job, stepNames) {
+    const names = stepNames && stepNames.length > 0
+        ? stepNames
+        : Object.keys(job.steps).filter((name) => job.steps[name].status === 'failed');
+
+    for (const name of names) {
+        if (!job.steps[name]) {
+            throw new Error(`Unknown step "${name}". Steps: ${Object.keys(job.steps).join(', ')}`);
+        }
+        job.steps[name] = { ...newStepState(), result: job.steps[name].result };
+    }
+    return names;
+}
+
+/**
+ * Run the job's due steps in order, saving state after every change
+ * Stops at the first step that fails, is waiting for its backoff, or has run out of attempts
+ * @param {object} handlers - { [stepName]: async (job) => result }
+ * @param {object} options - { maxAttempts, backoffSeconds, maxBackoffSeconds, steps, onStepError(name, error, step), onSave(job) }
+ *   options.steps limits the run to those steps, whatever the state of the others
+ */
+export async function runJob(jobsDir, job, handlers, options = {}) {
+    const settings = { ...DEFAULT_RETRY, ...options };
+    const stepNames = settings.steps || Object.keys(job.steps);
+
+    const save = async () => {
+        await saveJob(jobsDir, job);
+        if (settings.onSave) {
+            await settings.onSave(job);
+        }
+    };
+
+    for (const name of stepNames) {
+        const step = job.steps[name];
+        if (step.status === 'done') continue;
+        if (step.status === 'failed') break;
+        if (step.nextAttemptAt && new Date(step.nextAttemptAt) > new Date()) break;
+
+        step.status = 'running';
+        step.attempts += 1;
+        step.startedAt = new Date().toISOString();
+        await save();
+
+        try {
+            step.result = await handlers[name](job);
+            step.status = 'done';
+            step.lastError = null;
+            step.nextAttemptAt = null;
+            step.finishedAt = new Date().toISOString();
+            await save();
+        } catch (error) {
+            step.lastError = error.message;
+            if (step.attempts >= settings.maxAttempts) {
+                step.status = 'failed';
+                step.nextAttemptAt = null;
+            } else {
+                const delay = Math.min(settings.backoffSeconds * 2 ** (step.attempts - 1), settings.maxBackoffSeconds);
+                step.status = 'retrying';
+                step.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+            }
+            await save();
+
+            if (settings.onStepError) {
+                settings.onStepError(name, error, step);
+            }
+            break;
+        }
+    }
+
+    return job;
+}
+
+function newStepState() {
+    return { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, result: null };
+}
+
+function jobPath(jobsDir, id) {
+    return path.join(jobsDir, `${id}.json`);
+}
@@ -0,0 +1,179 @@
+import ffmpeg from 'fluent-ffmpeg';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { getAudioDuration } from './audioChunks.js';
+
+/**
+ * Media derived from a recording
+ * Each named preset under media.presets makes one file from the recording with ffmpeg. Its type decides what:
+ *   audio       audio-only archive (Opus by default)
+ *   video       smaller re-encoded copy for sharing
+ *   poster      a single frame as a JPEG
+ *   thumbnails  evenly spaced frames tiled into one JPEG, for scrubbing
+ * Settings a preset leaves out come from its type's defaults.
+ */
+
+const AUDIO_CODECS = {
+    opus: { encoder: 'libopus', extension: 'opus' },
+    aac: { encoder: 'aac', extension: 'm4a' },
+    mp3: { encoder: 'libmp3lame', extension: 'mp3' }
+};
+
+// Each type: { defaults, extension(settings), build(settings, duration) => { outputOptions, seekSeconds, details } }
+// details are stored with the artifact
+const TYPES = {
+    audio: {
+        defaults: { codec: 'opus', bitrate: '32k', channels: 1 },
+        extension: (settings) => AUDIO_CODECS[settings.codec].extension,
+        build(settings) {
+            return {
+                outputOptions: [
+                    '-vn', '-map 0:a',
+                    `-c:a ${AUDIO_CODECS[settings.codec].encoder}`,
+                    `-b:a ${settings.bitrate}`,
+                    `-ac ${settings.channels}`,
+                    ...(settings.codec === 'aac' ? ['-movflags +faststart'] : [])
+                ],
+                details: { codec: settings.codec, bitrate: settings.bitrate }
+            };
+        }
+    },
+    video: {
+        defaults: { height: 480, framerate: 10, crf: 32, preset: 'veryfast', audioBitrate: '64k' },
+        extension: () => 'mp4',
+        build(settings) {
+            return {
+                outputOptions: [
+                    '-map 0:v', '-map 0:a?',
+                    // Width follows the aspect ratio, rounded to an even number for yuv420p
+                    `-vf scale=-2:${settings.height}`,
+                    `-r ${settings.framerate}`,
+                    '-c:v libx264',
+                    `-preset ${settings.preset}`,
+                    `-crf ${settings.crf}`,
+                    '-pix_fmt yuv420p',
+                    '-c:a aac',
+                    `-b:a ${settings.audioBitrate}`,
+                    '-ac 1',
+                    '-movflags +faststart'
+                ],
+                details: { height: settings.height, framerate: settings.framerate }
+            };
+        }
+    },
+    poster: {
+        defaults: { atSeconds: 60, width: 1280 },
+        extension: () => 'jpg',
+        build(settings, duration) {
+            // Short recordings get their middle frame
+            const atSeconds = Math.min(settings.atSeconds, duration / 2);
+            return {
+                seekSeconds: atSeconds,
+                // Never wider than the recording
+                outputOptions: ['-frames:v 1', `-vf scale='min(${settings.width},iw)':-2`, '-q:v 3'],
+                details: { atSeconds: Math.round(atSeconds * 10) / 10 }
+            };
+        }
+    },
+    thumbnails: {
+        defaults: { count: 20, width: 160, columns: 10 },
+        extension: () => 'jpg',
+        build(settings, duration) {
+            const intervalSeconds = duration / settings.count;
+            const columns = Math.min(settings.columns, settings.count);
+            const rows = Math.ceil(settings.count / columns);
+            return {
+                outputOptions: [
+                    '-frames:v 1',
+                    `-vf fps=1/${intervalSeconds.toFixed(3)},scale=${settings.width}:-2,tile=${columns}x${rows}`,
+                    '-q:v 4'
+                ],
+                details: { intervalSeconds: Math.round(intervalSeconds * 1000) / 1000, count: settings.count, columns, rows, tileWidth: settings.width }
+            };
+        }
+    }
+};
+
+export const MEDIA_TYPES = Object.keys(TYPES);
+export const MEDIA_AUDIO_CODECS = Object.keys(AUDIO_CODECS);
+
+/**
+ * The presets used when media.presets is not set
+ */
+export const DEFAULT_MEDIA_PRESETS = {
+    audio: { type: 'audio' },
+    compressed: { type: 'video' },
+    poster: { type: 'poster' },
+    thumbnails: { type: 'thumbnails' }
+};
+
+/**
+ * Name of the manifest artifact holding a preset's output
+ */
+export function getMediaArtifactName(presetName) {
+    return `media-${presetName}`;
+}
+
+/**
+ * What ffmpeg is asked to do for a preset, with its type's defaults filled in
+ * @param {object} preset - { type, ...settings }
+ * @param {number} duration - of the recording, in seconds
+ * @returns {{extension: string, seekSeconds: number|null, outputOptions: string[], details: object}}
+ *   seekSeconds is where in the recording to start reading; details describe the file
+ */
+export function buildMediaPreset(preset, duration) {
+    const type = TYPES[preset.type];
+    const { upload, label, ...settings } = { ...type.defaults, ...preset };
+    const { seekSeconds = null, outputOptions, details } = type.build(settings, duration);
+    return { extension: type.extension(settings), seekSeconds, outputOptions, details };
+}
+
+/**
+ * Make every preset's file from a recording
+ * A preset that fails does not stop the others; its partial file is removed
+ * @param {object} presets - media.presets config: { [name]: { type, ...settings } }
+ * @param {string} outputDir - files are written as <outputDir>/<name>.<extension>
+ * @returns {Promise<{outputs: Array<{name: string, filePath: string, details: object}>, failed: Array<{name: string, error: string}>}>}
+ *   details describe the file (type and settings)
+ */
+export async function createMediaOutputs(recordingPath, outputDir, presets) {
+    const duration = await getAudioDuration(recordingPath);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const outputs = [];
+    const failed = [];
+    for (const [name, preset] of Object.entries(presets)) {
+        const built = buildMediaPreset(preset, duration);
+        const filePath = path.join(outputDir, `${name}.${built.extension}`);
+
+        console.log(chalk.blue(`Creating ${name} (${preset.type})...`));
+        try {
+            await runPreset(recordingPath, filePath, built);
+            const { size } = await fs.stat(filePath);
+            console.log(chalk.green(`✓ ${name}: ${path.basename(filePath)} (${(size / (1024 * 1024)).toFixed(2)} MB)`));
+            outputs.push({ name, filePath, details: { preset: name, type: preset.type, ...built.details } });
+        } catch (error) {
+            await fs.unlink(filePath).catch(() => { });
+            console.error(chalk.red(`✗ ${name} failed: ${error.message}`));
+            failed.push({ name, error: error.message });
+        }
+    }
+
+    return { outputs, failed };
+}
+
+function runPreset(recordingPath, filePath, { seekSeconds, outputOptions }) {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(recordingPath);
+        if (seekSeconds !== null) {
+            command.seekInput(seekSeconds);
+        }
+        command
+            .outputOptions(outputOptions)
+            .output(filePath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    });
+}
@@ -0,0 +1,156 @@
+/**
+ * Zoom meeting links
+ * parseMeetingLink() accepts a meeting in any of the forms people paste:
+ *   https://zoom.us/j/85512345678?pwd=...       join link, also on regional and company domains (us02web.zoom.us, acme.zoom.us)
+ *   https://zoom.us/w/85512345678?tk=...        webinar link, with its registration token
+ *   https://zoom.us/s/85512345678               start link; the recorder joins it as a participant
+ *   https://acme.zoom.us/my/dana.whitfield      personal link, by name
+ *   https://zoom.us/wc/join/85512345678         web client link
+ *   zoommtg://zoom.us/join?confno=...&pwd=...   desktop app deep link (also zoomus://)
+ *   855 1234 5678, 855-1234-5678                a meeting ID as typed
+ * and returns the deep link that opens it in the Zoom desktop app.
+ */
+
+const ZOOM_HOST = /(^|\.)(zoom\.us|zoom\.com|zoomgov\.com)$/i;
+const DEEP_LINK_SCHEMES = ['zoommtg:', 'zoomus:'];
+const DEFAULT_HOST = 'zoom.us';
+
+// Meeting IDs are 9 to 11 digits (older meetings have 9 or 10)
+const MEETING_ID = /^\d{9,11}$/;
+const PERSONAL_NAME = /^[a-z0-9][a-z0-9._-]*$/i;
+
+const PATH_TYPES = [
+    { pattern: /^\/j\/([^/]+)\/?$/, type: 'join' },
+    { pattern: /^\/w\/([^/]+)\/?$/, type: 'webinar' },
+    { pattern: /^\/s\/([^/]+)\/?$/, type: 'start' },
+    { pattern: /^\/my\/([^/]+)\/?$/, type: 'personal' },
+    { pattern: /^\/wc\/join\/([^/]+)\/?$/, type: 'join' },
+    { pattern: /^\/wc\/([^/]+)\/(?:join|start)\/?$/, type: 'join' }
+];
+
+/**
+ * Parse a meeting link or ID
+ * @param {string} link - Link, deep link or meeting ID
+ * @param {object} options - { password: passcode that overrides the link's pwd, displayName: name to join with }
+ * @returns {{type: string, host: string, meetingId: string|null, personalName: string|null, passcode: string,
+ *   token: string|null, deepLink: string}} type is "join", "webinar", "start" or "personal"; a personal link has a
+ *   personalName instead of a meetingId
+ * @throws {Error} naming the link (passcode hidden) and what is wrong with it
+ */
+export function parseMeetingLink(link, { password = '', displayName = '' } = {}) {
+    const parsed = readLink(String(link ?? '').trim());
+    if (parsed.problem) {
+        throw new Error(`Meeting link "${redactPasscode(String(link ?? ''))}" ${parsed.problem}`);
+    }
+
+    const passcode = password || parsed.passcode || '';
+    return {
+        type: parsed.type,
+        host: parsed.host,
+        meetingId: parsed.meetingId || null,
+        personalName: parsed.personalName || null,
+        passcode,
+        token: parsed.token || null,
+        deepLink: buildDeepLink({ ...parsed, passcode }, displayName)
+    };
+}
+
+/**
+ * What is wrong with a meeting link, or null when it can be joined (for config validation)
+ */
+export function checkMeetingLink(link) {
+    return readLink(String(link ?? '').trim()).problem || null;
+}
+
+/**
+ * Hide passcodes in a link or text before it is logged
+ */
+export function redactPasscode(text) {
+    return text.replace(/([?&](?:pwd|tk)=)[^&#\s]+/gi, '$1***');
+}
+
+/**
+ * @returns {object} { type, host, meetingId, personalName, passcode, token } or { problem }
+ */
+function readLink(text) {
+    if (!text) {
+        return { problem: 'is empty' };
+    }
+
+    const digits = text.replace(/[\s-]/g, '');
+    if (/^[\d\s-]+$/.test(text)) {
+        return MEETING_ID.test(digits)
+            ? { type: 'join', host: DEFAULT_HOST, meetingId: digits }
+            : { problem: `has ${digits.length} digits; meeting IDs have 9 to 11` };
+    }
+
+    // Links pasted without their scheme ("zoom.us/j/...")
+    const url = parseUrl(text) || parseUrl(`https://${text}`);
+    if (!url || !url.hostname) {
+        return { problem: 'is neither a link nor a meeting ID' };
+    }
+
+    if (![...DEEP_LINK_SCHEMES, 'https:', 'http:'].includes(url.protocol)) {
+        return { problem: `uses ${url.protocol}//, which is not a Zoom link` };
+    }
+    if (!ZOOM_HOST.test(url.hostname)) {
+        return { problem: `is not a Zoom link (${url.hostname} is not a Zoom domain)` };
+    }
+    if (DEEP_LINK_SCHEMES.includes(url.protocol)) {
+        return readDeepLink(url);
+    }
+
+    const match = PATH_TYPES.map(({ pattern, type }) => ({ type, value: url.pathname.match(pattern)?.[1] })).find((m) => m.value);
+    if (!match) {
+        return { problem: 'does not point to a meeting (expected a /j/, /w/, /s/ or /my/ link)' };
+    }
+
+    const value = match.value;
+    const common = { type: match.type, host: url.hostname.toLowerCase(), passcode: url.searchParams.get('pwd') || '', token: url.searchParams.get('tk') };
+    if (match.type === 'personal') {
+        return PERSONAL_NAME.test(value) ? { ...common, personalName: value } : { problem: `has "${value}" where a personal link name belongs` };
+    }
+    return MEETING_ID.test(value) ? { ...common, meetingId: value } : { problem: `has "${value}" where a meeting ID (9 to 11 digits) belongs` };
+}
+
+function readDeepLink(url) {
+    const confno = (url.searchParams.get('confno') || '').replace(/[\s-]/g, '');
+    const common = {
+        host: url.hostname.toLowerCase(),
+        passcode: url.searchParams.get('pwd') || '',
+        token: url.searchParams.get('tk')
+    };
+
+    if (MEETING_ID.test(confno)) {
+        return { ...common, type: common.token ? 'webinar' : 'join', meetingId: confno };
+    }
+    if (confno && PERSONAL_NAME.test(confno) && /\D/.test(confno)) {
+        return { ...common, type: 'personal', personalName: confno };
+    }
+    return { problem: confno ? `has "${confno}" where a meeting ID or personal link name belongs` : 'has no confno (meeting ID)' };
+}
+
+/**
+ * zoommtg://<domain>/join?confno=...&pwd=...&tk=...&uname=...
+ * The app is opened on the Zoom domain (zoom.us, zoomgov.com) rather than the regional or company host.
+ * Personal links pass their name as confno, which the app resolves to the meeting
+ */
+function buildDeepLink({ host, meetingId, personalName, passcode, token }, displayName) {
+    const domain = host.match(ZOOM_HOST)?.[2].toLowerCase() || host;
+    const params = [
+        ['confno', meetingId || personalName],
+        ['pwd', passcode],
+        ['tk', token],
+        ['uname', displayName]
+    ].filter(([, value]) => value);
+
+    return `zoommtg://${domain}/join?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+function parseUrl(text) {
+    try {
+        return new URL(text);
+    } catch {
+        return null;
+    }
+}
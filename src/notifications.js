@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { sendWebhook } from './notifiers/webhook.js';
+import { sendSlack } from './notifiers/slack.js';
+import { sendTeams } from './notifiers/teams.js';
+import { sendEmail } from './notifiers/email.js';
+import { getArtifactPath, getSessionStatus } from './sessionManifest.js';
+import { describeActionItems, extractActionItems } from './actionItems.js';
+import { retry } from './asyncUtils.js';
+
+/**
+ * Notifications after a session completes or fails
+ * Each notifier in config.notifications.notifiers gets the events it subscribes to:
+ *   completed - post-processing finished; carries the summary, action items, duration and links
+ *   failed    - the recording failed, or a post-processing step ran out of attempts
+ * Titles and texts come from templates with {{placeholders}}, overridable globally and per notifier.
+ */
+
+const NOTIFIERS = {
+    webhook: sendWebhook,
+    slack: sendSlack,
+    teams: sendTeams,
+    email: sendEmail
+};
+
+export const NOTIFIER_TYPES = Object.keys(NOTIFIERS);
+
+export const NOTIFICATION_EVENTS = ['completed', 'failed'];
+
+export const TEMPLATE_VARIABLES = [
+    'meeting', 'meetingId', 'sessionId', 'date', 'duration', 'status',
+    'summary', 'actionItems', 'links', 'step', 'error', 'attempts', 'hint'
+];
+
+const DEFAULT_TEMPLATES = {
+    completed: {
+        title: '🎬 {{meeting}} recorded ({{duration}})',
+        text: '{{meeting}} on {{date}} ({{duration}})\n\nAction items:\n{{actionItems}}\n\nLinks:\n{{links}}\n\n{{summary}}'
+    },
+    failed: {
+        title: '⚠ {{meeting}}: {{step}} failed',
+        text: '{{step}} failed for {{meeting}} on {{date}} (session {{sessionId}}) after {{attempts}} attempt(s):\n{{error}}\n\n{{hint}}'
+    }
+};
+
+/**
+ * Send an event to every notifier subscribed to it
+ * Never throws: a notifier that still fails after retries is reported and skipped
+ * @param {string} type - "completed" or "failed"
+ * @param {object} context - { session: { dir, manifest } (null if the session folder was never created),
+ *                             meeting (used without a session), failure: { step, error, attempts } }
+ * @returns {Promise<Array<{notifier: string, error: string|null}>>}
+ */
+export async function notify(config, type, { session = null, meeting = null, failure = null }) {
+    const notifiers = config.notifications.notifiers
+        .filter((notifier) => (notifier.events || NOTIFICATION_EVENTS).includes(type));
+    if (notifiers.length === 0) {
+        return [];
+    }
+
+    let event;
+    try {
+        event = await buildEvent(config, type, session, meeting, failure);
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠ Notification skipped: ${error.message}`));
+        return [];
+    }
+
+    const results = [];
+    for (const notifier of notifiers) {
+        const label = notifier.name || notifier.type;
+        const templates = {
+            ...DEFAULT_TEMPLATES[type],
+            ...config.notifications.templates?.[type],
+            ...notifier.templates?.[type]
+        };
+        const notification = {
+            event,
+            title: renderTemplate(templates.title, event.variables),
+            text: renderTemplate(templates.text, event.variables)
+        };
+
+        try {
+            await retry(() => NOTIFIERS[notifier.type](notification, notifier), {
+                retries: 2,
+                baseDelayMs: 2000
+            });
+            console.log(chalk.green(`✓ Notified ${label} (${type})`));
+            results.push({ notifier: label, error: null });
+        } catch (error) {
+            // fetch() reports network errors as "fetch failed" with the reason in cause
+            const message = error.cause ? `${error.message} (${error.cause.message || error.cause.code})` : error.message;
+            console.warn(chalk.yellow(`⚠ Notification to ${label} failed: ${message}`));
+            results.push({ notifier: label, error: message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Replace {{name}} placeholders; unknown names become empty
+ */
+export function renderTemplate(template, variables) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => String(variables[name] ?? '')).trim();
+}
+
+/**
+ * Placeholders in a template that are not template variables (for config validation)
+ */
+export function findUnknownPlaceholders(template) {
+    return [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .map((match) => match[1])
+        .filter((name) => !TEMPLATE_VARIABLES.includes(name));
+}
+
+/**
+ * The event's data (sent as-is by the generic webhook) and the flat variables the templates use
+ */
+async function buildEvent(config, type, session, meeting, failure) {
+    const manifest = session?.manifest || {
+        id: null,
+        meeting: { id: meeting.id, name: meeting.name, timezone: meeting.timezone || null },
+        scheduledStart: null,
+        actualStart: null,
+        actualEnd: null,
+        durationSeconds: null,
+        steps: {},
+        artifacts: {},
+        uploads: [],
+        error: failure?.error
+    };
+
+    const summaryPath = session && getArtifactPath(session.dir, manifest, 'summary');
+    const summary = summaryPath ? await fs.readFile(summaryPath, 'utf-8') : null;
+    const actionItems = await readActionItems(session, manifest, summary);
+
+    const links = manifest.uploads.map((upload) => ({ label: upload.label, url: upload.shareLink }));
+    if (config.dashboard.enabled && manifest.id) {
+        links.push({
+            label: 'Dashboard',
+            url: `http://${config.dashboard.host}:${config.dashboard.port}/?session=${encodeURIComponent(manifest.id)}`
+        });
+    }
+
+    const date = manifest.actualStart || manifest.scheduledStart || manifest.createdAt || new Date().toISOString();
+    const data = {
+        session: {
+            id: manifest.id,
+            meeting: { id: manifest.meeting.id, name: manifest.meeting.name },
+            scheduledStart: manifest.scheduledStart,
+            actualStart: manifest.actualStart,
+            actualEnd: manifest.actualEnd,
+            durationSeconds: manifest.durationSeconds,
+            status: session ? getSessionStatus(manifest) : 'failed',
+            dir: session?.dir || null
+        },
+        summary,
+        actionItems,
+        links,
+        failure
+    };
+
+    const list = (items) => (items.length > 0 ? items.map((item) => `- ${item}`).join('\n') : '- none');
+
+    return {
+        type,
+        data,
+        variables: {
+            meeting: manifest.meeting.name,
+            meetingId: manifest.meeting.id,
+            sessionId: manifest.id || '',
+            date: new Date(date).toLocaleString('en-US', {
+                dateStyle: 'medium',
+                timeStyle: 'short',
+                timeZone: manifest.meeting.timezone || undefined
+            }),
+            duration: formatDuration(manifest.durationSeconds),
+            status: data.session.status,
+            summary: summary || '',
+            actionItems: list(actionItems),
+            links: list(links.map((link) => `${link.label}: ${link.url}`)),
+            step: failure?.step || '',
+            error: failure?.error || '',
+            attempts: failure?.attempts ?? '',
+            hint: ['joining', 'recording'].includes(failure?.step)
+                ? 'Run "npm start -- doctor" on the recording machine to check its setup.'
+                : `Run "npm start -- reprocess ${manifest.id}" to try again.`
+        }
+    };
+}
+
+/**
+ * The structured action items of the session, or those listed in its summary when none were extracted
+ */
+async function readActionItems(session, manifest, summary) {
+    const actionItemsPath = session && getArtifactPath(session.dir, manifest, 'actionItems');
+    if (actionItemsPath) {
+        return describeActionItems(JSON.parse(await fs.readFile(actionItemsPath, 'utf-8')));
+    }
+    return summary ? extractActionItems(summary) : [];
+}
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'unknown duration';
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+}
@@ -0,0 +1,19 @@
+import { sendMail } from './smtp.js';
+
+/**
+ * Email the notification through an SMTP server; the title is the subject
+ * Credentials come from SMTP_USERNAME and SMTP_PASSWORD; without them no AUTH is sent (e.g. a local relay)
+ * @param {object} notifier - { from, to, smtp: { host, port, secure } }
+ */
+export async function sendEmail(notification, notifier) {
+    await sendMail({
+        ...notifier.smtp,
+        username: process.env.SMTP_USERNAME,
+        password: process.env.SMTP_PASSWORD
+    }, {
+        from: notifier.from,
+        to: notifier.to,
+        subject: notification.title,
+        text: notification.text
+    });
+}
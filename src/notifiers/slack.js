@@ -0,0 +1,65 @@
+import { fetchOk } from '../storage/http.js';
+
+// Slack rejects section text over 3000 characters
+const MAX_SECTION_LENGTH = 3000;
+
+/**
+ * Post the notification to a Slack incoming webhook (or a Mattermost/Rocket.Chat one that accepts the same payload)
+ * @param {object} notifier - { url }
+ */
+export async function sendSlack(notification, notifier) {
+    const { title, text, event } = notification;
+    const body = toMrkdwn(text);
+
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150), emoji: true } },
+        ...chunk(body, MAX_SECTION_LENGTH).map((part) => ({ type: 'section', text: { type: 'mrkdwn', text: part } }))
+    ];
+
+    const links = event.data.links.filter((link) => /^https?:/.test(link.url));
+    if (links.length > 0) {
+        blocks.push({
+            type: 'actions',
+            elements: links.slice(0, 25).map((link) => ({
+                type: 'button',
+                text: { type: 'plain_text', text: link.label },
+                url: link.url
+            }))
+        });
+    }
+
+    await fetchOk(notifier.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: title, blocks }),
+        signal: AbortSignal.timeout(15000)
+    }, 'Slack webhook');
+}
+
+/**
+ * Markdown to Slack mrkdwn: headings and **bold** become *bold*, [text](url) becomes <url|text>
+ */
+function toMrkdwn(markdown) {
+    return markdown
+        .replace(/^#{1,6}\s+(.*)$/gm, '*$1*')
+        .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<$2|$1>')
+        .replace(/^(\s*)[-*+]\s+/gm, '$1• ');
+}
+
+/**
+ * Split text into parts of at most size characters, preferring line breaks
+ */
+function chunk(text, size) {
+    const parts = [];
+    let rest = text.trim();
+
+    while (rest.length > size) {
+        const cut = rest.lastIndexOf('\n', size);
+        const end = cut > 0 ? cut : size;
+        parts.push(rest.slice(0, end));
+        rest = rest.slice(end).trimStart();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+}
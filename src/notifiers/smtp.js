@@ -0,0 +1,171 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Minimal SMTP client: EHLO, STARTTLS, AUTH PLAIN/LOGIN, one plain-text message
+ * Port 465 (or secure: true) uses implicit TLS; otherwise STARTTLS is used when the server offers it.
+ * Credentials are never sent over an unencrypted connection.
+ * @param {object} smtp - { host, port, secure, username, password, timeoutMs }
+ * @param {object} message - { from, to: string[], subject, text }
+ */
+export async function sendMail(smtp, message) {
+    const port = smtp.port || (smtp.secure ? 465 : 587);
+    const secure = smtp.secure ?? port === 465;
+    const timeoutMs = smtp.timeoutMs || 30000;
+
+    let connection = await connect(() => (secure
+        ? tls.connect({ host: smtp.host, port, servername: smtp.host })
+        : net.connect({ host: smtp.host, port })), secure ? 'secureConnect' : 'connect', timeoutMs);
+
+    try {
+        await connection.expect(220);
+        let capabilities = await ehlo(connection);
+
+        if (!secure && capabilities.has('STARTTLS')) {
+            await connection.command('STARTTLS', 220);
+            // From here on the TLS socket reads the connection
+            connection.socket.removeAllListeners('data');
+            connection.socket.setTimeout(0);
+            connection = await connect(() => tls.connect({ socket: connection.socket, servername: smtp.host }), 'secureConnect', timeoutMs);
+            capabilities = await ehlo(connection);
+        }
+
+        if (smtp.username) {
+            if (!connection.encrypted) {
+                throw new Error(`${smtp.host} does not support TLS; refusing to send SMTP credentials in plain text`);
+            }
+            await authenticate(connection, capabilities, smtp.username, smtp.password || '');
+        }
+
+        await connection.command(`MAIL FROM:<${extractAddress(message.from)}>`, 250);
+        for (const recipient of message.to) {
+            await connection.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+        }
+        await connection.command('DATA', 354);
+        await connection.command(`${formatMessage(message)}\r\n.`, 250, 'message');
+        await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+        connection.socket.destroy();
+    }
+}
+
+/**
+ * Open a socket and wrap it in a reader of SMTP replies
+ */
+function connect(open, readyEvent, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const socket = open();
+        const replies = [];
+        const waiting = [];
+        let buffer = '';
+        let lines = [];
+        let failure = null;
+
+        const settle = () => {
+            while (waiting.length > 0 && (replies.length > 0 || failure)) {
+                const { resolve: deliver, reject: fail } = waiting.shift();
+                if (replies.length > 0) deliver(replies.shift());
+                else fail(failure);
+            }
+        };
+
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP connection timed out after ${timeoutMs / 1000}s`)));
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf-8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                lines.push(line);
+                // "250-..." continues a multi-line reply, "250 ..." ends it
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    replies.push({ code: Number(line.slice(0, 3)), lines });
+                    lines = [];
+                }
+            }
+            settle();
+        });
+        socket.on('error', (error) => {
+            failure = error;
+            settle();
+            reject(error);
+        });
+        socket.on('close', () => {
+            failure = failure || new Error('SMTP server closed the connection');
+            settle();
+        });
+
+        socket.once(readyEvent, () => {
+            const read = () => new Promise((deliver, fail) => {
+                waiting.push({ resolve: deliver, reject: fail });
+                settle();
+            });
+            const expect = async (codes, sent = 'connection') => {
+                const reply = await read();
+                if (![].concat(codes).includes(reply.code)) {
+                    throw new Error(`SMTP ${sent} failed: ${reply.lines.join(' ')}`);
+                }
+                return reply;
+            };
+
+            resolve({
+                socket,
+                encrypted: socket instanceof tls.TLSSocket,
+                expect,
+                command(line, codes, label = line.split(/[\s:]/)[0]) {
+                    socket.write(`${line}\r\n`);
+                    return expect(codes, label);
+                }
+            });
+        });
+    });
+}
+
+async function ehlo(connection) {
+    const reply = await connection.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+    return new Set(reply.lines.slice(1).map((line) => line.slice(4).toUpperCase()).flatMap((line) => [line, line.split(' ')[0]]));
+}
+
+async function authenticate(connection, capabilities, username, password) {
+    const auth = [...capabilities].find((line) => line.startsWith('AUTH ')) || '';
+    const encode = (value) => Buffer.from(value, 'utf-8').toString('base64');
+
+    if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+        await connection.command(`AUTH PLAIN ${encode(`\0${username}\0${password}`)}`, 235, 'AUTH');
+    } else {
+        await connection.command('AUTH LOGIN', 334, 'AUTH');
+        await connection.command(encode(username), 334, 'AUTH');
+        await connection.command(encode(password), 235, 'AUTH');
+    }
+}
+
+/**
+ * Headers and a base64 body, so no line of the message can be read as the end-of-data dot
+ */
+function formatMessage({ from, to, subject, text }) {
+    const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`);
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname() || 'localhost'}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * "Recorder <rec@example.com>" => "rec@example.com"
+ */
+function extractAddress(value) {
+    const match = value.match(/<([^>]+)>/);
+    return (match ? match[1] : value).trim();
+}
@@ -0,0 +1,39 @@
+import { fetchOk } from '../storage/http.js';
+
+/**
+ * Post the notification to a Microsoft Teams incoming webhook (or a Workflows "post to a channel" URL) as an Adaptive Card
+ * @param {object} notifier - { url }
+ */
+export async function sendTeams(notification, notifier) {
+    const { title, text, event } = notification;
+
+    const card = {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+            {
+                type: 'TextBlock',
+                text: title,
+                weight: 'Bolder',
+                size: 'Medium',
+                color: event.type === 'failed' ? 'Attention' : 'Default',
+                wrap: true
+            },
+            { type: 'TextBlock', text, wrap: true }
+        ],
+        actions: event.data.links
+            .filter((link) => /^https?:/.test(link.url))
+            .map((link) => ({ type: 'Action.OpenUrl', title: link.label, url: link.url }))
+    };
+
+    await fetchOk(notifier.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: 'message',
+            attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', content: card }]
+        }),
+        signal: AbortSignal.timeout(15000)
+    }, 'Teams webhook');
+}
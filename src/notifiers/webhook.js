@@ -0,0 +1,17 @@
+import { fetchOk } from '../storage/http.js';
+
+/**
+ * POST the notification as JSON to any URL
+ * Body: { event, title, text, session, summary, actionItems, links, failure }
+ * @param {object} notifier - { url, headers }
+ */
+export async function sendWebhook(notification, notifier) {
+    const { event, title, text } = notification;
+
+    await fetchOk(notifier.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...notifier.headers },
+        body: JSON.stringify({ event: event.type, title, text, ...event.data }),
+        signal: AbortSignal.timeout(15000)
+    }, 'Webhook');
+}
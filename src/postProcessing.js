@@ -0,0 +1,414 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { createJob, loadJob, listJobs, runJob, resetSteps, getJobStatus, getNextAttemptAt } from './jobQueue.js';
+import { transcribeVideo } from './transcription.js';
+import { generateSummary } from './summary.js';
+import { generateActionItems, writeActionItemFiles } from './actionItems.js';
+import { uploadToCloud } from './cloudUpload.js';
+import { indexSession } from './searchIndex.js';
+import { notify } from './notifications.js';
+import { createMediaOutputs, getMediaArtifactName } from './mediaPresets.js';
+import {
+    SESSION_FILES, updateSession, addArtifact, addTranscription, addSummary, addActionItems, getArtifactPath, loadSession
+} from './sessionManifest.js';
+
+// media runs after upload, so a preset that keeps failing never holds back the recording's upload
+export const POST_PROCESSING_STEPS = ['verify', 'transcribe', 'summarize', 'actionItems', 'upload', 'media'];
+
+const activeJobs = new Set();
+const retryTimers = new Map();
+
+/**
+ * Directory holding the post-processing job files
+ */
+export function getJobsDir(config) {
+    return config.postProcessing.jobsDir || path.join(config.recording.outputDir, '.jobs');
+}
+
+/**
+ * Record the post-processing still owed for a session's recording
+ * The job shares the session's id and writes its results into the session folder and manifest
+ * @param {object} session - { dir, manifest } from createSession
+ */
+export async function enqueuePostProcessing(config, meeting, session, recordingPath) {
+    return createJob(getJobsDir(config), {
+        id: session.manifest.id,
+        meetingId: meeting.id,
+        meetingName: meeting.name,
+        sessionDir: session.dir,
+        recordingPath,
+        transcriptsDir: session.dir
+    }, POST_PROCESSING_STEPS);
+}
+
+/**
+ * Run a job's due steps. If a step fails with attempts left, a retry is scheduled for its backoff time
+ * @param {string[]} [steps] - Run only these steps instead of every pending one
+ */
+export async function processJob(config, job, steps) {
+    if (activeJobs.has(job.id)) {
+        return job;
+    }
+
+    activeJobs.add(job.id);
+    clearTimeout(retryTimers.get(job.id));
+    retryTimers.delete(job.id);
+    const statusBefore = getJobStatus(job);
+
+    try {
+        await runJob(getJobsDir(config), job, createHandlers(config), {
+            ...config.postProcessing,
+            steps,
+            onSave: syncSessionSteps,
+            onStepError: (name, error, step) => {
+                console.error(chalk.yellow(`⚠ Post-processing step "${name}" failed for ${job.id}: ${error.message}`));
+                if (step.status === 'retrying') {
+                    console.error(chalk.yellow(`  Attempt ${step.attempts}/${config.postProcessing.maxAttempts}, retrying at ${new Date(step.nextAttemptAt).toLocaleString()}`));
+                } else {
+                    console.error(chalk.red(`  Out of attempts. Run "npm start -- reprocess ${job.id}" to try again.`));
+                }
+            }
+        });
+    } finally {
+        activeJobs.delete(job.id);
+    }
+
+    await notifyJobOutcome(config, job, statusBefore);
+    scheduleRetry(config, job);
+    return job;
+}
+
+/**
+ * Pick up jobs left unfinished by an earlier run (crash, restart or pending retries)
+ */
+export async function resumePendingJobs(config) {
+    const pending = (await listJobs(getJobsDir(config))).map(upgradeJobSteps).filter((job) => getJobStatus(job) === 'pending');
+
+    if (pending.length > 0) {
+        console.log(chalk.blue(`Resuming ${pending.length} unfinished post-processing job(s)...`));
+    }
+
+    for (const job of pending) {
+        scheduleRetry(config, job);
+    }
+    return pending;
+}
+
+/**
+ * Re-run the chosen steps (or every failed step) of an existing session's job
+ */
+export async function reprocessSession(config, sessionId, stepNames) {
+    const jobsDir = getJobsDir(config);
+
+    let job;
+    try {
+        job = upgradeJobSteps(await loadJob(jobsDir, sessionId));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`No post-processing job found for session "${sessionId}" in ${jobsDir}`);
+        }
+        throw error;
+    }
+
+    const chosen = stepNames && stepNames.length > 0;
+    const reset = resetSteps(job, stepNames);
+    console.log(chalk.blue(reset.length > 0
+        ? `Reprocessing ${sessionId}: ${reset.join(', ')}`
+        : `Nothing failed in ${sessionId}; continuing any pending steps`));
+
+    // Chosen steps run on their own (e.g. re-upload while transcription is still broken);
+    // otherwise the reset failed steps continue through the rest of the pipeline
+    return processJob(config, job, chosen ? POST_PROCESSING_STEPS.filter((name) => reset.includes(name)) : undefined);
+}
+
+/**
+ * Print the files and links produced by a job, and any steps still owed
+ */
+export function printJobReport(job) {
+    const { transcribe, summarize, actionItems, media, upload } = job.steps;
+
+    console.log(chalk.green('Files generated:'));
+    console.log(chalk.white(`  📹 Recording: ${job.recordingPath}`));
+    if (transcribe.result) {
+        console.log(chalk.white(`  📝 Transcript: ${transcribe.result.transcriptPath}`));
+    }
+    if (summarize.result) {
+        console.log(chalk.white(`  📄 Summary: ${summarize.result.summaryPath}`));
+    }
+    if (actionItems?.result?.paths) {
+        console.log(chalk.white(`  ✅ Action items: ${actionItems.result.paths.markdown} (${actionItems.result.count}, also .csv, .ics and .json)`));
+    }
+    if (media?.result?.files?.length > 0) {
+        console.log(chalk.white(`  🎞️ Media: ${media.result.files.map((file) => path.basename(file.filePath)).join(', ')} in ${path.dirname(media.result.files[0].filePath)}`));
+    }
+
+    const remoteLinks = [...(upload.result?.links || []), ...(media?.result?.links || [])].filter((link) => link.provider !== 'local');
+    if (remoteLinks.length > 0) {
+        console.log(chalk.green('\nUploaded to cloud storage:'));
+        for (const link of remoteLinks) {
+            console.log(chalk.white(`  🔗 ${link.label}: ${link.shareLink}`));
+        }
+    }
+
+    const owed = Object.entries(job.steps).filter(([, step]) => step.status !== 'done');
+    if (owed.length > 0) {
+        console.log(chalk.yellow(`\nPost-processing still owed for ${job.id}:`));
+        for (const [name, step] of owed) {
+            console.log(chalk.yellow(`  • ${name}: ${step.status}${step.lastError ? ` (${step.lastError})` : ''}`));
+        }
+    }
+}
+
+/**
+ * Bring a job queued by an older version to the current steps, in pipeline order
+ * Steps it lacks are marked done as skipped, so old sessions only get them through reprocess --steps
+ */
+function upgradeJobSteps(job) {
+    const steps = job.steps;
+    job.steps = Object.fromEntries(POST_PROCESSING_STEPS.map((name) => [name, steps[name] || {
+        status: 'done', attempts: 0, lastError: null, nextAttemptAt: null, result: { skipped: true, reason: 'added after the job was queued' }
+    }]));
+    // Steps this version no longer runs are kept at the end
+    Object.assign(job.steps, steps);
+    return job;
+}
+
+function scheduleRetry(config, job) {
+    const nextAttemptAt = getNextAttemptAt(job);
+    if (!nextAttemptAt || getJobStatus(job) !== 'pending') {
+        return;
+    }
+
+    const timer = setTimeout(() => {
+        processJob(config, job).catch((error) => {
+            console.error(chalk.red(`✗ Post-processing error for ${job.id}:`), error.message);
+        });
+    }, Math.max(0, nextAttemptAt - Date.now()));
+
+    // Pending retries must not keep a one-off run alive; the scheduler resumes them on its next start
+    timer.unref();
+    retryTimers.set(job.id, timer);
+}
+
+/**
+ * Send "completed" when a job has just finished every step, or "failed" when a step has just run out of attempts
+ * Retries that are still scheduled are not announced
+ */
+async function notifyJobOutcome(config, job, statusBefore) {
+    const status = getJobStatus(job);
+    // Jobs queued before session folders existed have nothing to report from
+    if (status === statusBefore || status === 'pending' || !job.sessionDir) return;
+
+    let session;
+    try {
+        session = { dir: job.sessionDir, manifest: await loadSession(job.sessionDir) };
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠ Notification skipped for ${job.id}: ${error.message}`));
+        return;
+    }
+
+    if (status === 'done') {
+        await notify(config, 'completed', { session });
+    } else {
+        const [step, state] = Object.entries(job.steps).find(([, s]) => s.status === 'failed');
+        await notify(config, 'failed', { session, failure: { step, error: state.lastError, attempts: state.attempts } });
+    }
+}
+
+/**
+ * Mirror the job's step states into the session manifest
+ */
+async function syncSessionSteps(job) {
+    if (!job.sessionDir) return;
+
+    await updateSession(job.sessionDir, (manifest) => {
+        manifest.steps = Object.fromEntries(Object.entries(job.steps).map(([name, step]) => [name, {
+            status: step.status,
+            attempts: step.attempts,
+            lastError: step.lastError,
+            finishedAt: step.finishedAt || null
+        }]));
+    });
+}
+
+/**
+ * Change the job's session manifest; jobs queued before session folders existed have none
+ */
+async function updateJobSession(job, change) {
+    if (job.sessionDir) {
+        await updateSession(job.sessionDir, (manifest) => change(manifest, job.sessionDir));
+    }
+}
+
+function createHandlers(config) {
+    const findMeeting = (job) => config.meetings.find((m) => m.id === job.meetingId);
+    const sessionPath = (job, fileName) => (job.sessionDir ? path.join(job.sessionDir, fileName) : null);
+
+    return {
+        async verify(job) {
+            const stats = await fs.stat(job.recordingPath);
+            if (stats.size === 0) {
+                throw new Error(`Recording is empty: ${job.recordingPath}`);
+            }
+            console.log(chalk.green(`✓ Recording verified (${(stats.size / (1024 * 1024)).toFixed(2)} MB)`));
+
+            await updateJobSession(job, (manifest, dir) => addArtifact(manifest, dir, 'recording', job.recordingPath));
+            return { sizeBytes: stats.size };
+        },
+
+        async transcribe(job) {
+            await fs.mkdir(job.transcriptsDir, { recursive: true });
+            const meeting = findMeeting(job);
+            const transcription = { ...(meeting?.transcription || config.ai.transcription), attendees: meeting?.attendees || [] };
+            const result = await transcribeVideo(job.recordingPath, job.transcriptsDir, transcription, {
+                transcript: sessionPath(job, SESSION_FILES.transcript),
+                sidecarBase: sessionPath(job, SESSION_FILES.sidecarBase),
+                speakers: sessionPath(job, SESSION_FILES.speakers)
+            });
+
+            await updateJobSession(job, (manifest, dir) => addTranscription(manifest, dir, result));
+            if (job.sessionDir) await indexSession(config, job.sessionDir);
+
+            return {
+                transcriptPath: result.filePath,
+                sidecars: result.sidecars,
+                speakersPath: result.speakersPath,
+                provider: result.provider,
+                model: result.model,
+                language: result.language
+            };
+        },
+
+        async summarize(job) {
+            const { transcriptPath, speakersPath } = job.steps.transcribe.result;
+            const transcript = await fs.readFile(transcriptPath, 'utf-8');
+            const speakerStats = speakersPath ? JSON.parse(await fs.readFile(speakersPath, 'utf-8')) : null;
+            const result = await generateSummary(transcript, job.transcriptsDir, config.ai.summary, sessionPath(job, SESSION_FILES.summary), speakerStats);
+
+            await updateJobSession(job, (manifest, dir) => addSummary(manifest, dir, result));
+            if (job.sessionDir) await indexSession(config, job.sessionDir);
+            return { summaryPath: result.filePath, model: result.model };
+        },
+
+        async actionItems(job) {
+            if (config.ai.actionItems.enabled === false) {
+                console.log(chalk.gray('Action item extraction disabled (ai.actionItems.enabled)'));
+                return { skipped: true };
+            }
+
+            const meeting = findMeeting(job);
+            const manifest = job.sessionDir ? await loadSession(job.sessionDir) : null;
+            const summary = await fs.readFile(job.steps.summarize.result.summaryPath, 'utf-8');
+            const document = await generateActionItems(summary, config.ai.actionItems, {
+                id: job.meetingId,
+                name: job.meetingName,
+                sessionId: job.id,
+                date: new Date(manifest?.actualStart || job.createdAt),
+                timezone: meeting?.timezone
+            });
+
+            const basePath = sessionPath(job, SESSION_FILES.actionItemsBase)
+                || path.join(job.transcriptsDir, `action-items-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+            const paths = await writeActionItemFiles(document, basePath);
+
+            await updateJobSession(job, (session, dir) => addActionItems(session, dir, document, paths));
+            return { paths, count: document.actionItems.length, decisions: document.decisions.length };
+        },
+
+        async upload(job) {
+            const links = await uploadFiles(config, await getUploadFiles(job));
+
+            await updateJobSession(job, (manifest) => {
+                // Links of media preset outputs belong to the media step
+                manifest.uploads = [...links, ...(manifest.uploads || []).filter((link) => link.preset)];
+            });
+            return { links };
+        },
+
+        async media(job) {
+            if (!config.media.enabled) {
+                console.log(chalk.gray('Media presets disabled (media.enabled)'));
+                return { skipped: true };
+            }
+
+            // Outputs of earlier attempts are kept on the step, so a retry only makes the presets that failed.
+            // reprocess starts the step afresh and makes them all again
+            const step = job.steps.media;
+            step.made = step.made || [];
+            const presets = Object.fromEntries(Object.entries(config.media.presets)
+                .filter(([name]) => !step.made.some((output) => output.name === name)));
+
+            if (Object.keys(presets).length > 0) {
+                const outputDir = sessionPath(job, SESSION_FILES.mediaDir) || path.join(job.transcriptsDir, `media-${job.id}`);
+                const { outputs, failed } = await createMediaOutputs(job.recordingPath, outputDir, presets);
+
+                await updateJobSession(job, async (manifest, dir) => {
+                    for (const { name, filePath, details } of outputs) {
+                        await addArtifact(manifest, dir, getMediaArtifactName(name), filePath, details);
+                    }
+                });
+                step.made.push(...outputs);
+
+                if (failed.length > 0) {
+                    throw new Error(`Media preset(s) failed: ${failed.map(({ name, error }) => `${name} (${error})`).join('; ')}`);
+                }
+            }
+
+            const links = await uploadFiles(config, getMediaUploadFiles(config, job, step.made));
+            await updateJobSession(job, (manifest) => {
+                manifest.uploads = [...(manifest.uploads || []).filter((link) => !link.preset), ...links];
+            });
+            return { files: step.made.map(({ name, filePath }) => ({ name, filePath })), links };
+        }
+    };
+}
+
+/**
+ * Files to upload: the session's recording, transcript and summary from its manifest
+ * Remote names are prefixed with the session id, since every session folder uses the same file names
+ */
+async function getUploadFiles(job) {
+    const labels = { recording: 'Recording', transcript: 'Transcript', summary: 'Summary' };
+
+    if (!job.sessionDir) {
+        return [
+            ['Recording', job.recordingPath],
+            ['Transcript', job.steps.transcribe.result?.transcriptPath],
+            ['Summary', job.steps.summarize.result?.summaryPath]
+        ].filter(([, filePath]) => filePath).map(([label, filePath]) => ({ label, filePath }));
+    }
+
+    const manifest = await loadSession(job.sessionDir);
+    return Object.entries(labels)
+        .map(([name, label]) => ({ label, filePath: getArtifactPath(job.sessionDir, manifest, name) }))
+        .filter(({ filePath }) => filePath)
+        .map((file) => ({ ...file, remoteName: `${manifest.id}-${path.basename(file.filePath)}` }));
+}
+
+/**
+ * Media preset outputs to upload; presets with upload: false stay local
+ */
+function getMediaUploadFiles(config, job, outputs) {
+    return outputs
+        .filter(({ name }) => config.media.presets[name] && config.media.presets[name].upload !== false)
+        .map(({ name, filePath }) => ({
+            label: config.media.presets[name].label || name,
+            preset: name,
+            filePath,
+            remoteName: job.sessionDir ? `${job.id}-${path.basename(filePath)}` : undefined
+        }));
+}
+
+/**
+ * Upload files one by one
+ * @returns {Promise<Array<object>>} a link per file: { label, preset (for media preset outputs), ...uploadToCloud() result }
+ */
+async function uploadFiles(config, files) {
+    const links = [];
+    for (const { label, preset, filePath, remoteName } of files) {
+        const result = await uploadToCloud(filePath, config.cloudStorage, remoteName);
+        links.push({ label, ...(preset && { preset }), ...result });
+    }
+    return links;
+}
@@ -0,0 +1,275 @@
+import cron from 'node-cron';
+import chalk from 'chalk';
+
+let activeSession = null;
+const pendingSessions = [];
+
+// setTimeout() cannot wait longer than this; later runs are re-armed when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Register a task for every enabled meeting that has a cron expression
+ * The cron expression is when the meeting starts; the task fires joinEarlyMinutes before that.
+ * runSession(meeting, { scheduledAt }) receives the meeting's start, even when the session was queued
+ * Returns the registered { meeting, task } pairs
+ */
+export function scheduleMeetings(meetings, runSession) {
+    const scheduled = [];
+
+    for (const meeting of meetings) {
+        if (!meeting.enabled || !meeting.cronExpression) {
+            continue;
+        }
+
+        if (!cron.validate(meeting.cronExpression)) {
+            throw new Error(`Invalid cronExpression for meeting "${meeting.id}": ${meeting.cronExpression}`);
+        }
+
+        scheduled.push({ meeting, task: scheduleRuns(meeting, runSession) });
+    }
+
+    return scheduled;
+}
+
+/**
+ * When a session may start, must be joined by and should end
+ * @param {Date} [scheduledAt] - the meeting's start; sessions started by hand count from startedAt
+ * @returns {{start: Date, joinDeadline: Date, expectedEnd: Date|null, latestEnd: Date|null}}
+ *   joinDeadline is joinTimeoutMinutes after the start (or after startedAt, for a session that was queued past it);
+ *   latestEnd is the expected end plus graceMinutes, when the meeting has a durationMinutes
+ */
+export function getSessionWindow(meeting, scheduledAt = null, startedAt = new Date()) {
+    const start = scheduledAt ? new Date(scheduledAt) : startedAt;
+    const expectedEnd = meeting.durationMinutes ? addMinutes(start, meeting.durationMinutes) : null;
+
+    return {
+        start,
+        joinDeadline: addMinutes(new Date(Math.max(start, startedAt)), meeting.joinTimeoutMinutes),
+        expectedEnd,
+        latestEnd: expectedEnd && addMinutes(expectedEnd, meeting.graceMinutes)
+    };
+}
+
+/**
+ * Start a session now, or queue it if another session is still running
+ * Only one recording runs at a time because the screen and Zoom client are shared
+ */
+export function enqueueSession(meeting, runSession, scheduledAt = null) {
+    if (activeSession) {
+        const alreadyQueued = activeSession.meeting.id === meeting.id ||
+            pendingSessions.some((entry) => entry.meeting.id === meeting.id);
+
+        if (alreadyQueued) {
+            console.log(chalk.yellow(`⚠ "${meeting.name}" is already running or queued. Skipping.`));
+            return;
+        }
+
+        console.log(chalk.yellow(`⏳ "${meeting.name}" overlaps "${activeSession.meeting.name}". Queued until it finishes.`));
+        pendingSessions.push({ meeting, runSession, scheduledAt });
+        return;
+    }
+
+    runQueued({ meeting, runSession, scheduledAt });
+}
+
+async function runQueued(entry) {
+    activeSession = { ...entry, startedAt: new Date() };
+
+    try {
+        await entry.runSession(entry.meeting, { scheduledAt: entry.scheduledAt });
+    } catch (error) {
+        console.error(chalk.red(`✗ Session for "${entry.meeting.name}" failed:`), error.message);
+    } finally {
+        activeSession = null;
+    }
+
+    const next = pendingSessions.shift();
+    if (next) {
+        console.log(chalk.magenta(`\n▶ Starting queued session "${next.meeting.name}"...`));
+        await runQueued(next);
+    } else {
+        console.log(chalk.gray('\nWaiting for next scheduled run...'));
+    }
+}
+
+/**
+ * The session running now ({ meeting, scheduledAt, startedAt } or null) and the sessions queued behind it
+ */
+export function getSessionQueue() {
+    return {
+        active: activeSession && {
+            meeting: activeSession.meeting,
+            scheduledAt: activeSession.scheduledAt,
+            startedAt: activeSession.startedAt
+        },
+        pending: pendingSessions.map(({ meeting, scheduledAt }) => ({ meeting, scheduledAt }))
+    };
+}
+
+/**
+ * Get the next run time of each scheduled meeting, soonest first
+ * Entries from calendars ({ meeting, start, calendar }) run at their start
+ */
+export function getUpcomingRuns(scheduled, from = new Date()) {
+    return scheduled
+        .map((entry) => ({ ...entry, nextRun: entry.start || getNextRun(entry.meeting.cronExpression, entry.meeting.timezone, from) }))
+        .filter((run) => run.nextRun)
+        .sort((a, b) => a.nextRun - b.nextRun);
+}
+
+/**
+ * Compute the next time a cron expression fires in the given timezone
+ * Calculated here because node-cron's task.getNextRun() skips day-of-week matches.
+ * As in standard cron, when both day-of-month and day-of-week are restricted, a day matching either one fires.
+ * Returns null when the expression does not fire within a year
+ */
+export function getNextRun(cronExpression, timezone, from = new Date()) {
+    const fields = cronExpression.trim().split(/\s+/);
+    const [minutes, hours, days, months, weekdays] = fields.length === 6 ? fields.slice(1) : fields;
+
+    const allowed = {
+        minute: parseCronField(minutes, 0, 59),
+        hour: parseCronField(hours, 0, 23),
+        day: parseCronField(days, 1, 31),
+        month: parseCronField(months, 1, 12, MONTH_NAMES),
+        weekday: parseWeekdayField(weekdays)
+    };
+    const matchesDay = days.startsWith('*') || weekdays.startsWith('*')
+        ? (day, weekday) => allowed.day.has(day) && allowed.weekday.has(weekday)
+        : (day, weekday) => allowed.day.has(day) || allowed.weekday.has(weekday);
+
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    });
+
+    // Walk forward minute by minute, skipping whole hours and days that cannot match
+    let candidate = new Date(Math.floor(from.getTime() / 60000) * 60000 + 60000);
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+        const parts = Object.fromEntries(formatter.formatToParts(candidate).map((p) => [p.type, p.value]));
+        const minute = Number(parts.minute);
+        const hour = Number(parts.hour);
+
+        if (!allowed.month.has(Number(parts.month)) ||
+            !matchesDay(Number(parts.day), WEEKDAY_NAMES[parts.weekday.toLowerCase()])) {
+            candidate = new Date(candidate.getTime() + ((23 - hour) * 60 + (60 - minute)) * 60000);
+        } else if (!allowed.hour.has(hour)) {
+            candidate = new Date(candidate.getTime() + (60 - minute) * 60000);
+        } else if (!allowed.minute.has(minute)) {
+            candidate = new Date(candidate.getTime() + 60000);
+        } else {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Print a table of upcoming scheduled runs
+ */
+export function printUpcomingRuns(scheduled) {
+    const rows = getUpcomingRuns(scheduled).map(({ meeting, nextRun, calendar }) => [
+        meeting.name,
+        nextRun.toLocaleString('en-US', { timeZone: meeting.timezone, dateStyle: 'medium', timeStyle: 'short' }),
+        meeting.cronExpression || `calendar "${calendar}"`,
+        meeting.timezone || 'System Default',
+        meeting.quality
+    ]);
+
+    const header = ['Meeting', 'Next run', 'Schedule', 'Timezone', 'Quality'];
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+    const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+    console.log(chalk.white.bold(`   ${formatRow(header)}`));
+    console.log(chalk.gray(`   ${widths.map((w) => '─'.repeat(w)).join('  ')}`));
+    for (const row of rows) {
+        console.log(chalk.white(`   ${formatRow(row)}`));
+    }
+}
+
+/**
+ * Fire enqueueSession() joinEarlyMinutes before each start of the meeting, re-arming after every run
+ * @returns {{stop(): void}}
+ */
+function scheduleRuns(meeting, runSession) {
+    let timer = null;
+
+    const arm = () => {
+        const early = meeting.joinEarlyMinutes * 60000;
+        const start = getNextRun(meeting.cronExpression, meeting.timezone, new Date(Date.now() + early));
+        if (!start) {
+            console.error(chalk.red(`✗ "${meeting.name}" will not be recorded: cronExpression "${meeting.cronExpression}" does not fire within a year`));
+            return;
+        }
+
+        const delay = start.getTime() - early - Date.now();
+        timer = setTimeout(() => {
+            if (delay > MAX_TIMER_MS) {
+                arm();
+                return;
+            }
+
+            console.log(chalk.magenta(meeting.joinEarlyMinutes > 0
+                ? `\n⏰ "${meeting.name}" starts at ${start.toLocaleTimeString('en-US', { timeZone: meeting.timezone, timeStyle: 'short' })}, joining ${meeting.joinEarlyMinutes} min early`
+                : `\n⏰ Scheduled time reached for "${meeting.name}"!`));
+            enqueueSession(meeting, runSession, start);
+            arm();
+        }, Math.max(0, Math.min(delay, MAX_TIMER_MS)));
+    };
+
+    arm();
+    return {
+        stop() {
+            clearTimeout(timer);
+        }
+    };
+}
+
+function addMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * 60000);
+}
+
+const MONTH_NAMES = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const WEEKDAY_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// Sunday is 0 or 7; 7 is folded into 0 after ranges are expanded, so 5-7 means Friday to Sunday
+function parseWeekdayField(field) {
+    const values = parseCronField(field, 0, 7, WEEKDAY_NAMES);
+    if (values.delete(7)) {
+        values.add(0);
+    }
+    return values;
+}
+
+function parseCronField(field, min, max, names = {}) {
+    const values = new Set();
+
+    for (const part of field.toLowerCase().split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText ? Number(stepText) : 1;
+        const toNumber = (value) => (value in names ? names[value] : Number(value));
+
+        let [start, end] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+        if (end === undefined) {
+            end = stepText ? max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
@@ -0,0 +1,108 @@
+/**
+ * Validation against schemas in a small subset of JSON Schema:
+ * type (one type or a list, including "null"), enum, properties, additionalProperties, required, items,
+ * minItems, minimum, maximum, minLength, default, plus check(value) returning an error message or null
+ * Defaults are filled in place.
+ */
+
+/**
+ * Validate a value against a schema, e.g. the config or JSON returned by a model
+ * @param {string} name - what to call the value itself in messages
+ * @returns {string[]} every problem found
+ */
+export function validateSchema(value, schema, name = 'value') {
+    const errors = [];
+    validateValue(value, schema, '', errors, name);
+    return errors;
+}
+
+function validateValue(value, schema, path, errors, name) {
+    const label = path || name;
+    const types = schema.type ? [].concat(schema.type) : null;
+
+    if (types && !types.some((type) => matchesType(value, type))) {
+        errors.push(`${label} must be ${types.map(describeType).join(' or ')}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+        return;
+    }
+
+    if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+        errors.push(`${label} must not be empty`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${label} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${label} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${label} must contain at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (matchesType(value, 'object') && (schema.properties || schema.additionalProperties)) {
+        validateObject(value, schema, path, errors);
+    }
+
+    if (schema.check) {
+        const message = schema.check(value);
+        if (message) errors.push(`${label} ${message}`);
+    }
+}
+
+function validateObject(object, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+        if (object[name] === undefined) {
+            errors.push(`${joinPath(path, name)} is required`);
+        }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+        if (object[name] === undefined && propertySchema.default !== undefined) {
+            object[name] = structuredClone(propertySchema.default);
+        }
+        if (object[name] !== undefined) {
+            validateValue(object[name], propertySchema, joinPath(path, name), errors);
+        }
+    }
+
+    for (const name of Object.keys(object)) {
+        if (properties[name]) continue;
+        if (schema.additionalProperties) {
+            validateValue(object[name], schema.additionalProperties, joinPath(path, name), errors);
+        } else {
+            errors.push(`${joinPath(path, name)} is not a known setting`);
+        }
+    }
+}
+
+function matchesType(value, type) {
+    if (type === 'null') return value === null;
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+    return typeof value === type;
+}
+
+function describeType(type) {
+    return { integer: 'an integer', array: 'an array', object: 'an object', null: 'null' }[type] || `a ${type}`;
+}
+
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+}
@@ -3,78 +3,117 @@ import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import ffmpeg from 'fluent-ffmpeg';
+import { resolveCaptureBackend } from './captureBackends.js';
+import { getAudioDuration } from './audioChunks.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-let ffmpegProcess = null;
+// The recording in progress (see startScreenRecording), and the gaps and capture failure of the last one
+let recording = null;
 let recordingPath = null;
+let recordingGaps = [];
+let captureFailure = null;
+
+// Video quality presets
+const QUALITY_SETTINGS = {
+    high: { resolution: '1920x1080', bitrate: '5000k', framerate: 30 },
+    medium: { resolution: '1280x720', bitrate: '2500k', framerate: 30 },
+    low: { resolution: '854x480', bitrate: '1000k', framerate: 24 }
+};
+
+const AUDIO_KILOBITS = 128;
+
+const DEFAULT_SEGMENT_OPTIONS = {
+    minutes: 10,
+    stallSeconds: 30,
+    maxRestarts: 10
+};
+
+const WATCHDOG_INTERVAL_MS = 5000;
+const RESTART_DELAY_MS = 2000;
+// How long ffmpeg gets to finish after "q" before it is killed; a stalled capture is given less
+const STOP_TIMEOUT_MS = 15000;
+const STALLED_STOP_TIMEOUT_MS = 5000;
+
+const SEGMENT_FILE = /^segment-(\d+)\.mp4$/;
 
 /**
- * Start screen recording using ffmpeg with macOS avfoundation
+ * Start screen recording using ffmpeg with the configured capture backend
+ * The capture is written as rolling fragmented MP4 segments next to the recording (<name>-segments/), so a crash
+ * or a killed ffmpeg loses at most the last fragment. A watchdog restarts a capture whose ffmpeg exits or whose
+ * frame count stops moving, into a new segment; the time lost is kept as a gap (see getRecordingGaps). After
+ * maxRestarts it gives up and getCaptureFailure() says why. stopScreenRecording() joins the segments into the
+ * recording without re-encoding; recoverSegments() does the same for segments a crashed recorder left behind.
+ * @param {object} capture - recording.capture config (backend, display, region, audioDevice)
+ * @param {string} [fileName] - defaults to zoom-recording-<timestamp>.mp4
+ * @param {object} [silenceTracker] - createSilenceTracker() result fed with the audio's silencedetect output
+ * @param {object} [segments] - recording.segments config: { minutes, stallSeconds, maxRestarts }
  */
-export async function startScreenRecording(outputDir, quality = 'high') {
+export async function startScreenRecording(outputDir, quality = 'high', capture = {}, fileName = null, silenceTracker = null, segments = {}) {
     try {
+        const backend = resolveCaptureBackend(capture);
+
         // Ensure output directory exists
         await fs.mkdir(outputDir, { recursive: true });
 
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        recordingPath = path.join(outputDir, `zoom-recording-${timestamp}.mp4`);
-
-        // Determine video quality settings
-        const qualitySettings = {
-            high: { resolution: '1920x1080', bitrate: '5000k', framerate: 30 },
-            medium: { resolution: '1280x720', bitrate: '2500k', framerate: 30 },
-            low: { resolution: '854x480', bitrate: '1000k', framerate: 24 }
-        };
+        recordingPath = path.join(outputDir, fileName || `zoom-recording-${timestamp}.mp4`);
+        recordingGaps = [];
+        captureFailure = null;
 
-        const settings = qualitySettings[quality] || qualitySettings.high;
+        const settings = QUALITY_SETTINGS[quality] || QUALITY_SETTINGS.high;
+        const options = { ...DEFAULT_SEGMENT_OPTIONS, ...segments };
+        const segmentDir = getSegmentDir(recordingPath);
+        await fs.mkdir(segmentDir, { recursive: true });
 
         console.log(chalk.blue(`Starting screen recording: ${recordingPath}`));
         console.log(chalk.blue(`Quality: ${quality} (${settings.resolution} @ ${settings.framerate}fps)`));
+        console.log(chalk.blue(`Capture backend: ${backend.name}`));
+        console.log(chalk.blue(`Segments: ${segmentDir} (${options.minutes} min each)`));
+
+        // Note: To capture system audio on macOS, you need to install BlackHole or similar virtual
+        // audio device and set it as your audio output, or use a multi-output device
+        const input = backend.buildInput(settings, capture);
 
-        // Use avfoundation on macOS to capture screen + audio
-        // Note: To capture system audio, you need to install BlackHole or similar virtual audio device
-        // and set it as your audio output, or use a multi-output device
-        // For now, we capture screen video only. Audio capture requires additional setup.
-        // To add audio: change '-i', '1:0' where 1 is the audio device index
         const ffmpegArgs = [
-            '-f', 'avfoundation',
-            '-framerate', settings.framerate.toString(),
-            '-video_size', settings.resolution,
-            '-i', '1:0',  // 1 = screen capture device, 0 = audio device (requires setup)
+            ...input.args,
+            ...(input.filters.length > 0 ? ['-vf', input.filters.join(',')] : []),
+            // silencedetect only logs; the audio passes through unchanged
+            ...(silenceTracker && capture.audioDevice !== false ? ['-af', silenceTracker.filter] : []),
             '-c:v', 'libx264',
             '-preset', 'fast',
             '-crf', '23',
             '-pix_fmt', 'yuv420p',
+            // A keyframe every 2 seconds starts a new fragment, so a killed capture loses little
+            '-g', String(settings.framerate * 2),
             '-c:a', 'aac',  // Audio codec
-            '-b:a', '128k', // Audio bitrate
-            '-movflags', '+faststart',
-            recordingPath
+            '-b:a', `${AUDIO_KILOBITS}k`, // Audio bitrate
+            '-f', 'segment',
+            '-segment_time', String(options.minutes * 60),
+            '-segment_format', 'mp4',
+            // Fragmented MP4 is playable up to its last complete fragment, even without a clean shutdown
+            '-segment_format_options', 'movflags=+frag_keyframe+empty_moov+default_base_moof',
+            '-reset_timestamps', '1'
         ];
 
-        ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
-
-        ffmpegProcess.stdout.on('data', (data) => {
-            // FFmpeg outputs to stderr, not stdout
-        });
-
-        ffmpegProcess.stderr.on('data', (data) => {
-            const output = data.toString();
-            // Filter out verbose output, only show important messages
-            if (output.includes('frame=') || output.includes('error') || output.includes('Error')) {
-                process.stdout.write(output);
-            }
-        });
-
-        ffmpegProcess.on('error', (error) => {
-            if (error.code === 'ENOENT') {
-                console.error(chalk.red('✗ FFmpeg not found. Please install FFmpeg:'));
-                console.error(chalk.yellow('  brew install ffmpeg'));
-            } else {
-                console.error(chalk.red('✗ FFmpeg error:'), error.message);
-            }
-        });
+        recording = {
+            backend,
+            args: ffmpegArgs,
+            segmentDir,
+            silenceTracker,
+            options,
+            run: null,
+            restarts: 0,
+            recordedSeconds: 0,
+            restarting: false,
+            stopping: false,
+            failed: false
+        };
+        await startRun(recording);
+        const current = recording;
+        current.watchdog = setInterval(() => checkForStall(current), WATCHDOG_INTERVAL_MS);
 
         // Wait a moment to ensure recording started
         await new Promise(resolve => setTimeout(resolve, 2000));
@@ -88,43 +127,76 @@ export async function startScreenRecording(outputDir, quality = 'high') {
 }
 
 /**
- * Stop screen recording
+ * Stop screen recording and join its segments into the recording file
+ * Segments that cannot be read (e.g. a capture killed before its first frame) are left out
  */
 export async function stopScreenRecording() {
-    return new Promise((resolve, reject) => {
-        if (!ffmpegProcess) {
-            console.log(chalk.yellow('⚠ No active recording to stop'));
-            resolve(null);
-            return;
-        }
+    if (!recording) {
+        console.log(chalk.yellow('⚠ No active recording to stop'));
+        return null;
+    }
 
-        console.log(chalk.blue('Stopping screen recording...'));
-
-        // Send 'q' to ffmpeg to quit gracefully
-        ffmpegProcess.stdin.write('q');
-        ffmpegProcess.stdin.end();
-
-        ffmpegProcess.on('close', async (code) => {
-            if (code === 0 || code === null) {
-                console.log(chalk.green(`✓ Screen recording stopped. Saved to: ${recordingPath}`));
-
-                // Verify file exists
-                try {
-                    const stats = await fs.stat(recordingPath);
-                    const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-                    console.log(chalk.green(`✓ Recording file size: ${fileSizeMB} MB`));
-                    resolve(recordingPath);
-                } catch (error) {
-                    console.error(chalk.red('✗ Recording file not found'));
-                    reject(error);
-                }
-            } else {
-                console.error(chalk.red(`✗ FFmpeg exited with code ${code}`));
-                reject(new Error(`FFmpeg exited with code ${code}`));
-            }
-            ffmpegProcess = null;
-        });
-    });
+    console.log(chalk.blue('Stopping screen recording...'));
+    const current = recording;
+    recording = null;
+    current.stopping = true;
+    clearInterval(current.watchdog);
+
+    const code = await endRun(current.run);
+    if (code !== 0 && code !== null) {
+        console.warn(chalk.yellow(`⚠ FFmpeg exited with code ${code}; keeping what was recorded`));
+    }
+    closeGap(current);
+
+    await joinSegments(current.segmentDir, recordingPath);
+    console.log(chalk.green(`✓ Screen recording stopped. Saved to: ${recordingPath}`));
+
+    if (recordingGaps.length > 0) {
+        const lost = recordingGaps.reduce((total, gap) => total + gap.seconds, 0);
+        console.warn(chalk.yellow(`⚠ The recording has ${recordingGaps.length} gap(s), ${Math.round(lost)}s missing in total`));
+    }
+
+    const stats = await fs.stat(recordingPath);
+    const fileSizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+    console.log(chalk.green(`✓ Recording file size: ${fileSizeMB} MB`));
+    return recordingPath;
+}
+
+/**
+ * The stretches the last recording is missing because its capture had to be restarted, as
+ * { atSeconds: position in the recording, start, end, seconds, reason }
+ */
+export function getRecordingGaps() {
+    return recordingGaps;
+}
+
+/**
+ * Why the capture of the last recording stopped for good (ffmpeg missing, or maxRestarts used up), or null
+ * The recording then holds everything up to that point
+ */
+export function getCaptureFailure() {
+    return captureFailure;
+}
+
+/**
+ * Join the segments a recorder that died left next to a recording
+ * @returns {Promise<{segments: number, endedAt: Date}|null>} null when there are no segments;
+ *   endedAt is when the last segment was written
+ */
+export async function recoverSegments(filePath) {
+    const segmentDir = getSegmentDir(filePath);
+    let names;
+    try {
+        names = (await fs.readdir(segmentDir)).filter((name) => SEGMENT_FILE.test(name));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    if (names.length === 0) return null;
+
+    const times = await Promise.all(names.map(async (name) => (await fs.stat(path.join(segmentDir, name))).mtimeMs));
+    const segments = await joinSegments(segmentDir, filePath);
+    return { segments, endedAt: new Date(Math.max(...times)) };
 }
 
 /**
@@ -157,3 +229,245 @@ export function getRecordingPath() {
     return recordingPath;
 }
 
+/**
+ * Quality presets from best to smallest
+ */
+export const QUALITY_PRESETS = Object.keys(QUALITY_SETTINGS);
+
+/**
+ * Rough size of a recording in bytes, from the preset's video bitrate and the audio bitrate
+ * Screen content usually compresses below the preset bitrate, so this errs on the large side
+ */
+export function estimateRecordingBytes(quality, seconds) {
+    const settings = QUALITY_SETTINGS[quality] || QUALITY_SETTINGS.high;
+    const kilobitsPerSecond = parseInt(settings.bitrate, 10) + AUDIO_KILOBITS;
+    return Math.round(kilobitsPerSecond * 1000 / 8 * seconds);
+}
+
+/**
+ * Describe what a recording with these settings captures (backend, quality preset and devices)
+ */
+export function describeCapture(quality = 'high', capture = {}) {
+    const { backend, ...devices } = capture;
+    return {
+        backend: resolveCaptureBackend(capture).name,
+        quality,
+        ...(QUALITY_SETTINGS[quality] || QUALITY_SETTINGS.high),
+        ...devices
+    };
+}
+
+/**
+ * Start an ffmpeg run writing segments numbered after the existing ones
+ */
+async function startRun(recording) {
+    const startNumber = await nextSegmentNumber(recording.segmentDir);
+    if (recording.stopping) return;
+
+    const run = { process: null, frame: 0, seconds: 0, progressAt: Date.now(), exitCode: undefined };
+    run.exited = new Promise((resolve) => {
+        run.resolveExit = resolve;
+    });
+    run.process = spawn('ffmpeg', [
+        ...recording.args,
+        '-segment_start_number', String(startNumber),
+        path.join(recording.segmentDir, 'segment-%04d.mp4')
+    ]);
+    recording.run = run;
+    // silencedetect times start over with every run
+    recording.silenceTracker?.continueClock();
+
+    run.process.stdout.on('data', (data) => {
+        // FFmpeg outputs to stderr, not stdout
+    });
+    // ffmpeg may already be gone when "q" is sent
+    run.process.stdin.on('error', () => { });
+
+    run.process.stderr.on('data', (data) => {
+        const output = data.toString();
+        recording.silenceTracker?.handleOutput(output);
+        trackProgress(recording, run, output);
+        // Filter out verbose output, only show important messages
+        if (output.includes('frame=') || output.includes('error') || output.includes('Error')) {
+            process.stdout.write(output);
+        }
+    });
+
+    run.process.on('error', (error) => {
+        if (error.code === 'ENOENT') {
+            console.error(chalk.red('✗ FFmpeg not found. Please install FFmpeg:'));
+            console.error(chalk.yellow(`  ${recording.backend.installHint}`));
+            recording.failed = true;
+            captureFailure = 'ffmpeg not found';
+        } else {
+            console.error(chalk.red('✗ FFmpeg error:'), error.message);
+        }
+    });
+
+    run.process.on('close', (code, signal) => {
+        run.exitCode = code;
+        run.resolveExit(code);
+        if (!recording.stopping && !recording.restarting && !recording.failed && recording.run === run) {
+            restartRun(recording, code === null ? `ffmpeg was stopped by ${signal}` : `ffmpeg exited with code ${code}`);
+        }
+    });
+}
+
+/**
+ * Follow ffmpeg's "frame=  123 ... time=00:01:02.03" progress lines
+ */
+function trackProgress(recording, run, output) {
+    const frames = [...output.matchAll(/frame=\s*(\d+)/g)];
+    const times = [...output.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+    if (times.length > 0) {
+        const [, hours, minutes, seconds] = times[times.length - 1];
+        run.seconds = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    }
+
+    const frame = frames.length > 0 ? Number(frames[frames.length - 1][1]) : 0;
+    if (frame > run.frame) {
+        run.frame = frame;
+        run.progressAt = Date.now();
+        closeGap(recording);
+    }
+}
+
+function checkForStall(recording) {
+    const { run, options } = recording;
+    if (recording.stopping || recording.restarting || recording.failed || !run || run.exitCode !== undefined) return;
+
+    if (Date.now() - run.progressAt > options.stallSeconds * 1000) {
+        restartRun(recording, `no new frames for ${options.stallSeconds}s`);
+    }
+}
+
+/**
+ * Stop the current run and capture into a new segment, keeping the time in between as a gap
+ */
+async function restartRun(recording, reason) {
+    const { run, options } = recording;
+    recording.restarting = true;
+    recording.recordedSeconds += run.seconds;
+    recordingGaps.push({
+        atSeconds: Math.round(recording.recordedSeconds * 10) / 10,
+        start: new Date(run.progressAt).toISOString(),
+        end: null,
+        seconds: null,
+        reason
+    });
+
+    if (recording.restarts >= options.maxRestarts) {
+        console.error(chalk.red(`✗ Capture failed (${reason}); giving up after ${recording.restarts} restart(s)`));
+        recording.failed = true;
+        captureFailure = `${reason}; gave up after ${recording.restarts} restart(s)`;
+        await endRun(run, STALLED_STOP_TIMEOUT_MS);
+        return;
+    }
+
+    recording.restarts++;
+    console.warn(chalk.yellow(`⚠ Capture ${reason}; restarting into a new segment (${recording.restarts}/${options.maxRestarts})`));
+    await endRun(run, STALLED_STOP_TIMEOUT_MS);
+    await new Promise((resolve) => setTimeout(resolve, RESTART_DELAY_MS));
+    if (!recording.stopping) {
+        await startRun(recording);
+    }
+    recording.restarting = false;
+}
+
+/**
+ * End the gap that is open, once frames come in again or the recording stops
+ */
+function closeGap(recording) {
+    const gap = recordingGaps[recordingGaps.length - 1];
+    if (!gap || gap.end) return;
+
+    gap.end = new Date().toISOString();
+    gap.seconds = Math.round((new Date(gap.end) - new Date(gap.start)) / 100) / 10;
+    if (!recording.stopping) {
+        console.log(chalk.green(`✓ Capture resumed after a ${Math.round(gap.seconds)}s gap`));
+    }
+}
+
+/**
+ * Ask ffmpeg to finish its segment ("q"), and kill it if it does not
+ * @returns {Promise<number|null>} exit code
+ */
+async function endRun(run, timeoutMs = STOP_TIMEOUT_MS) {
+    if (!run) return null;
+    if (run.exitCode !== undefined) return run.exitCode;
+
+    run.process.stdin.write('q');
+    run.process.stdin.end();
+    const timer = setTimeout(() => run.process.kill('SIGKILL'), timeoutMs);
+    const code = await run.exited;
+    clearTimeout(timer);
+    return code;
+}
+
+function getSegmentDir(filePath) {
+    const parsed = path.parse(filePath);
+    return path.join(parsed.dir, `${parsed.name}-segments`);
+}
+
+async function nextSegmentNumber(segmentDir) {
+    const numbers = (await fs.readdir(segmentDir))
+        .map((name) => name.match(SEGMENT_FILE))
+        .filter(Boolean)
+        .map((match) => Number(match[1]));
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 0;
+}
+
+/**
+ * The segments with something in them, in recording order
+ */
+async function listSegments(segmentDir) {
+    const names = (await fs.readdir(segmentDir)).filter((name) => SEGMENT_FILE.test(name)).sort();
+    const segments = [];
+    for (const name of names) {
+        const duration = await getAudioDuration(path.join(segmentDir, name)).catch(() => 0);
+        if (duration > 0) {
+            segments.push(name);
+        } else {
+            console.warn(chalk.yellow(`⚠ Leaving out ${name}: it has no readable video`));
+        }
+    }
+    return segments;
+}
+
+/**
+ * Join a segment folder's readable segments into one file and remove the folder
+ * @returns {Promise<number>} number of segments joined
+ */
+async function joinSegments(segmentDir, outputPath) {
+    const segments = await listSegments(segmentDir);
+    if (segments.length === 0) {
+        throw new Error(`Nothing was recorded (no readable segment in ${segmentDir})`);
+    }
+
+    console.log(chalk.blue(`Joining ${segments.length} segment(s)...`));
+    try {
+        await concatSegments(segmentDir, segments, outputPath);
+    } catch (error) {
+        throw new Error(`Could not join the segments, they are kept in ${segmentDir}: ${error.message}`);
+    }
+    await fs.rm(segmentDir, { recursive: true, force: true });
+    return segments.length;
+}
+
+/**
+ * Join segments with ffmpeg's concat demuxer, copying the streams
+ */
+async function concatSegments(segmentDir, segments, outputPath) {
+    const listPath = path.join(segmentDir, 'segments.txt');
+    await fs.writeFile(listPath, segments.map((name) => `file '${name}'\n`).join(''), 'utf-8');
+
+    await new Promise((resolve, reject) => {
+        ffmpeg(listPath)
+            .inputOptions(['-f concat', '-safe 0'])
+            .outputOptions(['-map 0', '-c copy', '-movflags +faststart'])
+            .output(outputPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    });
+}
@@ -0,0 +1,247 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { listSessions, loadSession, getArtifactPath } from './sessionManifest.js';
+import { parseTranscriptText } from './transcriptSegments.js';
+
+/**
+ * Full-text search over session transcripts and summaries
+ * The index is one JSON file, outputDir/.search-index.json:
+ * {
+ *   version,
+ *   sessions: { [id]: { meeting: { id, name }, date, dir, recording, documents: [{ source, start, end, speaker, text }] } },
+ *   terms: { [token]: [session id, ...] }
+ * }
+ * Documents are transcript segments and summary lines. terms narrows a query to the sessions
+ * holding every word; the documents of those sessions are then matched word by word and phrase by phrase.
+ * A session is re-indexed whenever its transcript or summary is written.
+ */
+
+const INDEX_VERSION = 1;
+const INDEX_FILE = '.search-index.json';
+
+/**
+ * Path of the search index for a config's output directory
+ */
+export function getSearchIndexPath(config) {
+    return path.join(config.recording.outputDir, INDEX_FILE);
+}
+
+/**
+ * Add or replace one session in the index from the files its manifest lists
+ * A failure only warns: the transcript is already saved, and "search --rebuild" recovers the index
+ */
+export async function indexSession(config, dir) {
+    try {
+        const indexPath = getSearchIndexPath(config);
+        const index = await loadIndex(indexPath) || createIndex();
+        const manifest = await loadSession(dir);
+
+        removeSession(index, manifest.id);
+        addSession(index, dir, manifest, await readDocuments(dir, manifest));
+        await saveIndex(indexPath, index);
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠ Could not update the search index for ${dir}: ${error.message}`));
+    }
+}
+
+/**
+ * Build the index from scratch from every session under outputDir
+ * @returns {Promise<number>} number of sessions indexed
+ */
+export async function rebuildSearchIndex(config) {
+    const index = createIndex();
+    const sessions = await listSessions(config.recording.outputDir);
+
+    for (const { dir, manifest } of sessions) {
+        addSession(index, dir, manifest, await readDocuments(dir, manifest));
+    }
+
+    await saveIndex(getSearchIndexPath(config), index);
+    return sessions.length;
+}
+
+/**
+ * Search the index. Every word and every "quoted phrase" in the query must occur in the same
+ * segment (or summary line); matching ignores case and punctuation
+ * The index is built first if it does not exist yet
+ * @param {object} [filters] - { meeting (id, or name ignoring case), from, to (Dates), context (segments either side), limit }
+ * @returns {Promise<Array<{sessionId, meeting, date, dir, recording, source, start, speaker, text, before, after}>>}
+ *          newest session first, in transcript order within a session
+ */
+export async function searchSessions(config, query, filters = {}) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) {
+        throw new Error('Search query is empty');
+    }
+
+    const indexPath = getSearchIndexPath(config);
+    let index = await loadIndex(indexPath);
+    if (!index) {
+        await rebuildSearchIndex(config);
+        index = await loadIndex(indexPath);
+    }
+
+    const { meeting, from, to, context = 1, limit = Infinity } = filters;
+    const words = [...new Set(clauses.flat())];
+
+    // Sessions containing every word of the query
+    const candidates = words
+        .map((word) => new Set(index.terms[word] || []))
+        .reduce((result, ids) => new Set([...result].filter((id) => ids.has(id))));
+
+    const sessions = [...candidates]
+        .map((id) => ({ id, ...index.sessions[id] }))
+        .filter((session) => !meeting || session.meeting.id === meeting || session.meeting.name?.toLowerCase() === meeting.toLowerCase())
+        .filter((session) => (!from || new Date(session.date) >= from) && (!to || new Date(session.date) <= to))
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    const hits = [];
+    for (const session of sessions) {
+        session.documents.forEach((document, position) => {
+            const tokens = tokenize(document.text);
+            if (!clauses.every((phrase) => containsPhrase(tokens, phrase))) {
+                return;
+            }
+
+            const sameSource = (offset) => {
+                const neighbour = session.documents[position + offset];
+                return neighbour?.source === document.source ? neighbour : null;
+            };
+            const around = (direction) => Array.from({ length: context }, (_, i) => sameSource(direction * (i + 1)))
+                .filter(Boolean);
+
+            hits.push({
+                sessionId: session.id,
+                meeting: session.meeting,
+                date: session.date,
+                dir: session.dir,
+                recording: session.recording,
+                ...document,
+                before: around(-1).reverse(),
+                after: around(1)
+            });
+        });
+    }
+
+    return hits.slice(0, limit);
+}
+
+/**
+ * Split a query into clauses: each "quoted phrase" and each remaining word, as lists of tokens
+ * parseQuery('"Q3 migration" date') => [['q3', 'migration'], ['date']]
+ */
+export function parseQuery(query) {
+    const clauses = [];
+    const rest = query.replace(/"([^"]*)"?/g, (match, phrase) => {
+        clauses.push(tokenize(phrase));
+        return ' ';
+    });
+
+    clauses.push(...tokenize(rest).map((word) => [word]));
+    return clauses.filter((clause) => clause.length > 0);
+}
+
+/**
+ * Lowercase words and numbers of a text, without punctuation
+ */
+export function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function createIndex() {
+    return { version: INDEX_VERSION, sessions: {}, terms: {} };
+}
+
+/**
+ * Read the index, or null when there is none (or it was written by another version)
+ */
+async function loadIndex(indexPath) {
+    try {
+        const index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+        return index.version === INDEX_VERSION ? index : null;
+    } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+        throw error;
+    }
+}
+
+async function saveIndex(indexPath, index) {
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    const temp = `${indexPath}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(index), 'utf-8');
+    await fs.rename(temp, indexPath);
+}
+
+function addSession(index, dir, manifest, documents) {
+    index.sessions[manifest.id] = {
+        meeting: { id: manifest.meeting.id, name: manifest.meeting.name },
+        date: manifest.actualStart || manifest.scheduledStart || manifest.createdAt,
+        dir,
+        recording: getArtifactPath(dir, manifest, 'recording'),
+        documents
+    };
+
+    for (const token of new Set(documents.flatMap((document) => tokenize(document.text)))) {
+        (index.terms[token] ||= []).push(manifest.id);
+    }
+}
+
+function removeSession(index, id) {
+    const session = index.sessions[id];
+    if (!session) return;
+
+    for (const token of new Set(session.documents.flatMap((document) => tokenize(document.text)))) {
+        const ids = index.terms[token]?.filter((other) => other !== id);
+        if (ids?.length) {
+            index.terms[token] = ids;
+        } else {
+            delete index.terms[token];
+        }
+    }
+    delete index.sessions[id];
+}
+
+/**
+ * Transcript segments (from the segments sidecar, or parsed from the transcript text)
+ * followed by the summary's non-empty lines
+ */
+async function readDocuments(dir, manifest) {
+    const read = async (name) => {
+        const filePath = getArtifactPath(dir, manifest, name);
+        return filePath ? fs.readFile(filePath, 'utf-8').catch(() => null) : null;
+    };
+
+    const segmentsFile = await read('segments');
+    const transcriptText = segmentsFile ? null : await read('transcript');
+    const segments = segmentsFile
+        ? JSON.parse(segmentsFile).segments
+        : transcriptText ? parseTranscriptText(transcriptText) : [];
+
+    const summary = await read('summary');
+    const summaryLines = (summary || '').split(/\r?\n/)
+        .map((line) => line.replace(/^\s*(#+|[-*+]|\d+[.)])\s+/, '').trim())
+        .filter((line) => tokenize(line).length > 0);
+
+    return [
+        ...segments.map(({ start, end, speaker, text }) => ({ source: 'transcript', start, end, speaker: speaker || null, text })),
+        ...summaryLines.map((text) => ({ source: 'summary', start: findTimestamp(text), end: null, speaker: null, text }))
+    ];
+}
+
+function containsPhrase(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+        if (phrase.every((word, j) => tokens[i + j] === word)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Seconds of the first [MM:SS] or [HH:MM:SS] in a summary line, or null
+ */
+function findTimestamp(text) {
+    const match = text.match(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]/);
+    return match ? match[1].split(':').map(Number).reduce((total, part) => total * 60 + part, 0) : null;
+}
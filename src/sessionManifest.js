@@ -0,0 +1,265 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Session folders
+ * Every recording session gets its own folder, outputDir/<outputSubdir>/<session id>/, holding the
+ * recording, transcript, subtitles, summary and action items under fixed names plus a session.json manifest:
+ * {
+ *   version, id, meeting: { id, name, cronExpression, timezone },
+ *   scheduledStart, expectedEnd, joinedAt, actualStart, actualEnd, durationSeconds, error,
+ *   recorder: { host, pid }  (the process recording the session, to tell a live session from an interrupted one),
+ *   endedBy: ended | silent | scheduled-end | max-duration | capture-failed | join-timeout | interrupted,
+ *   trim: { leadInSeconds, tailSeconds, durationSeconds },
+ *   recordingGaps: [{ atSeconds, start, end, seconds, reason }]  (capture restarts; atSeconds before any trim),
+ *   capture: { backend, quality, resolution, framerate, ... },
+ *   transcription: { provider, model, language, speakers }, summary: { model, inputTokens },
+ *   actionItems: { model, count, decisions },
+ *   artifacts: { [name]: { path, sizeBytes, sha256 } }  (paths relative to the folder; media preset outputs are
+ *     "media-<preset>" and also hold the preset, type and its settings),
+ *   uploads: [{ label, provider, webUrl, shareLink }]  (media preset outputs also hold their preset),
+ *   pruned: { at, videoBytes }  (the video was removed by the retention policy),
+ *   steps: { [step]: { status, attempts, lastError, finishedAt } }
+ * }
+ * The manifest is the record of a session that the CLI, uploads and search read.
+ */
+
+export const MANIFEST_FILE = 'session.json';
+
+export const SESSION_FILES = {
+    recording: 'recording.mp4',
+    // Audio track kept when the retention policy removes the video
+    audio: 'recording.m4a',
+    // Files made by the media presets, named after the preset
+    mediaDir: 'media',
+    transcript: 'transcript.txt',
+    // .srt, .vtt and .json subtitles/segments share this base name
+    sidecarBase: 'transcript',
+    speakers: 'speakers.json',
+    summary: 'summary.md',
+    // .json, .csv, .ics and .md exports share this base name
+    actionItemsBase: 'action-items'
+};
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Create the folder and manifest for a new session of a meeting
+ * @returns {Promise<{dir: string, manifest: object}>}
+ */
+export async function createSession(config, meeting, { scheduledAt = null } = {}) {
+    const createdAt = new Date();
+    const id = `${meeting.id}-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const dir = path.resolve(config.recording.outputDir, meeting.outputSubdir, id);
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        id,
+        meeting: {
+            id: meeting.id,
+            name: meeting.name,
+            cronExpression: meeting.cronExpression,
+            timezone: meeting.timezone || null
+        },
+        createdAt: createdAt.toISOString(),
+        recorder: { host: os.hostname(), pid: process.pid },
+        scheduledStart: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+        actualStart: null,
+        actualEnd: null,
+        durationSeconds: null,
+        error: null,
+        capture: null,
+        transcription: null,
+        summary: null,
+        artifacts: {},
+        uploads: [],
+        steps: {}
+    };
+
+    await fs.mkdir(dir, { recursive: true });
+    await saveSession(dir, manifest);
+    return { dir, manifest };
+}
+
+/**
+ * Read the manifest of a session folder
+ */
+export async function loadSession(dir) {
+    return JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf-8'));
+}
+
+/**
+ * Write a manifest atomically (temp file + rename)
+ */
+export async function saveSession(dir, manifest) {
+    const target = path.join(dir, MANIFEST_FILE);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(manifest, null, 2), 'utf-8');
+    await fs.rename(temp, target);
+}
+
+/**
+ * Load, change and save a manifest
+ * @param {function} change - (manifest) => void, may be async
+ */
+export async function updateSession(dir, change) {
+    const manifest = await loadSession(dir);
+    await change(manifest);
+    await saveSession(dir, manifest);
+    return manifest;
+}
+
+/**
+ * Add a file to the manifest's artifacts with its size and SHA-256 hash
+ * @param {object} [details] - more about the file, stored with it (e.g. a media preset's type and settings)
+ */
+export async function addArtifact(manifest, dir, name, filePath, details = {}) {
+    const { size } = await fs.stat(filePath);
+    manifest.artifacts[name] = {
+        path: path.relative(dir, filePath),
+        sizeBytes: size,
+        sha256: await hashFile(filePath),
+        ...details
+    };
+}
+
+/**
+ * Store a transcribeVideo() result: the provider and model used, the speakers, and the transcript files
+ */
+export async function addTranscription(manifest, dir, result) {
+    manifest.transcription = {
+        provider: result.provider,
+        model: result.model,
+        language: result.language,
+        speakers: result.speakerStats ? result.speakerStats.speakers.map((s) => s.speaker) : []
+    };
+    await addArtifact(manifest, dir, 'transcript', result.filePath);
+    await addArtifact(manifest, dir, 'subtitlesSrt', result.sidecars.srt);
+    await addArtifact(manifest, dir, 'subtitlesVtt', result.sidecars.vtt);
+    await addArtifact(manifest, dir, 'segments', result.sidecars.json);
+    if (result.speakersPath) {
+        await addArtifact(manifest, dir, 'speakers', result.speakersPath);
+    } else {
+        delete manifest.artifacts.speakers;
+    }
+}
+
+/**
+ * Store a generateSummary() result: the model used and the summary file
+ */
+export async function addSummary(manifest, dir, result) {
+    manifest.summary = { model: result.model, inputTokens: result.inputTokens };
+    await addArtifact(manifest, dir, 'summary', result.filePath);
+}
+
+/**
+ * Store a generateActionItems() document and the files writeActionItemFiles() wrote for it
+ */
+export async function addActionItems(manifest, dir, document, paths) {
+    manifest.actionItems = { model: document.model, count: document.actionItems.length, decisions: document.decisions.length };
+    await addArtifact(manifest, dir, 'actionItems', paths.json);
+    await addArtifact(manifest, dir, 'actionItemsCsv', paths.csv);
+    await addArtifact(manifest, dir, 'actionItemsIcs', paths.ics);
+    await addArtifact(manifest, dir, 'actionItemsChecklist', paths.markdown);
+}
+
+/**
+ * Absolute path of a named artifact, or null when the session does not have it
+ */
+export function getArtifactPath(dir, manifest, name) {
+    // Names can come from URLs, so "constructor" and the like must not reach Object.prototype
+    if (!Object.hasOwn(manifest.artifacts, name)) return null;
+    return path.resolve(dir, manifest.artifacts[name].path);
+}
+
+/**
+ * Overall status: joining, recording, interrupted (its recording process is gone without ending it),
+ * failed (recording error or a step out of attempts), done, or the first unfinished post-processing step
+ * (e.g. "transcribe: retrying")
+ */
+export function getSessionStatus(manifest) {
+    const steps = Object.entries(manifest.steps);
+    if (manifest.error || steps.some(([, step]) => step.status === 'failed')) return 'failed';
+    if (!manifest.actualEnd) {
+        if (isRecorderGone(manifest)) return 'interrupted';
+        return manifest.actualStart ? 'recording' : 'joining';
+    }
+    if (steps.length > 0 && steps.every(([, step]) => step.status === 'done')) return 'done';
+
+    const next = steps.find(([, step]) => step.status !== 'done');
+    return next ? `${next[0]}: ${next[1].status}` : 'pending';
+}
+
+/**
+ * Find every session folder under outputDir, newest first
+ * Sessions sit at most two levels down (outputDir/<outputSubdir>/<session>)
+ * @returns {Promise<Array<{dir: string, manifest: object}>>}
+ */
+export async function listSessions(outputDir) {
+    const sessions = [];
+
+    const visit = async (dir, depth) => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        if (entries.some((entry) => entry.isFile() && entry.name === MANIFEST_FILE)) {
+            sessions.push({ dir, manifest: await loadSession(dir) });
+            return;
+        }
+        if (depth === 0) return;
+
+        for (const entry of entries) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                await visit(path.join(dir, entry.name), depth - 1);
+            }
+        }
+    };
+
+    await visit(path.resolve(outputDir), 2);
+    return sessions.sort((a, b) => b.manifest.createdAt.localeCompare(a.manifest.createdAt));
+}
+
+/**
+ * Find a session by id
+ * @returns {Promise<{dir: string, manifest: object}>}
+ */
+export async function findSession(outputDir, id) {
+    const session = (await listSessions(outputDir)).find((s) => s.manifest.id === id);
+    if (!session) {
+        throw new Error(`No session "${id}" under ${outputDir}. Run "npm start -- sessions list" to see recorded sessions`);
+    }
+    return session;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Whether the process that recorded a session has exited
+ * Only known for sessions recorded on this host; older manifests without a recorder count as live
+ */
+function isRecorderGone({ recorder }) {
+    if (!recorder || recorder.host !== os.hostname()) return false;
+    try {
+        process.kill(recorder.pid, 0);
+        return false;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'ESRCH';
+    }
+}
@@ -0,0 +1,215 @@
+import { formatClock } from './transcriptSegments.js';
+
+/**
+ * Speakers of a transcript
+ * Providers label segments with attendee names where they can tell who is speaking, and with
+ * "Speaker 1", "Speaker 2", ... otherwise. These helpers map labels to the configured attendee
+ * names, keep labels consistent across chunks, and compute per-speaker talk-time analytics.
+ */
+
+// Chunk segments with at least this share of words in common are taken to be the same speech
+const MIN_SHARED_WORDS = 0.5;
+
+// A speaker change within this many seconds after an unfinished sentence counts as an interruption
+const INTERRUPTION_GAP_SECONDS = 1;
+
+const GENERIC_LABEL = /^speaker\s*(\d+)$/i;
+
+/**
+ * Replace labels that name an attendee ("dave", "Dave") with the configured name ("Dave Smith")
+ * A first name only matches when no other attendee shares it
+ * @param {string[]} attendees - Configured attendee names
+ */
+export function assignAttendeeNames(segments, attendees = []) {
+    if (attendees.length === 0) {
+        return segments;
+    }
+    return segments.map((segment) => {
+        const name = segment.speaker && matchAttendee(segment.speaker, attendees);
+        return name && name !== segment.speaker ? { ...segment, speaker: name } : segment;
+    });
+}
+
+/**
+ * Carry speaker labels over from one chunk to the next
+ * Each chunk is labelled on its own, so its "Speaker 1" need not be the previous chunk's "Speaker 1".
+ * Segments transcribed twice in the overlap between two chunks show which labels belong together;
+ * generic labels without such evidence keep their number unless it is now taken by another speaker.
+ * Attendee names are the same in every chunk and are left alone.
+ * @param {Array<{chunk: object, segments: Array}>} chunkResults - In chunk order, segments in absolute time
+ */
+export function alignChunkSpeakers(chunkResults) {
+    let nextNumber = 1 + Math.max(0, ...chunkResults.flatMap(({ segments }) => segments.map((s) => genericNumber(s.speaker) || 0)));
+    const aligned = [];
+
+    chunkResults.forEach((current, index) => {
+        if (index === 0) {
+            aligned.push(current);
+            return;
+        }
+
+        const previous = aligned[index - 1];
+        const votes = new Map();
+        for (const segment of current.segments.filter((s) => GENERIC_LABEL.test(s.speaker || '') && s.start < current.chunk.start)) {
+            for (const earlier of previous.segments.filter((s) => s.speaker && s.end > current.chunk.offset)) {
+                const overlap = Math.min(segment.end, earlier.end) - Math.max(segment.start, earlier.start);
+                if (overlap > 0 && sharedWords(segment.text, earlier.text) >= MIN_SHARED_WORDS) {
+                    const key = `${segment.speaker}\u0000${earlier.speaker}`;
+                    votes.set(key, (votes.get(key) || 0) + overlap);
+                }
+            }
+        }
+
+        // Strongest evidence first; each label on either side is matched at most once
+        const mapping = new Map();
+        const taken = new Set();
+        for (const [key] of [...votes].sort((a, b) => b[1] - a[1])) {
+            const [label, target] = key.split('\u0000');
+            if (!mapping.has(label) && !taken.has(target)) {
+                mapping.set(label, target);
+                taken.add(target);
+            }
+        }
+
+        const labels = new Set(current.segments.map((s) => s.speaker).filter((label) => GENERIC_LABEL.test(label || '')));
+        for (const label of labels) {
+            if (!mapping.has(label)) {
+                mapping.set(label, taken.has(label) ? `Speaker ${nextNumber++}` : label);
+                taken.add(mapping.get(label));
+            }
+        }
+
+        const segments = current.segments.map((s) => (mapping.has(s.speaker) ? { ...s, speaker: mapping.get(s.speaker) } : s));
+        aligned.push({ ...current, segments });
+    });
+
+    return aligned;
+}
+
+/**
+ * Talk time, turns, longest monologue and interruptions per speaker
+ * A turn is a run of consecutive segments by one speaker. An interruption is a change of speaker
+ * right after a segment that ends mid-sentence (no closing punctuation, or a dash or ellipsis).
+ * @returns {object|null} { version, totalSeconds, unlabelledSeconds, interruptions, speakers: [{ speaker, talkSeconds,
+ *   share, turns, longestMonologue: { seconds, start }, interruptions, interrupted }] }, or null without speaker labels
+ */
+export function computeSpeakerStats(segments) {
+    if (!segments.some((segment) => segment.speaker)) {
+        return null;
+    }
+
+    const speakers = new Map();
+    const statsOf = (name) => {
+        if (!speakers.has(name)) {
+            speakers.set(name, { speaker: name, talkSeconds: 0, share: 0, turns: 0, longestMonologue: { seconds: 0, start: null }, interruptions: 0, interrupted: 0 });
+        }
+        return speakers.get(name);
+    };
+
+    let unlabelledSeconds = 0;
+    let turn = null;
+    segments.forEach((segment, index) => {
+        const duration = segment.end - segment.start;
+        if (!segment.speaker) {
+            unlabelledSeconds += duration;
+            turn = null;
+            return;
+        }
+
+        const stats = statsOf(segment.speaker);
+        stats.talkSeconds += duration;
+
+        if (turn?.speaker !== segment.speaker) {
+            const previous = segments[index - 1];
+            if (turn && segment.start - previous.end <= INTERRUPTION_GAP_SECONDS && endsMidSentence(previous.text)) {
+                stats.interruptions += 1;
+                statsOf(turn.speaker).interrupted += 1;
+            }
+            stats.turns += 1;
+            turn = { speaker: segment.speaker, start: segment.start };
+        }
+
+        const monologue = segment.end - turn.start;
+        if (monologue > stats.longestMonologue.seconds) {
+            stats.longestMonologue = { seconds: round(monologue), start: turn.start };
+        }
+    });
+
+    const talkSeconds = [...speakers.values()].reduce((total, stats) => total + stats.talkSeconds, 0);
+    const list = [...speakers.values()]
+        .map((stats) => ({
+            ...stats,
+            talkSeconds: round(stats.talkSeconds),
+            share: talkSeconds > 0 ? Math.round((stats.talkSeconds / talkSeconds) * 1000) / 1000 : 0
+        }))
+        .sort((a, b) => b.talkSeconds - a.talkSeconds);
+
+    return {
+        version: 1,
+        totalSeconds: round(talkSeconds + unlabelledSeconds),
+        unlabelledSeconds: round(unlabelledSeconds),
+        interruptions: list.reduce((total, stats) => total + stats.interruptions, 0),
+        speakers: list
+    };
+}
+
+/**
+ * The analytics as a Markdown section, appended to the summary
+ */
+export function formatSpeakerStats(stats) {
+    const lines = ['### Talk Time', ''];
+    for (const s of stats.speakers) {
+        const details = [
+            `${formatDuration(s.talkSeconds)} (${Math.round(s.share * 100)}%)`,
+            `${s.turns} turn${s.turns === 1 ? '' : 's'}`,
+            `longest monologue ${formatDuration(s.longestMonologue.seconds)} at [${formatClock(s.longestMonologue.start)}]`,
+            `interrupted others ${s.interruptions}×, was interrupted ${s.interrupted}×`
+        ];
+        lines.push(`- **${s.speaker}**: ${details.join(', ')}`);
+    }
+    if (stats.unlabelledSeconds > 0) {
+        lines.push(`- Unattributed speech: ${formatDuration(stats.unlabelledSeconds)}`);
+    }
+    return lines.join('\n');
+}
+
+function matchAttendee(label, attendees) {
+    const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const wanted = normalize(label);
+
+    const exact = attendees.find((name) => normalize(name) === wanted);
+    if (exact) return exact;
+
+    const byFirstName = attendees.filter((name) => normalize(name).split(' ')[0] === wanted);
+    return byFirstName.length === 1 ? byFirstName[0] : null;
+}
+
+function genericNumber(label) {
+    const match = (label || '').match(GENERIC_LABEL);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Share of the shorter text's words that also occur in the other text
+ */
+function sharedWords(a, b) {
+    const words = (text) => new Set(text.toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean));
+    const [shorter, longer] = [words(a), words(b)].sort((x, y) => x.size - y.size);
+    if (shorter.size === 0) return 0;
+    return [...shorter].filter((word) => longer.has(word)).length / shorter.size;
+}
+
+function endsMidSentence(text) {
+    const trimmed = text.trim();
+    return /(-|—|–|\.\.\.|…)["')\]]*$/.test(trimmed) || !/[.!?]["')\]]*$/.test(trimmed);
+}
+
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    return minutes > 0 ? `${minutes}m ${total % 60}s` : `${total}s`;
+}
+
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
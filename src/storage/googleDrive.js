@@ -0,0 +1,124 @@
+import path from 'path';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { fetchOk, getAccessToken, uploadInChunks, alignedChunkSize } from './http.js';
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Drive requires resumable chunks to be multiples of 256 KiB
+const CHUNK_UNIT = 256 * 1024;
+
+const folderIds = new Map();
+
+/**
+ * Upload a file to Google Drive with the resumable upload protocol
+ * Credentials come from GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN (or GOOGLE_ACCESS_TOKEN)
+ * @param {object} cloudStorage - cloudStorage config; cloudStorage.googleDrive holds the base URLs
+ */
+export async function uploadToGoogleDrive(filePath, cloudStorage, fileName = path.basename(filePath)) {
+    const options = {
+        apiBaseUrl: 'https://www.googleapis.com',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        shareWithAnyone: false,
+        ...cloudStorage.googleDrive
+    };
+    const apiBaseUrl = options.apiBaseUrl.replace(/\/+$/, '');
+
+    const token = await getAccessToken({
+        tokenUrl: options.tokenUrl,
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        refreshToken: process.env.GOOGLE_REFRESH_TOKEN,
+        accessToken: process.env.GOOGLE_ACCESS_TOKEN
+    });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const folderId = await ensureFolder(apiBaseUrl, auth, cloudStorage.folderName);
+    const { size } = await fs.stat(filePath);
+
+    // Start a resumable session; the session URI comes back in the Location header
+    const session = await fetchOk(`${apiBaseUrl}/upload/drive/v3/files?uploadType=resumable&fields=id,webViewLink`, {
+        method: 'POST',
+        headers: {
+            ...auth,
+            'Content-Type': 'application/json; charset=UTF-8',
+            'X-Upload-Content-Length': String(size)
+        },
+        body: JSON.stringify({ name: fileName, parents: [folderId] })
+    }, 'Google Drive upload session');
+    const sessionUrl = session.headers.get('location');
+
+    console.log(chalk.blue(`Uploading ${fileName} to Google Drive...`));
+
+    const file = await uploadInChunks(filePath, alignedChunkSize(cloudStorage, CHUNK_UNIT), {
+        sendChunk: async (buffer, start, end, total) => readUploadStatus(await fetch(sessionUrl, {
+            method: 'PUT',
+            headers: { 'Content-Length': String(buffer.length), 'Content-Range': `bytes ${start}-${end - 1}/${total}` },
+            body: buffer
+        })),
+        queryOffset: async () => readUploadStatus(await fetch(sessionUrl, {
+            method: 'PUT',
+            headers: { 'Content-Length': '0', 'Content-Range': `bytes */${size}` }
+        }))
+    }, (offset, total) => console.log(chalk.gray(`  ${Math.round((offset / total) * 100)}% uploaded`)));
+
+    if (options.shareWithAnyone) {
+        await fetchOk(`${apiBaseUrl}/drive/v3/files/${file.id}/permissions`, {
+            method: 'POST',
+            headers: { ...auth, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role: 'reader', type: 'anyone' })
+        }, 'Google Drive share permission');
+    }
+
+    console.log(chalk.green(`✓ Uploaded to Google Drive: ${file.webViewLink}`));
+
+    return {
+        provider: 'google-drive',
+        id: file.id,
+        webUrl: file.webViewLink,
+        shareLink: file.webViewLink
+    };
+}
+
+/**
+ * Find the named folder, creating it if it does not exist
+ */
+async function ensureFolder(apiBaseUrl, auth, folderName) {
+    if (folderIds.has(folderName)) {
+        return folderIds.get(folderName);
+    }
+
+    const query = `name = '${folderName.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}' and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`;
+    const search = await fetchOk(`${apiBaseUrl}/drive/v3/files?${new URLSearchParams({ q: query, fields: 'files(id,name)' })}`, {
+        headers: auth
+    }, 'Google Drive folder lookup');
+    const { files } = await search.json();
+
+    let folderId = files[0]?.id;
+    if (!folderId) {
+        console.log(chalk.blue(`Creating Google Drive folder "${folderName}"...`));
+        const created = await fetchOk(`${apiBaseUrl}/drive/v3/files?fields=id`, {
+            method: 'POST',
+            headers: { ...auth, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: folderName, mimeType: FOLDER_MIME_TYPE })
+        }, 'Google Drive folder creation');
+        folderId = (await created.json()).id;
+    }
+
+    folderIds.set(folderName, folderId);
+    return folderId;
+}
+
+/**
+ * 308 means more bytes are expected (Range: bytes=0-N); 200/201 means the upload finished
+ */
+async function readUploadStatus(response) {
+    if (response.status === 200 || response.status === 201) {
+        return { done: true, result: await response.json() };
+    }
+    if (response.status === 308) {
+        const range = response.headers.get('range');
+        return { done: false, offset: range ? Number(range.split('-')[1]) + 1 : 0 };
+    }
+    throw new Error(`Google Drive chunk upload failed with ${response.status}: ${await response.text()}`);
+}
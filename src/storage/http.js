@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import { retry } from '../asyncUtils.js';
+
+const cachedTokens = new Map();
+
+/**
+ * fetch() that throws with the response body when the status is not 2xx
+ */
+export async function fetchOk(url, init, description) {
+    const response = await fetch(url, init);
+    if (!response.ok) {
+        throw new Error(`${description} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response;
+}
+
+/**
+ * Get an OAuth access token, refreshing it with a refresh token when needed
+ * A fixed accessToken is used as-is; refreshed tokens are cached until shortly before they expire
+ */
+export async function getAccessToken({ tokenUrl, clientId, clientSecret, refreshToken, accessToken, scope }) {
+    if (accessToken) {
+        return accessToken;
+    }
+    if (!clientId || !refreshToken) {
+        throw new Error('Missing OAuth credentials (client ID and refresh token)');
+    }
+
+    const cacheKey = `${tokenUrl}|${clientId}|${refreshToken}`;
+    const cached = cachedTokens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.token;
+    }
+
+    const body = new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: clientId,
+        refresh_token: refreshToken,
+        ...(clientSecret && { client_secret: clientSecret }),
+        ...(scope && { scope })
+    });
+
+    const response = await fetchOk(tokenUrl, { method: 'POST', body }, 'Token refresh');
+    const data = await response.json();
+
+    cachedTokens.set(cacheKey, {
+        token: data.access_token,
+        expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000
+    });
+    return data.access_token;
+}
+
+/**
+ * cloudStorage.chunkSizeMB (default 8) rounded down to a multiple of the provider's chunk unit
+ */
+export function alignedChunkSize(cloudStorage, unit) {
+    const bytes = (cloudStorage.chunkSizeMB || 8) * 1024 * 1024;
+    return Math.max(unit, Math.floor(bytes / unit) * unit);
+}
+
+/**
+ * Upload a file in chunks through a resumable upload session
+ * After a failed chunk the provider is asked how much it already has, and the upload resumes there
+ * @param {object} session
+ * @param {function} session.sendChunk - (buffer, start, end, size) => { done, result } or { done: false, offset }
+ * @param {function} session.queryOffset - () => { done, result } or { done: false, offset }
+ */
+export async function uploadInChunks(filePath, chunkSize, { sendChunk, queryOffset }, onProgress) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+        const { size } = await handle.stat();
+        let offset = 0;
+
+        while (true) {
+            const status = await retry(async (attempt) => {
+                if (attempt > 0) {
+                    const current = await queryOffset();
+                    if (current.done) return current;
+                    offset = current.offset;
+                }
+
+                const end = Math.min(offset + chunkSize, size);
+                const buffer = Buffer.alloc(end - offset);
+                await handle.read(buffer, 0, buffer.length, offset);
+
+                return sendChunk(buffer, offset, end, size);
+            }, {
+                retries: 5,
+                baseDelayMs: 1000
+            });
+
+            if (status.done) {
+                return status.result;
+            }
+
+            offset = status.offset;
+            if (onProgress) {
+                onProgress(offset, size);
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+}
@@ -0,0 +1,109 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fetchOk, getAccessToken, uploadInChunks, alignedChunkSize } from './http.js';
+
+// Graph requires upload session chunks to be multiples of 320 KiB
+const CHUNK_UNIT = 320 * 1024;
+
+const createdFolders = new Set();
+
+/**
+ * Upload a file to OneDrive through a Microsoft Graph upload session
+ * Credentials come from ONEDRIVE_CLIENT_ID, ONEDRIVE_CLIENT_SECRET (optional) and ONEDRIVE_REFRESH_TOKEN (or ONEDRIVE_ACCESS_TOKEN)
+ * @param {object} cloudStorage - cloudStorage config; cloudStorage.oneDrive holds the base URLs
+ */
+export async function uploadToOneDrive(filePath, cloudStorage, fileName = path.basename(filePath)) {
+    const options = {
+        graphBaseUrl: 'https://graph.microsoft.com/v1.0',
+        tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+        shareScope: 'organization',
+        ...cloudStorage.oneDrive
+    };
+    const graphBaseUrl = options.graphBaseUrl.replace(/\/+$/, '');
+
+    const token = await getAccessToken({
+        tokenUrl: options.tokenUrl,
+        clientId: process.env.ONEDRIVE_CLIENT_ID,
+        clientSecret: process.env.ONEDRIVE_CLIENT_SECRET,
+        refreshToken: process.env.ONEDRIVE_REFRESH_TOKEN,
+        accessToken: process.env.ONEDRIVE_ACCESS_TOKEN,
+        scope: 'Files.ReadWrite offline_access'
+    });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    await ensureFolder(graphBaseUrl, auth, cloudStorage.folderName);
+
+    const itemPath = `${encodeURIComponent(cloudStorage.folderName)}/${encodeURIComponent(fileName)}`;
+
+    const session = await fetchOk(`${graphBaseUrl}/me/drive/root:/${itemPath}:/createUploadSession`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ item: { '@microsoft.graph.conflictBehavior': 'rename' } })
+    }, 'OneDrive upload session');
+    const { uploadUrl } = await session.json();
+
+    console.log(chalk.blue(`Uploading ${fileName} to OneDrive...`));
+
+    // The upload URL is pre-authenticated, so chunk requests carry no Authorization header
+    const item = await uploadInChunks(filePath, alignedChunkSize(cloudStorage, CHUNK_UNIT), {
+        sendChunk: async (buffer, start, end, total) => readUploadStatus(await fetch(uploadUrl, {
+            method: 'PUT',
+            headers: { 'Content-Length': String(buffer.length), 'Content-Range': `bytes ${start}-${end - 1}/${total}` },
+            body: buffer
+        })),
+        queryOffset: async () => readUploadStatus(await fetch(uploadUrl))
+    }, (offset, total) => console.log(chalk.gray(`  ${Math.round((offset / total) * 100)}% uploaded`)));
+
+    const link = await fetchOk(`${graphBaseUrl}/me/drive/items/${item.id}/createLink`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'view', scope: options.shareScope })
+    }, 'OneDrive share link');
+    const { link: shareLink } = await link.json();
+
+    console.log(chalk.green(`✓ Uploaded to OneDrive: ${item.webUrl}`));
+
+    return {
+        provider: 'onedrive',
+        id: item.id,
+        webUrl: item.webUrl,
+        shareLink: shareLink.webUrl
+    };
+}
+
+/**
+ * Create the folder under the drive root unless it already exists
+ */
+async function ensureFolder(graphBaseUrl, auth, folderName) {
+    if (createdFolders.has(folderName)) {
+        return;
+    }
+
+    const existing = await fetch(`${graphBaseUrl}/me/drive/root:/${encodeURIComponent(folderName)}`, { headers: auth });
+    if (existing.status === 404) {
+        console.log(chalk.blue(`Creating OneDrive folder "${folderName}"...`));
+        await fetchOk(`${graphBaseUrl}/me/drive/root/children`, {
+            method: 'POST',
+            headers: { ...auth, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: folderName, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' })
+        }, 'OneDrive folder creation');
+    } else if (!existing.ok) {
+        throw new Error(`OneDrive folder lookup failed with ${existing.status}: ${await existing.text()}`);
+    }
+
+    createdFolders.add(folderName);
+}
+
+/**
+ * 202 (or a status query) lists nextExpectedRanges; 200/201 returns the finished drive item
+ */
+async function readUploadStatus(response) {
+    if (response.status === 200 || response.status === 201 || response.status === 202) {
+        const body = await response.json();
+        if (body.nextExpectedRanges) {
+            return { done: false, offset: Number(body.nextExpectedRanges[0].split('-')[0]) };
+        }
+        return { done: true, result: body };
+    }
+    throw new Error(`OneDrive chunk upload failed with ${response.status}: ${await response.text()}`);
+}
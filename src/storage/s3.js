@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { fetchOk } from './http.js';
+import { retry } from '../asyncUtils.js';
+
+// S3 rejects multipart parts under 5 MiB (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Upload a file to S3 or an S3-compatible store (MinIO, Ceph, R2, ...) with a SigV4-signed multipart upload
+ * Credentials come from S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (or the AWS_* equivalents)
+ * @param {object} cloudStorage - cloudStorage config; cloudStorage.s3 holds endpoint, region, bucket and prefix
+ */
+export async function uploadToS3(filePath, cloudStorage, fileName = path.basename(filePath)) {
+    const options = s3Options(cloudStorage);
+    const key = `${options.prefix}${fileName}`;
+
+    const { size } = await fs.stat(filePath);
+    const partSize = Math.max(MIN_PART_SIZE, (cloudStorage.chunkSizeMB || 8) * 1024 * 1024);
+
+    console.log(chalk.blue(`Uploading ${fileName} to s3://${options.bucket}/${key}...`));
+
+    const created = await signedFetch(options, 'POST', key, { uploads: '' }, null, 'S3 multipart upload creation');
+    const uploadId = matchXml(await created.text(), 'UploadId');
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const parts = [];
+
+        for (let offset = 0, partNumber = 1; offset < size || partNumber === 1; offset += partSize, partNumber++) {
+            const buffer = Buffer.alloc(Math.min(partSize, size - offset));
+            await handle.read(buffer, 0, buffer.length, offset);
+
+            const response = await retry(() => signedFetch(options, 'PUT', key, {
+                partNumber: String(partNumber),
+                uploadId
+            }, buffer, `S3 part ${partNumber} upload`), { retries: 5, baseDelayMs: 1000 });
+
+            parts.push({ partNumber, etag: response.headers.get('etag') });
+            console.log(chalk.gray(`  ${Math.round((Math.min(offset + partSize, size) / size) * 100)}% uploaded`));
+        }
+
+        const completion = `<CompleteMultipartUpload>${parts
+            .map((p) => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+            .join('')}</CompleteMultipartUpload>`;
+        const completed = await signedFetch(options, 'POST', key, { uploadId }, Buffer.from(completion), 'S3 multipart upload completion');
+
+        // CompleteMultipartUpload can fail with a 200 status and an <Error> body
+        const completedBody = await completed.text();
+        if (completedBody.includes('<Error>')) {
+            throw new Error(`S3 multipart upload completion failed: ${matchXml(completedBody, 'Message') || completedBody}`);
+        }
+    } catch (error) {
+        await signedFetch(options, 'DELETE', key, { uploadId }, null, 'S3 multipart upload abort').catch(() => { });
+        throw error;
+    } finally {
+        await handle.close();
+    }
+
+    const shareLink = presignGetUrl(options, key, Math.min(options.presignExpiresSeconds, MAX_PRESIGN_SECONDS));
+    console.log(chalk.green(`✓ Uploaded to s3://${options.bucket}/${key}`));
+
+    return {
+        provider: 's3',
+        id: key,
+        webUrl: objectUrl(options, key).toString(),
+        shareLink
+    };
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {object} options - endpoint, region, bucket, forcePathStyle, accessKeyId and secretAccessKey
+ * @returns {{url: string, headers: object}} the URL with its query, and the headers to send with it
+ */
+export function signRequest(options, method, key, query, body, now = new Date()) {
+    const url = objectUrl(options, key);
+    const amzDate = toAmzDate(now);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+
+    const signature = sign(options, method, url.pathname, query, headers, payloadHash, amzDate);
+    const { host, ...requestHeaders } = headers;
+
+    return {
+        url: `${url}${canonicalQuery(query) ? `?${canonicalQuery(query)}` : ''}`,
+        headers: { ...requestHeaders, Authorization: signature.authorization }
+    };
+}
+
+/**
+ * Build a presigned GET URL so the object can be shared without credentials
+ */
+export function presignGetUrl(options, key, expiresSeconds, now = new Date()) {
+    const url = objectUrl(options, key);
+    const amzDate = toAmzDate(now);
+
+    const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${options.accessKeyId}/${credentialScope(options, amzDate)}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresSeconds),
+        'X-Amz-SignedHeaders': 'host'
+    };
+
+    const signature = sign(options, 'GET', url.pathname, query, { host: url.host }, 'UNSIGNED-PAYLOAD', amzDate);
+    return `${url}?${canonicalQuery({ ...query, 'X-Amz-Signature': signature.signature })}`;
+}
+
+function s3Options(cloudStorage) {
+    const s3 = cloudStorage.s3 || {};
+    const region = s3.region || 'us-east-1';
+
+    return {
+        endpoint: (s3.endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+        region,
+        bucket: s3.bucket,
+        prefix: s3.prefix ?? `${cloudStorage.folderName}/`,
+        forcePathStyle: s3.forcePathStyle ?? Boolean(s3.endpoint),
+        presignExpiresSeconds: s3.presignExpiresSeconds || MAX_PRESIGN_SECONDS,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+    };
+}
+
+function objectUrl(options, key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const endpoint = new URL(options.endpoint);
+
+    if (options.forcePathStyle) {
+        return new URL(`${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${options.bucket}/${encodedKey}`);
+    }
+    return new URL(`${endpoint.protocol}//${options.bucket}.${endpoint.host}${endpoint.pathname.replace(/\/$/, '')}/${encodedKey}`);
+}
+
+async function signedFetch(options, method, key, query, body, description) {
+    const { url, headers } = signRequest(options, method, key, query, body);
+    return fetchOk(url, { method, headers, body }, description);
+}
+
+function sign(options, method, canonicalPath, query, headers, payloadHash, amzDate) {
+    const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    const signedHeaders = headerNames.join(';');
+    const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+    const canonicalRequest = [
+        method,
+        canonicalPath,
+        canonicalQuery(query),
+        canonicalHeaders,
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const scope = credentialScope(options, amzDate);
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (keyMaterial, part) => hmac(keyMaterial, part),
+        hmac(hmac(`AWS4${options.secretAccessKey}`, amzDate.slice(0, 8)), options.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        signature,
+        authorization: `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+function toAmzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+function credentialScope(options, amzDate) {
+    return `${amzDate.slice(0, 8)}/${options.region}/s3/aws4_request`;
+}
+
+function canonicalQuery(query) {
+    return Object.keys(query)
+        .sort()
+        .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+        .join('&');
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function matchXml(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+    return match ? match[1] : null;
+}
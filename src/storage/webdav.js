@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import chalk from 'chalk';
+import { fetchOk } from './http.js';
+import { retry } from '../asyncUtils.js';
+
+const createdCollections = new Set();
+
+/**
+ * Upload a file to a WebDAV server (Nextcloud, ownCloud, Apache mod_dav, ...)
+ * Folders are created with MKCOL. Files are streamed in one PUT, or, with webdav.chunking = "nextcloud",
+ * sent as Nextcloud chunked uploads (v2) so a failed chunk can be resent on its own
+ * Credentials come from WEBDAV_USERNAME and WEBDAV_PASSWORD
+ * @param {object} cloudStorage - cloudStorage config; cloudStorage.webdav holds url, chunking and uploadsUrl
+ */
+export async function uploadToWebDav(filePath, cloudStorage, fileName = path.basename(filePath)) {
+    const options = cloudStorage.webdav;
+    const baseUrl = options.url.replace(/\/+$/, '');
+    const auth = {
+        Authorization: `Basic ${Buffer.from(`${process.env.WEBDAV_USERNAME}:${process.env.WEBDAV_PASSWORD}`).toString('base64')}`
+    };
+
+    const folderSegments = cloudStorage.folderName.split('/').filter(Boolean);
+    await ensureCollections(baseUrl, auth, folderSegments);
+
+    const fileUrl = `${baseUrl}/${[...folderSegments, fileName].map(encodeURIComponent).join('/')}`;
+    const { size } = await fs.stat(filePath);
+
+    console.log(chalk.blue(`Uploading ${fileName} to WebDAV...`));
+
+    if (options.chunking === 'nextcloud') {
+        await uploadNextcloudChunks(filePath, size, fileUrl, auth, options, cloudStorage.chunkSizeMB);
+    } else {
+        await fetchOk(fileUrl, {
+            method: 'PUT',
+            headers: { ...auth, 'Content-Length': String(size) },
+            body: createReadStream(filePath),
+            duplex: 'half'
+        }, 'WebDAV upload');
+    }
+
+    console.log(chalk.green(`✓ Uploaded to WebDAV: ${fileUrl}`));
+
+    return {
+        provider: 'webdav',
+        id: fileUrl,
+        webUrl: fileUrl,
+        shareLink: fileUrl
+    };
+}
+
+/**
+ * MKCOL each level of the folder path; 405 means the collection already exists
+ */
+async function ensureCollections(baseUrl, auth, segments) {
+    let url = baseUrl;
+
+    for (const segment of segments) {
+        url += `/${encodeURIComponent(segment)}`;
+        if (createdCollections.has(url)) continue;
+
+        const response = await fetch(url, { method: 'MKCOL', headers: auth });
+        if (!response.ok && response.status !== 405) {
+            throw new Error(`WebDAV MKCOL ${url} failed with ${response.status}: ${await response.text()}`);
+        }
+        createdCollections.add(url);
+    }
+}
+
+/**
+ * Nextcloud chunked upload v2: MKCOL a transfer folder, PUT numbered chunks, then MOVE .file into place
+ */
+async function uploadNextcloudChunks(filePath, size, fileUrl, auth, options, chunkSizeMB = 8) {
+    const chunkSize = Math.max(5, chunkSizeMB) * 1024 * 1024;
+    const transferUrl = `${options.uploadsUrl.replace(/\/+$/, '')}/zoom-recorder-${crypto.randomUUID()}`;
+    const destination = { Destination: fileUrl };
+
+    await fetchOk(transferUrl, { method: 'MKCOL', headers: { ...auth, ...destination } }, 'WebDAV chunked upload creation');
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+        for (let offset = 0, index = 1; offset < size; offset += chunkSize, index++) {
+            const buffer = Buffer.alloc(Math.min(chunkSize, size - offset));
+            await handle.read(buffer, 0, buffer.length, offset);
+
+            await retry(() => fetchOk(`${transferUrl}/${String(index).padStart(5, '0')}`, {
+                method: 'PUT',
+                headers: { ...auth, ...destination, 'OC-Total-Length': String(size) },
+                body: buffer
+            }, `WebDAV chunk ${index} upload`), { retries: 5, baseDelayMs: 1000 });
+
+            console.log(chalk.gray(`  ${Math.round((Math.min(offset + chunkSize, size) / size) * 100)}% uploaded`));
+        }
+
+        await fetchOk(`${transferUrl}/.file`, {
+            method: 'MOVE',
+            headers: { ...auth, ...destination, 'OC-Total-Length': String(size), Overwrite: 'T' }
+        }, 'WebDAV chunked upload assembly');
+    } catch (error) {
+        await fetch(transferUrl, { method: 'DELETE', headers: auth }).catch(() => { });
+        throw error;
+    } finally {
+        await handle.close();
+    }
+}
@@ -3,21 +3,52 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { formatSpeakerStats } from './speakers.js';
+import { mapWithConcurrency, retry } from './asyncUtils.js';
 
 dotenv.config();
 
+const DEFAULT_OPTIONS = {
+    model: 'gemini-1.5-flash-8b',
+    maxInputTokens: 30000,
+    sectionTokens: 8000,
+    concurrency: 2
+};
+
+const SUMMARY_STRUCTURE = `## Meeting Summary
+
+### Key Points
+[List the main topics and key points discussed]
+
+### Decisions Made
+[List any decisions or conclusions reached]
+
+### Action Items
+[List any action items, tasks, or follow-ups mentioned, including who is responsible if mentioned]
+
+### Important Details
+[Any other important information, dates, deadlines, or context]
+
+### Participants Mentioned
+[List any participants or stakeholders mentioned]`;
+
 /**
  * Generate AI summary from transcript
+ * Transcripts over maxInputTokens are summarized section by section, then combined
+ * @param {object} options - ai.summary config: { model, maxInputTokens, sectionTokens, concurrency }
+ * @param {string} [summaryPath] - file to write instead of outputDir/summary-<timestamp>.md
+ * @param {object} [speakerStats] - computeSpeakerStats() result, appended as a "Talk Time" section
  */
-export async function generateSummary(transcript, outputDir, modelName = 'gemini-1.5-flash-8b') {
+export async function generateSummary(transcript, outputDir, options = {}, summaryPath = null, speakerStats = null) {
     try {
         const apiKey = process.env.GEMINI_API_KEY;
         if (!apiKey) {
             throw new Error('GEMINI_API_KEY not found in environment variables');
         }
 
+        const settings = { ...DEFAULT_OPTIONS, ...options };
         const genAI = new GoogleGenerativeAI(apiKey);
-        const model = genAI.getGenerativeModel({ model: modelName });
+        const model = genAI.getGenerativeModel({ model: settings.model });
 
         console.log(chalk.blue('Generating AI summary with Gemini...'));
 
@@ -26,46 +57,94 @@ export async function generateSummary(transcript, outputDir, modelName = 'gemini
             ? transcript
             : transcript.transcript || transcript.text || JSON.stringify(transcript);
 
-        const prompt = `Please analyze the following meeting transcript and provide a comprehensive summary. Structure your response as follows:
-
-## Meeting Summary
-
-### Key Points
-[List the main topics and key points discussed]
+        const { totalTokens } = await model.countTokens(transcriptText);
+        const sectioned = totalTokens > settings.maxInputTokens;
+        const content = sectioned
+            ? await summarizeSections(model, transcriptText, totalTokens, settings)
+            : transcriptText;
 
-### Decisions Made
-[List any decisions or conclusions reached]
+        const prompt = `Please analyze the following ${sectioned ? 'notes, taken section by section from one long meeting transcript,' : 'meeting transcript'} and provide a comprehensive summary. Keep the [MM:SS] timestamps next to points where available. Structure your response as follows:
 
-### Action Items
-[List any action items, tasks, or follow-ups mentioned, including who is responsible if mentioned]
-
-### Important Details
-[Any other important information, dates, deadlines, or context]
-
-### Participants Mentioned
-[List any participants or stakeholders mentioned]
+${SUMMARY_STRUCTURE}
 
 ---
 
-Transcript:
-${transcriptText.substring(0, 30000)}${transcriptText.length > 30000 ? '\n\n[Transcript truncated for length]' : ''}`;
+${sectioned ? 'Section notes' : 'Transcript'}:
+${content}`;
 
         const result = await model.generateContent(prompt);
-        const summary = result.response.text();
+        const summary = speakerStats
+            ? `${result.response.text().trimEnd()}\n\n${formatSpeakerStats(speakerStats)}\n`
+            : result.response.text();
 
         // Save summary to file
-        const summaryPath = path.join(outputDir, `summary-${Date.now()}.md`);
-        await fs.writeFile(summaryPath, summary, 'utf-8');
+        const filePath = summaryPath || path.join(outputDir, `summary-${Date.now()}.md`);
+        await fs.writeFile(filePath, summary, 'utf-8');
 
         console.log(chalk.green('✓ Summary generated successfully'));
-        console.log(chalk.green(`  Summary saved to: ${summaryPath}`));
+        console.log(chalk.green(`  Summary saved to: ${filePath}`));
 
         return {
             summary: summary,
-            filePath: summaryPath,
+            model: settings.model,
+            inputTokens: totalTokens,
+            filePath,
         };
     } catch (error) {
         console.error(chalk.red('✗ Summary generation error:'), error.message);
         throw error;
     }
 }
+
+/**
+ * Map step: summarize each section of a long transcript, keeping its timestamps
+ * Notes that together are still too long are reduced again the same way
+ */
+async function summarizeSections(model, text, totalTokens, settings) {
+    // Split by line using the measured tokens-per-character ratio, so no timestamp line is cut
+    const tokensPerChar = totalTokens / text.length;
+    const sections = splitIntoSections(text, Math.floor(settings.sectionTokens / tokensPerChar));
+
+    console.log(chalk.blue(`Transcript is ${totalTokens} tokens, summarizing ${sections.length} sections...`));
+
+    const notes = await mapWithConcurrency(sections, settings.concurrency, (section, index) => retry(async () => {
+        const result = await model.generateContent(`This is section ${index + 1} of ${sections.length} of a meeting transcript. Write concise notes on it for a later summary of the whole meeting. Keep the [MM:SS] timestamp of every point. Use these headings, leaving out any that have nothing: Key Points, Decisions Made, Action Items, Important Details, Participants Mentioned.
+
+Section ${index + 1}:
+${section}`);
+
+        console.log(chalk.green(`✓ Section ${index + 1}/${sections.length} summarized`));
+        return `#### Section ${index + 1} of ${sections.length}\n${result.response.text()}`;
+    }, {
+        onRetry: (error, attempt) => console.warn(chalk.yellow(`⚠ Section ${index + 1} failed (${error.message}), retry ${attempt}...`))
+    }));
+
+    const combined = notes.join('\n\n');
+    const { totalTokens: combinedTokens } = await model.countTokens(combined);
+
+    if (combinedTokens > settings.maxInputTokens && sections.length > 1) {
+        console.log(chalk.blue(`Section notes are ${combinedTokens} tokens, reducing again...`));
+        return summarizeSections(model, combined, combinedTokens, settings);
+    }
+
+    return combined;
+}
+
+function splitIntoSections(text, maxChars) {
+    const sections = [];
+    let current = '';
+
+    for (const line of text.split('\n')) {
+        if (current && current.length + line.length + 1 > maxChars) {
+            sections.push(current);
+            current = '';
+        }
+        current += (current ? '\n' : '') + line;
+    }
+
+    if (current) {
+        sections.push(current);
+    }
+
+    return sections;
+}
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+
+/**
+ * Transcript segments: { start, end, speaker, text } with start/end in seconds
+ * Parses the "[MM:SS] text" transcripts the models produce, normalizes their timestamps,
+ * validates the result and exports it as SRT, WebVTT and JSON
+ */
+
+// A gap of more than half an hour backwards is treated as the MM:SS clock wrapping past 59:59
+const HOUR_WRAP_THRESHOLD = 30 * 60;
+
+// Used for the last segment, which has no following timestamp to end at
+const SECONDS_PER_WORD = 0.4;
+const MIN_SEGMENT_SECONDS = 2;
+
+/**
+ * Parse "[MM:SS] text", "[HH:MM:SS] Speaker: text" or "**[MM:SS - MM:SS]** text" lines into segments
+ * Lines without a timestamp are appended to the previous segment
+ */
+export function parseTranscriptText(text) {
+    const segments = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*[*_]*\[([\d:.,\s-]+)\][*_]*\s*(.*)$/);
+
+        if (!match) {
+            const continuation = line.trim();
+            if (continuation && segments.length > 0) {
+                segments[segments.length - 1].text += ` ${continuation}`;
+            }
+            continue;
+        }
+
+        const [startText, endText] = match[1].split('-').map((t) => t.trim());
+        const start = parseTimestamp(startText);
+        if (start === null) {
+            continue;
+        }
+
+        const { speaker, text: body } = splitSpeaker(match[2].trim());
+        segments.push({
+            start,
+            end: endText ? parseTimestamp(endText) : null,
+            speaker,
+            text: body
+        });
+    }
+
+    return normalizeSegments(segments);
+}
+
+/**
+ * Put segments on one monotonic timeline and fill in missing end times
+ * - MM:SS clocks that wrap after 59:59 are moved into the next hour
+ * - Any other timestamp that goes backwards is clamped to the previous one
+ * - A missing or overlapping end becomes the next segment's start
+ */
+export function normalizeSegments(segments) {
+    let hourOffset = 0;
+    let previousStart = 0;
+
+    const timeline = segments
+        .filter((segment) => segment.text && segment.text.trim())
+        .map((segment) => {
+            // Only sub-hour (MM:SS) timestamps can have wrapped; larger values are already absolute
+            const offset = segment.start < 3600 ? hourOffset : 0;
+            let start = segment.start + offset;
+
+            if (start < previousStart) {
+                const drop = previousStart - start;
+                if (drop > HOUR_WRAP_THRESHOLD) {
+                    const hours = Math.ceil(drop / 3600);
+                    hourOffset += hours * 3600;
+                    start += hours * 3600;
+                } else {
+                    start = previousStart;
+                }
+            }
+
+            previousStart = start;
+
+            const end = segment.end === null || segment.end === undefined ? null : segment.end + offset;
+            return {
+                start,
+                end: end !== null && end > start ? end : null,
+                speaker: segment.speaker || null,
+                text: segment.text.trim()
+            };
+        });
+
+    return timeline.map((segment, index) => {
+        const next = timeline[index + 1];
+        let end = segment.end;
+
+        if (next && (end === null || end > next.start)) {
+            end = next.start;
+        }
+        if (end === null || end <= segment.start) {
+            const words = segment.text.split(/\s+/).length;
+            end = segment.start + Math.max(MIN_SEGMENT_SECONDS, words * SECONDS_PER_WORD);
+        }
+
+        return { ...segment, end: round(end), start: round(segment.start) };
+    });
+}
+
+/**
+ * Check that segments are well-formed and in order. Throws listing every problem found
+ */
+export function validateSegments(segments) {
+    const errors = [];
+
+    if (!Array.isArray(segments)) {
+        throw new Error('Transcript segments must be an array');
+    }
+
+    segments.forEach((segment, index) => {
+        const at = `segments[${index}]`;
+
+        if (!Number.isFinite(segment.start) || segment.start < 0) {
+            errors.push(`${at}.start must be a non-negative number`);
+        }
+        if (!Number.isFinite(segment.end) || segment.end <= segment.start) {
+            errors.push(`${at}.end must be a number greater than start`);
+        }
+        if (segment.speaker !== null && typeof segment.speaker !== 'string') {
+            errors.push(`${at}.speaker must be a string or null`);
+        }
+        if (typeof segment.text !== 'string' || !segment.text.trim()) {
+            errors.push(`${at}.text must be a non-empty string`);
+        }
+        if (index > 0 && segment.start < segments[index - 1].start) {
+            errors.push(`${at}.start goes backwards`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid transcript segments:\n  ${errors.join('\n  ')}`);
+    }
+
+    return segments;
+}
+
+/**
+ * Render segments as "[MM:SS] Speaker: text" lines (HH:MM:SS once past an hour)
+ */
+export function formatTranscriptText(segments) {
+    return segments
+        .map((s) => `[${formatClock(s.start)}] ${s.speaker ? `${s.speaker}: ` : ''}${s.text}`)
+        .join('\n');
+}
+
+/**
+ * Format seconds as MM:SS, or HH:MM:SS once past an hour
+ */
+export function formatClock(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    const mmss = `${pad(m)}:${pad(s)}`;
+    return h > 0 ? `${pad(h)}:${mmss}` : mmss;
+}
+
+/**
+ * Render segments as SubRip subtitles
+ */
+export function formatSrt(segments) {
+    return segments
+        .map((s, index) => [
+            index + 1,
+            `${formatCueTime(s.start, ',')} --> ${formatCueTime(s.end, ',')}`,
+            cueText(s),
+            ''
+        ].join('\n'))
+        .join('\n');
+}
+
+/**
+ * Render segments as WebVTT subtitles, using voice tags for speakers
+ */
+export function formatVtt(segments) {
+    const cues = segments.map((s) => [
+        `${formatCueTime(s.start, '.')} --> ${formatCueTime(s.end, '.')}`,
+        s.speaker ? `<v ${s.speaker}>${s.text}` : s.text,
+        ''
+    ].join('\n'));
+
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Write .srt, .vtt and .json sidecars for a transcript
+ * @param {string} basePath - Output path without extension, e.g. the recording path minus ".mp4"
+ * @param {object} metadata - Extra fields stored in the JSON (provider, model, language, ...)
+ */
+export async function writeTranscriptSidecars(segments, basePath, metadata = {}) {
+    const paths = {
+        srt: `${basePath}.srt`,
+        vtt: `${basePath}.vtt`,
+        json: `${basePath}.json`
+    };
+
+    await fs.writeFile(paths.srt, formatSrt(segments), 'utf-8');
+    await fs.writeFile(paths.vtt, formatVtt(segments), 'utf-8');
+    await fs.writeFile(paths.json, JSON.stringify({ version: 1, ...metadata, segments }, null, 2), 'utf-8');
+
+    return paths;
+}
+
+function parseTimestamp(value) {
+    if (!value || !/^\d+(:\d{1,2}){1,2}([.,]\d+)?$/.test(value)) {
+        return null;
+    }
+
+    const parts = value.replace(',', '.').split(':').map(Number);
+    return parts.length === 3
+        ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+        : parts[0] * 60 + parts[1];
+}
+
+function splitSpeaker(text) {
+    // "Speaker 1: hello", "**Alice:** hello"
+    const match = text.match(/^[*_]*([A-Za-z][\w .'-]{0,39}?)[*_]*:[*_]*\s+(.+)$/);
+    if (match && match[1].trim().split(/\s+/).length <= 4) {
+        return { speaker: match[1].trim(), text: match[2] };
+    }
+    return { speaker: null, text };
+}
+
+function cueText(segment) {
+    return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+}
+
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
@@ -1,29 +1,45 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { GoogleAIFileManager } from '@google/generative-ai/server';
 import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
 import fs from 'fs/promises';
-import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { getTranscriptionProvider } from './transcriptionProviders.js';
+import { parseTranscriptText, normalizeSegments, validateSegments, writeTranscriptSidecars, formatTranscriptText } from './transcriptSegments.js';
+import { getAudioDuration, detectSilences, planChunks, extractChunk, mergeChunkSegments } from './audioChunks.js';
+import { assignAttendeeNames, alignChunkSpeakers, computeSpeakerStats } from './speakers.js';
+import { mapWithConcurrency, retry } from './asyncUtils.js';
 
 dotenv.config();
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CHUNKING = {
+    enabled: true,
+    chunkSeconds: 600,
+    overlapSeconds: 5,
+    splitAtSilence: true,
+    silenceSearchSeconds: 30,
+    concurrency: 2,
+    retries: 3
+};
 
 /**
  * Extract audio from video file
+ * "wav" produces 16 kHz mono PCM, the input format whisper.cpp expects
  */
-async function extractAudio(videoPath, outputDir) {
+async function extractAudio(videoPath, outputDir, format = 'mp3') {
     return new Promise((resolve, reject) => {
-        const audioPath = path.join(outputDir, `audio-${Date.now()}.mp3`);
+        const audioPath = path.join(outputDir, `audio-${Date.now()}.${format}`);
 
         console.log(chalk.blue('Extracting audio from video...'));
 
-        ffmpeg(videoPath)
-            .output(audioPath)
-            .audioCodec('libmp3lame')
-            .audioBitrate(128)
+        const command = ffmpeg(videoPath).output(audioPath).noVideo();
+
+        if (format === 'wav') {
+            command.audioCodec('pcm_s16le').audioFrequency(16000).audioChannels(1);
+        } else {
+            command.audioCodec('libmp3lame').audioBitrate(128);
+        }
+
+        command
             .on('end', () => {
                 console.log(chalk.green('✓ Audio extracted successfully'));
                 resolve(audioPath);
@@ -37,86 +53,133 @@ async function extractAudio(videoPath, outputDir) {
 }
 
 /**
- * Transcribe audio using Google Gemini API
+ * Transcribe a recording with the configured transcription provider
+ * Writes the transcript text to outputDir and .srt/.vtt/.json sidecars next to the recording,
+ * plus <sidecarBase>-speakers.json with talk-time analytics when the segments have speakers
+ * @param {object} options - ai.transcription config: { provider, model, language, ... }, plus the meeting's attendees
+ * @param {object} [paths] - { transcript, sidecarBase, speakers } to use fixed file names instead
  */
-export async function transcribeVideo(videoPath, outputDir, modelName = 'gemini-1.5-flash-8b') {
+export async function transcribeVideo(videoPath, outputDir, options = {}, paths = {}) {
     try {
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey) {
-            throw new Error('GEMINI_API_KEY not found in environment variables');
-        }
+        const provider = getTranscriptionProvider(options.provider);
 
-        const genAI = new GoogleGenerativeAI(apiKey);
-        const fileManager = new GoogleAIFileManager(apiKey);
+        console.log(chalk.blue(`Starting transcription with ${provider.name}...`));
 
-        console.log(chalk.blue('Starting transcription with Gemini...'));
-
-        // Extract audio first (Gemini can handle video, but audio is smaller/faster)
-        const audioPath = await extractAudio(videoPath, outputDir);
+        // Extract audio first (smaller/faster to upload or process than the video)
+        const audioPath = await extractAudio(videoPath, outputDir, provider.audioFormat);
 
         try {
-            // Upload file to Gemini
-            console.log(chalk.blue('Uploading audio to Gemini...'));
-            const uploadResult = await fileManager.uploadFile(audioPath, {
-                mimeType: 'audio/mp3',
-                displayName: path.basename(audioPath),
+            const chunking = { ...DEFAULT_CHUNKING, ...options.chunking };
+            const duration = await getAudioDuration(audioPath);
+
+            const result = chunking.enabled && duration > chunking.chunkSeconds * 1.25
+                ? await transcribeInChunks(provider, audioPath, duration, options, chunking, outputDir)
+                : await provider.transcribe(audioPath, options);
+
+            // Providers with native timestamps return segments; otherwise parse the [MM:SS] text
+            const parsed = result.segments.length > 0
+                ? normalizeSegments(result.segments)
+                : parseTranscriptText(result.text);
+            const segments = validateSegments(assignAttendeeNames(parsed, options.attendees));
+            const renamed = segments.some((segment, index) => segment.speaker !== parsed[index].speaker);
+
+            // Save transcript to file, re-rendered if speakers were renamed to attendees
+            const transcriptPath = paths.transcript || path.join(outputDir, `transcript-${Date.now()}.txt`);
+            const text = renamed ? formatTranscriptText(segments) : result.text;
+            await fs.writeFile(transcriptPath, text, 'utf-8');
+
+            const videoInfo = path.parse(videoPath);
+            const sidecars = await writeTranscriptSidecars(segments, paths.sidecarBase || path.join(videoInfo.dir, videoInfo.name), {
+                recording: videoInfo.base,
+                provider: result.provider,
+                model: result.model,
+                language: result.language
             });
 
-            const fileUri = uploadResult.file.uri;
-            console.log(chalk.green(`✓ File uploaded: ${fileUri}`));
-
-            // Wait for file to be active
-            let file = await fileManager.getFile(uploadResult.file.name);
-            while (file.state === 'PROCESSING') {
-                console.log(chalk.blue('Processing file...'));
-                await new Promise((resolve) => setTimeout(resolve, 2000));
-                file = await fileManager.getFile(uploadResult.file.name);
-            }
-
-            if (file.state === 'FAILED') {
-                throw new Error('Gemini file processing failed');
+            const speakerStats = computeSpeakerStats(segments);
+            let speakersPath = null;
+            if (speakerStats) {
+                speakersPath = paths.speakers || `${paths.sidecarBase || path.join(videoInfo.dir, videoInfo.name)}-speakers.json`;
+                await fs.writeFile(speakersPath, JSON.stringify(speakerStats, null, 2), 'utf-8');
+            } else if (paths.speakers) {
+                // A session re-transcribed without speaker labels must not keep the old analytics
+                await fs.rm(paths.speakers, { force: true });
             }
 
-            // Generate transcript
-            console.log(chalk.blue('Generating transcript...'));
-            const model = genAI.getGenerativeModel({ model: modelName });
-            const result = await model.generateContent([
-                {
-                    fileData: {
-                        mimeType: uploadResult.file.mimeType,
-                        fileUri: uploadResult.file.uri
-                    }
-                },
-                { text: "Generate a timestamped transcript of this audio. Format it with [MM:SS] timestamps." }
-            ]);
-
-            const transcriptText = result.response.text();
-
-            // Clean up audio file locally
-            await fs.unlink(audioPath).catch(() => { });
-
-            // Clean up file in Gemini (optional but good practice)
-            // await fileManager.deleteFile(uploadResult.file.name).catch(() => {});
-
-            // Save transcript to file
-            const transcriptPath = path.join(outputDir, `transcript-${Date.now()}.txt`);
-            await fs.writeFile(transcriptPath, transcriptText, 'utf-8');
-
             console.log(chalk.green('✓ Transcription completed'));
             console.log(chalk.green(`  Transcript saved to: ${transcriptPath}`));
+            console.log(chalk.green(`  Subtitles saved to: ${sidecars.srt}, ${sidecars.vtt}`));
+            if (speakerStats) {
+                console.log(chalk.green(`  ${speakerStats.speakers.length} speaker(s), talk time saved to: ${speakersPath}`));
+            }
 
             return {
-                transcript: transcriptText,
-                raw: result.response,
+                transcript: text,
+                segments,
+                sidecars,
+                speakerStats,
+                speakersPath,
+                language: result.language,
+                provider: result.provider,
+                model: result.model,
+                raw: result.raw,
                 filePath: transcriptPath,
             };
-        } catch (error) {
-            // Clean up audio file on error
+        } finally {
+            // Clean up audio file locally
             await fs.unlink(audioPath).catch(() => { });
-            throw error;
         }
     } catch (error) {
         console.error(chalk.red('✗ Transcription error:'), error.message);
         throw error;
     }
 }
+
+/**
+ * Transcribe long audio as overlapping chunks and merge them into one provider result
+ * Each chunk is retried on its own, so one failed request does not restart the whole file
+ */
+async function transcribeInChunks(provider, audioPath, duration, options, chunking, outputDir) {
+    const silences = chunking.splitAtSilence ? await detectSilences(audioPath) : [];
+    const chunks = planChunks(duration, silences, chunking);
+
+    console.log(chalk.blue(`Audio is ${Math.round(duration / 60)} min long, transcribing in ${chunks.length} chunks...`));
+
+    const chunkResults = await mapWithConcurrency(chunks, chunking.concurrency, (chunk) => retry(async () => {
+        const chunkPath = await extractChunk(audioPath, chunk, outputDir);
+
+        try {
+            const result = await provider.transcribe(chunkPath, options);
+            const localSegments = result.segments.length > 0
+                ? normalizeSegments(result.segments)
+                : parseTranscriptText(result.text);
+
+            console.log(chalk.green(`✓ Chunk ${chunk.index + 1}/${chunks.length} transcribed`));
+
+            return {
+                chunk,
+                result,
+                segments: localSegments.map((s) => ({ ...s, start: s.start + chunk.offset, end: s.end + chunk.offset }))
+            };
+        } finally {
+            await fs.unlink(chunkPath).catch(() => { });
+        }
+    }, {
+        retries: chunking.retries,
+        onRetry: (error, attempt) => console.warn(chalk.yellow(`⚠ Chunk ${chunk.index + 1} failed (${error.message}), retry ${attempt}/${chunking.retries}...`))
+    }));
+
+    // Chunks are labelled independently; attendee names and the overlaps tie their speakers together
+    const labelled = chunkResults.map((result) => ({ ...result, segments: assignAttendeeNames(result.segments, options.attendees) }));
+    const segments = normalizeSegments(mergeChunkSegments(alignChunkSpeakers(labelled)));
+    const first = chunkResults[0].result;
+
+    return {
+        provider: first.provider,
+        model: first.model,
+        language: first.language,
+        text: formatTranscriptText(segments),
+        segments,
+        raw: chunkResults.map(({ chunk, result }) => ({ chunk, raw: result.raw })),
+    };
+}
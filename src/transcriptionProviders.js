@@ -0,0 +1,217 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleAIFileManager } from '@google/generative-ai/server';
+import { execFile } from 'child_process';
+import util from 'util';
+import path from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import chalk from 'chalk';
+import { formatTranscriptText } from './transcriptSegments.js';
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Transcription providers
+ * Every provider takes an audio file and returns the same normalized result:
+ * { provider, model, language, text, segments: [{ start, end, speaker, text }], raw }
+ * where start/end are in seconds. Providers that only return text leave segments empty.
+ * options.attendees lists the meeting's attendee names, for providers that label speakers.
+ */
+
+/**
+ * Google Gemini via the File API
+ */
+const gemini = {
+    name: 'gemini',
+    audioFormat: 'mp3',
+    defaultModel: 'gemini-1.5-flash-8b',
+    async transcribe(audioPath, options) {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY not found in environment variables');
+        }
+
+        const modelName = options.model || this.defaultModel;
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const fileManager = new GoogleAIFileManager(apiKey);
+
+        // Upload file to Gemini
+        console.log(chalk.blue('Uploading audio to Gemini...'));
+        const uploadResult = await fileManager.uploadFile(audioPath, {
+            mimeType: 'audio/mp3',
+            displayName: path.basename(audioPath),
+        });
+
+        const fileUri = uploadResult.file.uri;
+        console.log(chalk.green(`✓ File uploaded: ${fileUri}`));
+
+        // Wait for file to be active
+        let file = await fileManager.getFile(uploadResult.file.name);
+        while (file.state === 'PROCESSING') {
+            console.log(chalk.blue('Processing file...'));
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+            file = await fileManager.getFile(uploadResult.file.name);
+        }
+
+        if (file.state === 'FAILED') {
+            throw new Error('Gemini file processing failed');
+        }
+
+        // Generate transcript
+        console.log(chalk.blue('Generating transcript...'));
+        const model = genAI.getGenerativeModel({ model: modelName });
+        const result = await model.generateContent([
+            {
+                fileData: {
+                    mimeType: uploadResult.file.mimeType,
+                    fileUri: uploadResult.file.uri
+                }
+            },
+            { text: options.diarization === false ? 'Generate a timestamped transcript of this audio. Format it with [MM:SS] timestamps.' : buildDiarizationPrompt(options.attendees) }
+        ]);
+
+        // Clean up file in Gemini (optional but good practice)
+        // await fileManager.deleteFile(uploadResult.file.name).catch(() => {});
+
+        return {
+            provider: this.name,
+            model: modelName,
+            language: options.language || null,
+            text: result.response.text(),
+            segments: [],
+            raw: result.response,
+        };
+    }
+};
+
+/**
+ * Local whisper.cpp or faster-whisper binary, so audio never leaves the machine
+ * engine "whisper.cpp" runs e.g. `whisper-cli -m ggml-base.en.bin -f audio.wav -oj`
+ * engine "faster-whisper" runs an openai-whisper compatible CLI such as whisper-ctranslate2
+ */
+const whisperLocal = {
+    name: 'whisper-local',
+    audioFormat: 'wav',
+    defaultModel: 'base',
+    async transcribe(audioPath, options) {
+        const engine = options.engine || 'whisper.cpp';
+        const modelName = options.model || this.defaultModel;
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-whisper-'));
+
+        try {
+            let args;
+            let outputPath;
+
+            if (engine === 'whisper.cpp') {
+                const outputBase = path.join(workDir, 'transcript');
+                args = ['-m', modelName, '-f', audioPath, '-oj', '-of', outputBase];
+                if (options.language) args.push('-l', options.language);
+                outputPath = `${outputBase}.json`;
+            } else if (engine === 'faster-whisper') {
+                args = [audioPath, '--model', modelName, '--output_format', 'json', '--output_dir', workDir];
+                if (options.language) args.push('--language', options.language);
+                outputPath = path.join(workDir, `${path.parse(audioPath).name}.json`);
+            } else {
+                throw new Error(`Unknown whisper-local engine "${engine}". Expected "whisper.cpp" or "faster-whisper"`);
+            }
+
+            const binary = options.binary || (engine === 'whisper.cpp' ? 'whisper-cli' : 'whisper-ctranslate2');
+            console.log(chalk.blue(`Running ${binary} (${engine}) with model ${modelName}...`));
+
+            try {
+                await execFilePromise(binary, [...args, ...(options.args || [])], { maxBuffer: 64 * 1024 * 1024 });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`Whisper binary "${binary}" not found. Set ai.transcription.binary to its path`);
+                }
+                throw error;
+            }
+
+            const raw = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+            const segments = engine === 'whisper.cpp'
+                ? raw.transcription.map((s) => ({ start: s.offsets.from / 1000, end: s.offsets.to / 1000, speaker: null, text: s.text.trim() }))
+                : raw.segments.map((s) => ({ start: s.start, end: s.end, speaker: null, text: s.text.trim() }));
+
+            return {
+                provider: this.name,
+                model: modelName,
+                language: (engine === 'whisper.cpp' ? raw.result?.language : raw.language) || options.language || null,
+                text: formatTranscriptText(segments),
+                segments,
+                raw,
+            };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(() => { });
+        }
+    }
+};
+
+/**
+ * Any OpenAI-compatible /audio/transcriptions endpoint (OpenAI, faster-whisper-server, LocalAI, ...)
+ */
+const openai = {
+    name: 'openai',
+    audioFormat: 'mp3',
+    defaultModel: 'whisper-1',
+    async transcribe(audioPath, options) {
+        const baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const apiKey = process.env[options.apiKeyEnv || 'OPENAI_API_KEY'];
+        const modelName = options.model || this.defaultModel;
+
+        const form = new FormData();
+        form.append('file', new Blob([await fs.readFile(audioPath)], { type: 'audio/mpeg' }), path.basename(audioPath));
+        form.append('model', modelName);
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'segment');
+        if (options.language) form.append('language', options.language);
+
+        console.log(chalk.blue(`Sending audio to ${baseUrl}/audio/transcriptions...`));
+        const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+            method: 'POST',
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            body: form,
+        });
+
+        if (!response.ok) {
+            throw new Error(`Transcription endpoint returned ${response.status}: ${await response.text()}`);
+        }
+
+        const raw = await response.json();
+        // Diarizing models add a speaker to each segment
+        const segments = (raw.segments || []).map((s) => ({ start: s.start, end: s.end, speaker: s.speaker || null, text: s.text.trim() }));
+
+        return {
+            provider: this.name,
+            model: modelName,
+            language: raw.language || options.language || null,
+            text: segments.length > 0 ? formatTranscriptText(segments) : raw.text,
+            segments,
+            raw,
+        };
+    }
+};
+
+/**
+ * Ask for one line per speaker turn, "[MM:SS] Speaker: text", naming attendees where possible
+ */
+function buildDiarizationPrompt(attendees = []) {
+    const naming = attendees.length > 0
+        ? `The attendees are: ${attendees.join(', ')}. Label a speaker with their attendee name when you can tell who it is (they introduce themselves, are addressed by name, or answer to it). Label speakers you cannot name`
+        : 'Label the speakers';
+    return `Generate a timestamped transcript of this audio with speaker labels. Start a new line at every change of speaker, formatted as "[MM:SS] Speaker: text". ${naming} "Speaker 1", "Speaker 2", ... in order of first appearance, and keep the same label for the same voice throughout.`;
+}
+
+const PROVIDERS = { gemini, 'whisper-local': whisperLocal, openai };
+
+export const TRANSCRIPTION_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Look up a transcription provider by name
+ */
+export function getTranscriptionProvider(name = 'gemini') {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown transcription provider "${name}". Expected one of: ${TRANSCRIPTION_PROVIDERS.join(', ')}`);
+    }
+    return provider;
+}
@@ -0,0 +1,323 @@
+import { execFile, spawn } from 'child_process';
+import util from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import chalk from 'chalk';
+
+const execFilePromise = util.promisify(execFile);
+
+/**
+ * Zoom desktop client automation, per platform
+ * Each client can:
+ *   open(deepLink)    hand a zoommtg:// link to the Zoom app
+ *   enterMeeting()    click Join in the preview window, wait for the meeting window, then mute and stop video;
+ *                     rejects when the meeting window does not show up
+ *   isMeetingOpen()   whether the meeting window is open; rejects when Zoom is not running
+ *   quit()            close the Zoom app
+ *   checkSetup()      [{ status: 'ok' | 'warn' | 'fail', message }] for the doctor command
+ * automationHint says what to check when enterMeeting fails.
+ */
+
+const COMMAND_TIMEOUT_MS = 10000;
+
+/**
+ * macOS: `open` for the deep link, AppleScript through System Events for the windows and keys
+ */
+const macos = {
+    name: 'macos',
+    automationHint: 'Please ensure Terminal/Node has Accessibility permissions in System Settings.',
+    async open(deepLink) {
+        await execFilePromise('open', [deepLink], { timeout: COMMAND_TIMEOUT_MS });
+    },
+    async enterMeeting() {
+        const appleScript = `
+            tell application "zoom.us" to activate
+            delay 3 -- Wait for app to come to front
+
+            tell application "System Events"
+                tell process "zoom.us"
+                    -- First, handle the preview window and click Join
+                    set counter to 0
+                    repeat until (exists window 1)
+                        if counter > 20 then exit repeat
+                        delay 1
+                        set counter to counter + 1
+                    end repeat
+
+                    -- Look for the Join button in the preview window
+                    try
+                        delay 2
+                        -- The Join button is typically a button with "Join" text
+                        click button "Join" of window 1
+                        delay 5 -- Wait for meeting to actually join
+                    on error
+                        -- If we can't find "Join" button, try clicking any button that might be the join button
+                        try
+                            click UI element "Join" of window 1
+                            delay 5
+                        end try
+                    end try
+
+                    -- Now wait for the actual meeting window
+                    set counter to 0
+                    repeat until (exists window "Zoom Meeting")
+                        if counter > 30 then exit repeat
+                        delay 1
+                        set counter to counter + 1
+                    end repeat
+
+                    if (exists window "Zoom Meeting") then
+                        -- Meeting joined! Now handle Audio/Video
+                        delay 2
+
+                        -- Method 1: Try using keyboard shortcuts (most reliable)
+                        try
+                            -- Cmd+Shift+A to mute audio
+                            keystroke "a" using {command down, shift down}
+                            delay 1
+                            -- Cmd+Shift+V to stop video
+                            keystroke "v" using {command down, shift down}
+                            delay 1
+                        end try
+
+                        -- Method 2: Try menu bar (backup)
+                        try
+                            tell menu bar 1
+                                tell menu bar item "Meeting"
+                                    tell menu "Meeting"
+                                        if exists menu item "Mute Audio" then
+                                            click menu item "Mute Audio"
+                                        end if
+                                        if exists menu item "Stop Video" then
+                                            click menu item "Stop Video"
+                                        end if
+                                    end tell
+                                end tell
+                            end tell
+                        end try
+                    else
+                        error "Could not find Zoom Meeting window"
+                    end if
+                end tell
+            end tell
+        `;
+
+        // Write AppleScript to a temporary file to avoid shell escaping issues
+        const scriptPath = path.join(os.tmpdir(), `zoom-join-${Date.now()}.scpt`);
+        await fs.writeFile(scriptPath, appleScript, 'utf8');
+        try {
+            await execFilePromise('osascript', [scriptPath]);
+        } finally {
+            await fs.unlink(scriptPath).catch(() => { });
+        }
+    },
+    /**
+     * Checks the window rather than the process, since you might leave the meeting but keep Zoom open
+     */
+    async isMeetingOpen() {
+        const appleScript = `
+            tell application "System Events"
+                if exists (window 1 of process "zoom.us" whose name contains "Zoom Meeting" or name contains "Zoom Webinar") then
+                    return "true"
+                else
+                    return "false"
+                end if
+            end tell
+        `;
+        const { stdout } = await execFilePromise('osascript', ['-e', appleScript], { timeout: COMMAND_TIMEOUT_MS });
+        return stdout.trim() === 'true';
+    },
+    async quit() {
+        try {
+            // Use AppleScript to gracefully quit Zoom
+            await execFilePromise('osascript', ['-e', 'tell application "zoom.us" to quit'], { timeout: COMMAND_TIMEOUT_MS });
+            // Give it a moment to fully quit
+            await sleep(1000);
+        } catch {
+            console.warn(chalk.yellow('⚠ AppleScript quit failed, trying alternative method...'));
+            await execFilePromise('killall', ['zoom.us'], { timeout: COMMAND_TIMEOUT_MS });
+        }
+    },
+    async checkSetup() {
+        const checks = [await commandExists('osascript')
+            ? { status: 'ok', message: 'osascript found (grant Accessibility permissions to Terminal/Node to control Zoom)' }
+            : { status: 'fail', message: 'osascript not found' }];
+
+        const installed = await fs.access('/Applications/zoom.us.app').then(() => true, () => false);
+        checks.push(installed
+            ? { status: 'ok', message: 'Zoom app: /Applications/zoom.us.app' }
+            : { status: 'warn', message: 'Zoom app not found in /Applications (install it from zoom.us/download)' });
+        return checks;
+    }
+};
+
+/**
+ * Linux (X11): xdg-open for the deep link, wmctrl to find the Zoom windows, xdotool to focus them and send keys
+ * When wmctrl is missing, the end of the meeting is only noticed once the Zoom process exits
+ */
+const linux = {
+    name: 'linux',
+    automationHint: 'Check that xdotool and wmctrl are installed and DISPLAY points to the X11 session Zoom runs in.',
+    async open(deepLink) {
+        // xdg-open may keep running as long as the app it started, so only its start and early exit are awaited
+        await new Promise((resolve, reject) => {
+            const child = spawn('xdg-open', [deepLink], { detached: true, stdio: 'ignore' });
+            const timer = setTimeout(() => {
+                child.unref();
+                resolve();
+            }, 3000);
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT' ? new Error('xdg-open not found (install xdg-utils)') : error);
+            });
+            child.on('exit', (code) => {
+                clearTimeout(timer);
+                if (code === 0) resolve();
+                else reject(new Error(`xdg-open exited with code ${code}; is Zoom registered for zoommtg:// links?`));
+            });
+        });
+    },
+    async enterMeeting() {
+        requireDisplay();
+
+        // The preview window ("Video Preview") joins with its default button
+        const preview = await waitForWindow((window) => /preview/i.test(window.title), 20);
+        if (preview) {
+            await xdotool(['windowactivate', '--sync', preview.id, 'key', '--clearmodifiers', 'Return']);
+        }
+
+        const meeting = await waitForWindow(isMeetingWindow, 30);
+        if (!meeting) {
+            throw new Error('Could not find Zoom Meeting window');
+        }
+
+        // Alt+A and Alt+V toggle the microphone and camera
+        await sleep(2000);
+        await xdotool(['windowactivate', '--sync', meeting.id, 'key', '--clearmodifiers', 'alt+a']);
+        await sleep(1000);
+        await xdotool(['windowactivate', '--sync', meeting.id, 'key', '--clearmodifiers', 'alt+v']);
+    },
+    async isMeetingOpen() {
+        if (!(await isZoomRunning())) {
+            throw new Error('Zoom is not running');
+        }
+        try {
+            return (await listZoomWindows()).some(isMeetingWindow);
+        } catch (error) {
+            if (error.code === 'ENOENT' || !process.env.DISPLAY) return true;
+            throw error;
+        }
+    },
+    async quit() {
+        try {
+            await execFilePromise('pkill', ['-TERM', '-x', 'zoom'], { timeout: COMMAND_TIMEOUT_MS });
+        } catch (error) {
+            // pkill exits with 1 when no process matched: Zoom is already closed
+            if (error.code === 1) return;
+            throw error;
+        }
+
+        for (let attempt = 0; attempt < 10; attempt++) {
+            await sleep(500);
+            if (!(await isZoomRunning())) return;
+        }
+        throw new Error('Zoom is still running 5s after SIGTERM');
+    },
+    async checkSetup() {
+        const checks = [process.env.DISPLAY
+            ? { status: 'ok', message: `X11 display ${process.env.DISPLAY}` }
+            : { status: 'fail', message: 'No X11 display (set DISPLAY); xdotool and wmctrl need one' }];
+
+        for (const [binary, packageName, missing] of [
+            ['xdg-open', 'xdg-utils', 'fail'],
+            ['xdotool', 'xdotool', 'warn'],
+            ['wmctrl', 'wmctrl', 'warn']
+        ]) {
+            checks.push(await commandExists(binary)
+                ? { status: 'ok', message: `${binary} found` }
+                : { status: missing, message: `${binary} not found (install ${packageName})` });
+        }
+
+        try {
+            const { stdout } = await execFilePromise('xdg-mime', ['query', 'default', 'x-scheme-handler/zoommtg'], { timeout: COMMAND_TIMEOUT_MS });
+            checks.push(stdout.trim()
+                ? { status: 'ok', message: `zoommtg:// links open with ${stdout.trim()}` }
+                : { status: 'fail', message: 'No app is registered for zoommtg:// links (install the Zoom desktop client)' });
+        } catch {
+            checks.push({ status: 'warn', message: 'Could not check which app opens zoommtg:// links' });
+        }
+        return checks;
+    }
+};
+
+const CLIENTS = { darwin: macos, linux };
+
+/**
+ * Pick the Zoom client automation for the platform
+ */
+export function resolveZoomClient(platform = process.platform) {
+    const client = CLIENTS[platform];
+    if (!client) {
+        throw new Error(`Zoom automation is not supported on platform "${platform}". Supported: macOS, Linux (X11)`);
+    }
+    return client;
+}
+
+function isMeetingWindow(window) {
+    return /^Zoom (Meeting|Webinar)/i.test(window.title);
+}
+
+/**
+ * Zoom's windows from `wmctrl -lx` ("<id> <desktop> <class> <host> <title>"), as { id, title }
+ */
+async function listZoomWindows() {
+    const { stdout } = await execFilePromise('wmctrl', ['-lx'], { timeout: COMMAND_TIMEOUT_MS });
+    return stdout.split('\n')
+        .map((line) => line.match(/^(0x[0-9a-f]+)\s+-?\d+\s+(\S+)\s+\S+\s+(.*)$/i))
+        .filter((match) => match && /zoom/i.test(match[2]))
+        .map((match) => ({ id: match[1], title: match[3].trim() }));
+}
+
+async function waitForWindow(predicate, seconds) {
+    for (let elapsed = 0; elapsed < seconds; elapsed++) {
+        const window = (await listZoomWindows()).find(predicate);
+        if (window) return window;
+        await sleep(1000);
+    }
+    return null;
+}
+
+async function isZoomRunning() {
+    try {
+        await execFilePromise('pgrep', ['-x', 'zoom'], { timeout: COMMAND_TIMEOUT_MS });
+        return true;
+    } catch (error) {
+        if (error.code === 1) return false;
+        throw error;
+    }
+}
+
+async function xdotool(args) {
+    await execFilePromise('xdotool', args, { timeout: COMMAND_TIMEOUT_MS });
+}
+
+function requireDisplay() {
+    if (!process.env.DISPLAY) {
+        throw new Error('No X11 display (DISPLAY is not set)');
+    }
+}
+
+async function commandExists(binary) {
+    try {
+        await execFilePromise(binary, ['--help'], { timeout: COMMAND_TIMEOUT_MS });
+        return true;
+    } catch (error) {
+        // A non-zero exit still means the binary ran
+        return error.code !== 'ENOENT';
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
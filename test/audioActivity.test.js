@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSilenceTracker, findTrimWindow } from '../src/audioActivity.js';
+
+describe('createSilenceTracker', () => {
+    // Each step is a chunk of ffmpeg's stderr, or "restart" for a capture restarted into a new ffmpeg run
+    const cases = [
+        {
+            name: 'counts the silence since silence_start once sound was heard',
+            steps: ['frame=  300 time=00:00:10.00 bitrate=N/A', '[silencedetect @ 0x1] silence_start: 12.5', 'frame= 1200 time=00:00:40.00'],
+            expected: { silentSeconds: 27.5, heardSound: true }
+        },
+        {
+            name: 'sound ends the silence',
+            steps: ['time=00:00:10.00', 'silence_start: 12.5', 'time=00:00:20.00', '[silencedetect @ 0x1] silence_end: 20 | silence_duration: 7.5', 'time=00:00:30.00'],
+            expected: { silentSeconds: 0, heardSound: true }
+        },
+        {
+            name: 'silence from the start does not count before any sound',
+            steps: ['silence_start: -0.01', 'time=00:05:00.00'],
+            expected: { silentSeconds: 0, heardSound: false }
+        },
+        {
+            name: 'counts from the first silence after the first sound',
+            steps: ['silence_start: 0', 'time=00:01:00.00', 'silence_end: 61 | silence_duration: 61', 'time=00:01:02.00', 'silence_start: 70', 'time=00:01:40.00'],
+            expected: { silentSeconds: 30, heardSound: true }
+        },
+        {
+            name: 'reads progress and silence lines split by carriage returns',
+            steps: ['frame=   30 time=00:00:10.00\r', 'silence_start: 12\rframe=  900 time=00:00:30.00\r'],
+            expected: { silentSeconds: 18, heardSound: true }
+        },
+        {
+            name: 'a restarted capture continues the clock of the one before',
+            steps: ['time=00:01:40.00', 'restart', 'silence_start: 5', 'time=00:00:35.00'],
+            expected: { silentSeconds: 30, heardSound: true }
+        },
+        {
+            name: 'a short recording without silence has not heard sound yet',
+            steps: ['time=00:00:03.00'],
+            expected: { silentSeconds: 0, heardSound: false }
+        }
+    ];
+
+    for (const { name, steps, expected } of cases) {
+        it(name, () => {
+            const tracker = createSilenceTracker();
+            for (const step of steps) {
+                if (step === 'restart') {
+                    tracker.continueClock();
+                } else {
+                    tracker.handleOutput(step);
+                }
+            }
+            assert.deepEqual({ silentSeconds: tracker.getSilentSeconds(), heardSound: tracker.hasHeardSound() }, expected);
+        });
+    }
+
+    it('builds the silencedetect filter from noiseDb', () => {
+        assert.equal(createSilenceTracker({ noiseDb: -40 }).filter, 'silencedetect=noise=-40dB:d=2');
+        assert.equal(createSilenceTracker().filter, 'silencedetect=noise=-50dB:d=2');
+    });
+});
+
+describe('findTrimWindow', () => {
+    // A 10 minute recording with 2 seconds of padding
+    const cases = [
+        { name: 'no silence', silences: [], expected: { start: 0, end: 600 } },
+        { name: 'silent lead-in', silences: [{ start: 0, end: 30 }], expected: { start: 28, end: 600 } },
+        { name: 'lead-in detected just after the start', silences: [{ start: 0.8, end: 30 }], expected: { start: 28, end: 600 } },
+        { name: 'silent tail', silences: [{ start: 500, end: 599.5 }], expected: { start: 0, end: 502 } },
+        { name: 'lead-in and tail, keeping silence in between', silences: [{ start: 0, end: 30 }, { start: 300, end: 310 }, { start: 500, end: 600 }], expected: { start: 28, end: 502 } },
+        { name: 'silence in the middle only', silences: [{ start: 100, end: 200 }], expected: { start: 0, end: 600 } },
+        { name: 'lead-in shorter than the padding', silences: [{ start: 0, end: 1.5 }], expected: { start: 0, end: 600 } },
+        { name: 'tail shorter than the padding', silences: [{ start: 599, end: 600 }], expected: { start: 0, end: 600 } },
+        { name: 'silent throughout', silences: [{ start: 0, end: 600 }], expected: null },
+        { name: 'silent up to just before the end', silences: [{ start: 0, end: 599.2 }], expected: null }
+    ];
+
+    for (const { name, silences, expected } of cases) {
+        it(name, () => {
+            assert.deepEqual(findTrimWindow(silences, 600, 2), expected);
+        });
+    }
+});
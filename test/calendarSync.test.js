@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findZoomLink, loadCalendarRuns } from '../src/calendarSync.js';
+
+describe('findZoomLink', () => {
+    const cases = [
+        {
+            name: 'invitation text with the passcode on its own line',
+            text: 'Join Zoom Meeting\nhttps://us02web.zoom.us/j/85512345678\n\nMeeting ID: 855 1234 5678\nPasscode: 424242',
+            expected: { meetingLink: 'https://us02web.zoom.us/j/85512345678', password: '424242' }
+        },
+        {
+            name: 'passcode in the link wins over one in the text',
+            text: 'https://zoom.us/j/85512345678?pwd=abc.1 Password: 999999',
+            expected: { meetingLink: 'https://zoom.us/j/85512345678?pwd=abc.1', password: '' }
+        },
+        {
+            name: 'link in HTML',
+            text: '<a href="https://acme.zoom.us/j/912345678">Join</a> pwd=xyz',
+            expected: { meetingLink: 'https://acme.zoom.us/j/912345678', password: 'xyz' }
+        },
+        {
+            name: 'other Zoom links and trailing punctuation are passed over',
+            text: 'Get the app at https://zoom.us/download, then join https://zoom.us/j/85512345678.',
+            expected: { meetingLink: 'https://zoom.us/j/85512345678', password: '' }
+        },
+        {
+            name: 'government cloud',
+            text: 'https://agency.zoomgov.com/j/1612345678',
+            expected: { meetingLink: 'https://agency.zoomgov.com/j/1612345678', password: '' }
+        },
+        {
+            name: 'no Zoom link',
+            text: 'https://teams.microsoft.com/l/meetup-join/19%3ameeting Passcode: 1234',
+            expected: null
+        }
+    ];
+
+    for (const { name, text, expected } of cases) {
+        it(name, () => {
+            assert.deepEqual(findZoomLink(text), expected);
+        });
+    }
+});
+
+describe('loadCalendarRuns', () => {
+    const config = {
+        schedule: { timezone: 'UTC', graceMinutes: 10, maxDurationMinutes: 240, joinEarlyMinutes: 2, joinTimeoutMinutes: 15 },
+        recording: { quality: 'high', capture: {}, silence: {} },
+        ai: { transcription: {} }
+    };
+    const from = new Date('2026-10-19T00:00:00Z');
+    let dir;
+    let file;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-calendar-'));
+        file = path.join(dir, 'team.ics');
+        await fs.writeFile(file, [
+            'BEGIN:VCALENDAR',
+            'X-WR-CALNAME:Team',
+            'BEGIN:VEVENT',
+            'UID:review',
+            'SUMMARY:Planning review',
+            'DTSTART:20261020T150000Z',
+            'DTEND:20261020T154500Z',
+            'LOCATION:https://zoom.us/j/85512345678',
+            'DESCRIPTION:Passcode: 424242',
+            'ORGANIZER;CN=Dana Whitfield:mailto:dana@example.com',
+            'ATTENDEE;CN=Sam Lee:mailto:sam@example.com',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:lunch',
+            'SUMMARY:Lunch',
+            'DTSTART:20261021T120000Z',
+            'DESCRIPTION:Join: https://zoom.us/j/73857951350',
+            'ORGANIZER;CN=Sam Lee:mailto:sam@example.com',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:offline',
+            'SUMMARY:Planning offsite',
+            'DTSTART:20261022T090000Z',
+            'LOCATION:Room 4',
+            'ORGANIZER;CN=Dana Whitfield:mailto:dana@example.com',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:later',
+            'SUMMARY:Planning next month',
+            'DTSTART:20261120T150000Z',
+            'LOCATION:https://zoom.us/j/85512345678',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const cases = [
+        { name: 'no filters', filters: {}, runs: ['Planning review', 'Lunch'], skipped: ['Planning offsite'] },
+        { name: 'calendar name, ignoring case', filters: { calendars: ['team'] }, runs: ['Planning review', 'Lunch'], skipped: ['Planning offsite'] },
+        { name: 'other calendar name', filters: { calendars: ['Personal'] }, runs: [], skipped: [] },
+        { name: 'keyword, ignoring case', filters: { keywords: ['PLANNING'] }, runs: ['Planning review'], skipped: ['Planning offsite'] },
+        { name: 'keyword in the description', filters: { keywords: ['join:'] }, runs: ['Lunch'], skipped: [] },
+        { name: 'organizer email, with mailto:', filters: { organizers: ['mailto:Dana@example.com'] }, runs: ['Planning review'], skipped: ['Planning offsite'] },
+        { name: 'organizer name', filters: { organizers: ['sam lee'] }, runs: ['Lunch'], skipped: [] },
+        { name: 'attendees are not organizers', filters: { organizers: ['sam@example.com'], keywords: ['review'] }, runs: [], skipped: [] }
+    ];
+
+    for (const { name, filters, runs, skipped } of cases) {
+        it(`filters by ${name}`, async () => {
+            const result = await loadCalendarRuns(config, { source: file, ...filters }, from);
+            assert.deepEqual(result.runs.map((run) => run.meeting.name), runs);
+            assert.deepEqual(result.skipped.map((event) => event.summary), skipped);
+        });
+    }
+
+    it('turns an event into a meeting with its link, passcode, length and people', async () => {
+        const { label, runs: [run] } = await loadCalendarRuns(config, { source: file, meeting: { quality: 'low', attendees: ['Ari'] } }, from);
+
+        assert.equal(label, 'Team');
+        assert.equal(run.key, 'review\u00002026-10-20T15:00:00.000Z');
+        assert.deepEqual(run.start, new Date('2026-10-20T15:00:00Z'));
+        assert.equal(run.calendar, 'Team');
+        const { meetingLink, password, durationMinutes, attendees, quality, timezone } = run.meeting;
+        assert.deepEqual(
+            { meetingLink, password, durationMinutes, attendees, quality, timezone },
+            {
+                meetingLink: 'https://zoom.us/j/85512345678',
+                password: '424242',
+                durationMinutes: 45,
+                attendees: ['Ari', 'Dana Whitfield', 'Sam Lee'],
+                quality: 'low',
+                timezone: 'UTC'
+            }
+        );
+    });
+});
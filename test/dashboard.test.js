@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { startDashboard } from '../src/dashboard/server.js';
+import { createSession, updateSession, addArtifact, getSessionStatus } from '../src/sessionManifest.js';
+
+describe('dashboard server', () => {
+    let outputDir;
+    let server;
+    let session;
+    let baseUrl;
+
+    before(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-dashboard-'));
+        const config = { recording: { outputDir }, dashboard: { host: '127.0.0.1', port: 0 }, meetings: [] };
+        session = await createSession(config, { id: 'standup', name: 'Standup', outputSubdir: 'standup' });
+        const transcriptPath = path.join(session.dir, 'transcript.txt');
+        await fs.writeFile(transcriptPath, '[00:01] Hello');
+        await updateSession(session.dir, (manifest) => addArtifact(manifest, session.dir, 'transcript', transcriptPath));
+
+        const log = console.log;
+        console.log = () => { };
+        server = await startDashboard(config);
+        console.log = log;
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    const cases = [
+        { name: 'serves an artifact', url: () => `/api/sessions/${session.manifest.id}/files/transcript`, status: 200 },
+        { name: 'answers 400 to a malformed escape', url: () => '/api/sessions/%E0%A4%A', status: 400 },
+        { name: 'answers 404 to an inherited property name', url: () => `/api/sessions/${session.manifest.id}/files/constructor`, status: 404 },
+        { name: 'answers 404 to an artifact the session lacks', url: () => `/api/sessions/${session.manifest.id}/files/summary`, status: 404 },
+        { name: 'answers 404 to an unknown session', url: () => '/api/sessions/nope', status: 404 }
+    ];
+
+    for (const { name, url, status } of cases) {
+        it(name, async () => {
+            const response = await fetch(`${baseUrl}${url()}`);
+            await response.arrayBuffer();
+            assert.equal(response.status, status);
+        });
+    }
+});
+
+describe('getSessionStatus', () => {
+    const exitedPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const manifest = (fields) => ({ steps: {}, error: null, actualStart: null, actualEnd: null, ...fields });
+    const live = { host: os.hostname(), pid: process.pid };
+
+    const cases = [
+        { name: 'joining', manifest: manifest({ recorder: live }), expected: 'joining' },
+        { name: 'recording', manifest: manifest({ recorder: live, actualStart: '2026-10-19T16:00:00Z' }), expected: 'recording' },
+        { name: 'recorder exited', manifest: manifest({ recorder: { ...live, pid: exitedPid }, actualStart: '2026-10-19T16:00:00Z' }), expected: 'interrupted' },
+        { name: 'recorder on another host', manifest: manifest({ recorder: { host: 'elsewhere', pid: exitedPid }, actualStart: '2026-10-19T16:00:00Z' }), expected: 'recording' },
+        { name: 'recording error', manifest: manifest({ error: 'boom', actualStart: '2026-10-19T16:00:00Z' }), expected: 'failed' },
+        {
+            name: 'post-processing pending',
+            manifest: manifest({ actualStart: '2026-10-19T16:00:00Z', actualEnd: '2026-10-19T17:00:00Z', steps: { verify: { status: 'done' }, transcribe: { status: 'retrying' } } }),
+            expected: 'transcribe: retrying'
+        },
+        {
+            name: 'done',
+            manifest: manifest({ actualStart: '2026-10-19T16:00:00Z', actualEnd: '2026-10-19T17:00:00Z', steps: { verify: { status: 'done' } } }),
+            expected: 'done'
+        }
+    ];
+
+    for (const { name, manifest: input, expected } of cases) {
+        it(name, () => {
+            assert.equal(getSessionStatus(input), expected);
+        });
+    }
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checkDiskSpace, planPrune } from '../src/diskSpace.js';
+import { estimateRecordingBytes } from '../src/screenRecorder.js';
+
+const GB = 1024 ** 3;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('planPrune', () => {
+    let outputDir;
+
+    before(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-prune-'));
+    });
+
+    after(async () => {
+        await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    // Sessions one day apart, newest first
+    const writeSessions = async (sessions) => {
+        await fs.rm(outputDir, { recursive: true, force: true });
+        for (const [i, { id, gb, status = 'done' }] of sessions.entries()) {
+            const createdAt = new Date(NOW.getTime() - (i + 1) * 24 * 60 * 60 * 1000).toISOString();
+            const dir = path.join(outputDir, id);
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, 'session.json'), JSON.stringify({
+                id,
+                createdAt,
+                actualStart: createdAt,
+                actualEnd: createdAt,
+                artifacts: { recording: { path: 'recording.mp4', sizeBytes: gb * GB } },
+                steps: { verify: { status: status === 'done' ? 'done' : 'retrying' } }
+            }));
+        }
+    };
+
+    const plan = async (retention) => (await planPrune({ recording: { outputDir, retention } }, NOW))
+        .map(({ manifest, reason }) => [manifest.id, reason]);
+
+    it('prunes every session older than the first one over keepGB, even smaller ones', async () => {
+        await writeSessions([{ id: 'a', gb: 4 }, { id: 'b', gb: 8 }, { id: 'c', gb: 1 }]);
+        assert.deepEqual(await plan({ keepGB: 10 }), [
+            ['b', 'over 10 GB of video'],
+            ['c', 'over 10 GB of video']
+        ]);
+    });
+
+    it('keeps sessions that are not done but counts them towards keepGB', async () => {
+        await writeSessions([{ id: 'a', gb: 6, status: 'pending' }, { id: 'b', gb: 6, status: 'pending' }, { id: 'c', gb: 1 }]);
+        assert.deepEqual(await plan({ keepGB: 10 }), [['c', 'over 10 GB of video']]);
+    });
+
+    it('prunes sessions older than keepDays', async () => {
+        await writeSessions([{ id: 'a', gb: 1 }, { id: 'b', gb: 1 }, { id: 'c', gb: 1 }]);
+        assert.deepEqual(await plan({ keepDays: 2 }), [['c', 'older than 2 days']]);
+    });
+
+    it('keeps everything within both limits', async () => {
+        await writeSessions([{ id: 'a', gb: 1 }, { id: 'b', gb: 1 }]);
+        assert.deepEqual(await plan({ keepDays: 30, keepGB: 10 }), []);
+    });
+});
+
+describe('checkDiskSpace', () => {
+    let outputDir;
+    const hour = 60 * 60;
+    const needed = (quality) => estimateRecordingBytes(quality, hour) * 2;
+
+    before(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-disk-'));
+        mock.method(console, 'warn', () => { });
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(outputDir, { recursive: true, force: true });
+    });
+
+    const check = (freeBytes, onLowSpace, quality = 'high') => {
+        mock.method(fs, 'statfs', async () => ({ bavail: freeBytes, bsize: 1 }));
+        const config = { recording: { outputDir, diskSpace: { reserveGB: 1, onLowSpace } } };
+        return checkDiskSpace(config, { quality }, hour);
+    };
+
+    it('keeps the quality when it fits', async () => {
+        assert.equal((await check(needed('high') + GB, 'downgrade')).quality, 'high');
+    });
+
+    it('downgrades to the best quality that fits', async () => {
+        assert.equal((await check(needed('medium') + GB, 'downgrade')).quality, 'medium');
+        assert.equal((await check(needed('low') + GB, 'downgrade')).quality, 'low');
+    });
+
+    it('refuses a low quality meeting that does not fit', async () => {
+        await assert.rejects(check(needed('low') + GB - 1, 'downgrade', 'low'), /Not enough disk space/);
+    });
+
+    it('refuses when even the smallest quality does not fit', async () => {
+        await assert.rejects(check(needed('low') + GB - 1, 'downgrade'), /even in low quality/);
+    });
+
+    it('refuses without downgrading when onLowSpace is refuse', async () => {
+        await assert.rejects(check(needed('medium') + GB, 'refuse'), /Not enough disk space/);
+    });
+
+    it('records anyway when onLowSpace is warn', async () => {
+        assert.equal((await check(0, 'warn')).quality, 'high');
+    });
+});
@@ -0,0 +1,224 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCalendar, expandEvents } from '../src/icalendar.js';
+
+const calendar = ({ header = [], timezones = [] }, ...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...header,
+    ...timezones,
+    ...events.flatMap((event) => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+const FROM = new Date('2026-10-01T00:00:00Z');
+const TO = new Date('2027-02-01T00:00:00Z');
+
+// America/New_York as Outlook writes it, under a name the IANA database does not know
+const CUSTOM_EASTERN = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Custom Eastern',
+    'BEGIN:STANDARD',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+];
+
+// Weekly at 09:00 New York time from Monday, October 19; daylight saving time ends on Sunday, November 1
+const STANDUP = ['UID:standup', 'SUMMARY:Standup', 'DTSTART;TZID=America/New_York:20261019T090000', 'DTEND;TZID=America/New_York:20261019T091500'];
+
+describe('parseCalendar', () => {
+    it('unfolds long lines and unescapes text', () => {
+        const parsed = parseCalendar(calendar(
+            { header: ['X-WR-CALNAME:Team\\, Berlin', 'X-WR-TIMEZONE:Europe/Berlin'] },
+            [
+                'UID:folded',
+                'SUMMARY:Weekly plan',
+                ' ning sync',
+                'DESCRIPTION:Agenda:\\nreview\\; plan\\, and',
+                '\t ship',
+                'DTSTART:20261020T150000Z'
+            ]
+        ));
+
+        assert.equal(parsed.name, 'Team, Berlin');
+        assert.equal(parsed.timezone, 'Europe/Berlin');
+        assert.equal(parsed.events[0].summary, 'Weekly planning sync');
+        assert.equal(parsed.events[0].description, 'Agenda:\nreview; plan, and ship');
+    });
+
+    it('reads the organizer and attendees, leaving out rooms', () => {
+        const [event] = parseCalendar(calendar({}, [
+            'UID:people',
+            'DTSTART:20261020T150000Z',
+            'ORGANIZER;CN="Whitfield, Dana":mailto:dana@example.com',
+            'ATTENDEE;CN=Sam Lee;ROLE=REQ-PARTICIPANT:mailto:sam@example.com',
+            'ATTENDEE;CUTYPE=ROOM;CN=Room 4:mailto:room4@example.com'
+        ])).events;
+
+        assert.deepEqual(event.organizer, { name: 'Whitfield, Dana', email: 'dana@example.com' });
+        assert.deepEqual(event.attendees, [{ name: 'Sam Lee', email: 'sam@example.com' }]);
+    });
+
+    it('reads VTIMEZONE definitions by TZID', () => {
+        const { timezones } = parseCalendar(calendar({ timezones: CUSTOM_EASTERN }));
+        assert.deepEqual(Object.keys(timezones), ['Custom Eastern']);
+        assert.equal(timezones['Custom Eastern'].observances.length, 2);
+    });
+
+    it('rejects text that is not a calendar', () => {
+        assert.throws(() => parseCalendar('<html></html>'), /Not an iCalendar file/);
+    });
+});
+
+describe('expandEvents', () => {
+    const cases = [
+        {
+            name: 'single event in UTC',
+            events: [['UID:once', 'DTSTART:20261020T150000Z', 'DTEND:20261020T160000Z']],
+            expected: ['2026-10-20T15:00:00.000Z']
+        },
+        {
+            name: 'weekly with a TZID keeps its wall-clock time across the end of daylight saving time',
+            events: [[...STANDUP, 'RRULE:FREQ=WEEKLY;COUNT=4']],
+            expected: ['2026-10-19T13:00:00.000Z', '2026-10-26T13:00:00.000Z', '2026-11-02T14:00:00.000Z', '2026-11-09T14:00:00.000Z']
+        },
+        {
+            name: 'VTIMEZONE for a zone name that is not in the IANA database',
+            timezones: CUSTOM_EASTERN,
+            events: [['UID:custom', 'DTSTART;TZID=Custom Eastern:20261019T090000', 'RRULE:FREQ=WEEKLY;COUNT=4']],
+            expected: ['2026-10-19T13:00:00.000Z', '2026-10-26T13:00:00.000Z', '2026-11-02T14:00:00.000Z', '2026-11-09T14:00:00.000Z']
+        },
+        {
+            name: 'Outlook zone name without a VTIMEZONE',
+            events: [['UID:outlook', 'DTSTART;TZID=W. Europe Standard Time:20261020T100000', 'RRULE:FREQ=WEEKLY;COUNT=2']],
+            expected: ['2026-10-20T08:00:00.000Z', '2026-10-27T09:00:00.000Z']
+        },
+        {
+            name: 'BYDAY with COUNT',
+            events: [['UID:byday', 'DTSTART:20261019T100000Z', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3']],
+            expected: ['2026-10-19T10:00:00.000Z', '2026-10-21T10:00:00.000Z', '2026-10-26T10:00:00.000Z']
+        },
+        {
+            name: 'UNTIL is inclusive',
+            events: [['UID:until', 'DTSTART:20261019T100000Z', 'RRULE:FREQ=DAILY;UNTIL=20261021T100000Z']],
+            expected: ['2026-10-19T10:00:00.000Z', '2026-10-20T10:00:00.000Z', '2026-10-21T10:00:00.000Z']
+        },
+        {
+            name: 'monthly on the second Tuesday',
+            events: [['UID:second-tuesday', 'DTSTART:20261013T140000Z', 'RRULE:FREQ=MONTHLY;BYDAY=2TU;COUNT=3']],
+            expected: ['2026-10-13T14:00:00.000Z', '2026-11-10T14:00:00.000Z', '2026-12-08T14:00:00.000Z']
+        },
+        {
+            name: 'monthly BYSETPOS=-1 on the last weekday, across the end of daylight saving time',
+            events: [[
+                'UID:last-weekday',
+                'DTSTART;TZID=America/New_York:20261030T160000',
+                'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=4'
+            ]],
+            expected: ['2026-10-30T20:00:00.000Z', '2026-11-30T21:00:00.000Z', '2026-12-31T21:00:00.000Z', '2027-01-29T21:00:00.000Z']
+        },
+        {
+            name: 'EXDATE drops an instance',
+            events: [[...STANDUP, 'RRULE:FREQ=WEEKLY;COUNT=4', 'EXDATE;TZID=America/New_York:20261026T090000']],
+            expected: ['2026-10-19T13:00:00.000Z', '2026-11-02T14:00:00.000Z', '2026-11-09T14:00:00.000Z']
+        },
+        {
+            name: 'RECURRENCE-ID override moves an instance',
+            events: [
+                [...STANDUP, 'RRULE:FREQ=WEEKLY;COUNT=3'],
+                [
+                    'UID:standup',
+                    'SUMMARY:Standup (moved)',
+                    'RECURRENCE-ID;TZID=America/New_York:20261026T090000',
+                    'DTSTART;TZID=America/New_York:20261027T110000'
+                ]
+            ],
+            expected: ['2026-10-19T13:00:00.000Z', '2026-10-27T15:00:00.000Z', '2026-11-02T14:00:00.000Z']
+        },
+        {
+            name: 'cancelled RECURRENCE-ID override drops an instance',
+            events: [
+                [...STANDUP, 'RRULE:FREQ=WEEKLY;COUNT=3'],
+                ['UID:standup', 'STATUS:CANCELLED', 'RECURRENCE-ID;TZID=America/New_York:20261102T090000', 'DTSTART;TZID=America/New_York:20261102T090000']
+            ],
+            expected: ['2026-10-19T13:00:00.000Z', '2026-10-26T13:00:00.000Z']
+        },
+        {
+            name: 'weekly across daylight saving time with an EXDATE and a moved instance',
+            events: [
+                [...STANDUP, 'RRULE:FREQ=WEEKLY;UNTIL=20261117T000000Z', 'EXDATE;TZID=America/New_York:20261019T090000'],
+                ['UID:standup', 'RECURRENCE-ID;TZID=America/New_York:20261102T090000', 'DTSTART;TZID=America/New_York:20261102T130000']
+            ],
+            expected: ['2026-10-26T13:00:00.000Z', '2026-11-02T18:00:00.000Z', '2026-11-09T14:00:00.000Z', '2026-11-16T14:00:00.000Z']
+        },
+        {
+            name: 'times without a zone use the timezone option',
+            events: [['UID:floating', 'DTSTART:20261020T090000']],
+            options: { timezone: 'Asia/Tokyo' },
+            expected: ['2026-10-20T00:00:00.000Z']
+        },
+        {
+            name: 'instances outside [from, to) are left out',
+            events: [['UID:daily', 'DTSTART:20261019T100000Z', 'RRULE:FREQ=DAILY']],
+            options: { from: new Date('2026-10-20T10:00:00Z'), to: new Date('2026-10-22T10:00:00Z') },
+            expected: ['2026-10-20T10:00:00.000Z', '2026-10-21T10:00:00.000Z']
+        },
+        {
+            name: 'all-day events are left out',
+            events: [['UID:holiday', 'DTSTART;VALUE=DATE:20261020', 'DTEND;VALUE=DATE:20261021']],
+            expected: []
+        },
+        {
+            name: 'cancelled series are left out',
+            events: [[...STANDUP, 'STATUS:CANCELLED', 'RRULE:FREQ=WEEKLY;COUNT=2']],
+            expected: []
+        }
+    ];
+
+    for (const { name, timezones = [], events, options = {}, expected } of cases) {
+        it(name, () => {
+            const instances = expandEvents(parseCalendar(calendar({ timezones }, ...events)), { from: FROM, to: TO, timezone: 'UTC', ...options });
+            assert.deepEqual(instances.map((instance) => instance.start.toISOString()), expected);
+        });
+    }
+
+    it('gives an override its own fields and the time it was originally scheduled for', () => {
+        const instances = expandEvents(parseCalendar(calendar({},
+            [...STANDUP, 'RRULE:FREQ=WEEKLY;COUNT=2'],
+            [
+                'UID:standup',
+                'SUMMARY:Standup (moved)',
+                'RECURRENCE-ID;TZID=America/New_York:20261026T090000',
+                'DTSTART;TZID=America/New_York:20261027T110000',
+                'DTEND;TZID=America/New_York:20261027T113000'
+            ]
+        )), { from: FROM, to: TO });
+
+        assert.deepEqual(instances.map(({ summary, recurrenceId, start, end, timezone }) => ({ summary, recurrenceId, start, end, timezone })), [
+            {
+                summary: 'Standup',
+                recurrenceId: '2026-10-19T13:00:00.000Z',
+                start: new Date('2026-10-19T13:00:00Z'),
+                end: new Date('2026-10-19T13:15:00Z'),
+                timezone: 'America/New_York'
+            },
+            {
+                summary: 'Standup (moved)',
+                recurrenceId: '2026-10-26T13:00:00.000Z',
+                start: new Date('2026-10-27T15:00:00Z'),
+                end: new Date('2026-10-27T15:30:00Z'),
+                timezone: 'America/New_York'
+            }
+        ]);
+    });
+});
@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJob, loadJob, runJob, getJobStatus, getNextAttemptAt, resetSteps } from '../src/jobQueue.js';
+
+const START = Date.parse('2026-10-19T09:00:00.000Z');
+
+describe('runJob', () => {
+    let jobsDir;
+
+    beforeEach(async () => {
+        jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-jobs-'));
+        mock.timers.enable({ apis: ['Date'], now: START });
+    });
+
+    afterEach(async () => {
+        mock.timers.reset();
+        await fs.rm(jobsDir, { recursive: true, force: true });
+    });
+
+    const failing = () => {
+        throw new Error('upload refused');
+    };
+
+    // Seconds after each failed attempt until the next one may run
+    const cases = [
+        { name: 'doubles the backoff after every attempt', options: { maxAttempts: 5, backoffSeconds: 60 }, delays: [60, 120, 240, 480] },
+        { name: 'caps the backoff at maxBackoffSeconds', options: { maxAttempts: 6, backoffSeconds: 60, maxBackoffSeconds: 300 }, delays: [60, 120, 240, 300, 300] },
+        { name: 'defaults to five attempts a minute apart, doubling', options: {}, delays: [60, 120, 240, 480] },
+        { name: 'fails at once with a single attempt', options: { maxAttempts: 1 }, delays: [] }
+    ];
+
+    for (const { name, options, delays } of cases) {
+        it(name, async () => {
+            const job = await createJob(jobsDir, { id: 'job-1' }, ['upload']);
+            const step = job.steps.upload;
+
+            for (const [i, delay] of delays.entries()) {
+                await runJob(jobsDir, job, { upload: failing }, options);
+                assert.equal(step.status, 'retrying');
+                assert.equal(step.attempts, i + 1);
+                assert.equal(step.lastError, 'upload refused');
+                assert.equal(Date.parse(step.nextAttemptAt) - Date.now(), delay * 1000);
+                mock.timers.tick(delay * 1000);
+            }
+
+            await runJob(jobsDir, job, { upload: failing }, options);
+            assert.equal(step.status, 'failed');
+            assert.equal(step.attempts, delays.length + 1);
+            assert.equal(step.nextAttemptAt, null);
+            assert.equal(getJobStatus(job), 'failed');
+            assert.equal(getNextAttemptAt(job), null);
+
+            // A failed step is never run again on its own
+            const handler = mock.fn();
+            await runJob(jobsDir, job, { upload: handler }, options);
+            assert.equal(handler.mock.callCount(), 0);
+        });
+    }
+
+    it('waits for the backoff before running the step again', async () => {
+        const job = await createJob(jobsDir, { id: 'job-1' }, ['upload']);
+        await runJob(jobsDir, job, { upload: failing }, { backoffSeconds: 30 });
+        assert.deepEqual(getNextAttemptAt(job), new Date(START + 30_000));
+
+        const handler = mock.fn(async () => 'https://example.com/recording.mp4');
+        mock.timers.tick(29_000);
+        await runJob(jobsDir, job, { upload: handler }, { backoffSeconds: 30 });
+        assert.equal(handler.mock.callCount(), 0);
+        assert.equal(job.steps.upload.status, 'retrying');
+
+        mock.timers.tick(1_000);
+        await runJob(jobsDir, job, { upload: handler }, { backoffSeconds: 30 });
+        assert.equal(handler.mock.callCount(), 1);
+        assert.deepEqual(job.steps.upload, {
+            ...job.steps.upload,
+            status: 'done',
+            attempts: 2,
+            lastError: null,
+            nextAttemptAt: null,
+            result: 'https://example.com/recording.mp4'
+        });
+        assert.equal(getJobStatus(job), 'done');
+    });
+
+    it('runs steps in order and stops at the first one that fails', async () => {
+        const job = await createJob(jobsDir, { id: 'job-1' }, ['transcribe', 'summarize', 'upload']);
+        const calls = [];
+        const handlers = {
+            transcribe: async () => calls.push('transcribe'),
+            summarize: async () => {
+                calls.push('summarize');
+                throw new Error('rate limited');
+            },
+            upload: async () => calls.push('upload')
+        };
+
+        await runJob(jobsDir, job, handlers);
+        assert.deepEqual(calls, ['transcribe', 'summarize']);
+        assert.equal(getJobStatus(job), 'pending');
+        assert.deepEqual(getNextAttemptAt(job), new Date(START + 60_000));
+
+        mock.timers.tick(60_000);
+        handlers.summarize = async () => calls.push('summarize');
+        await runJob(jobsDir, job, handlers);
+        assert.deepEqual(calls, ['transcribe', 'summarize', 'summarize', 'upload']);
+        assert.equal(getJobStatus(job), 'done');
+        assert.equal(job.steps.transcribe.attempts, 1);
+    });
+
+    it('runs only the given steps when options.steps is set', async () => {
+        const job = await createJob(jobsDir, { id: 'job-1' }, ['transcribe', 'upload']);
+        const handlers = { transcribe: mock.fn(), upload: mock.fn() };
+
+        await runJob(jobsDir, job, handlers, { steps: ['upload'] });
+        assert.equal(handlers.transcribe.mock.callCount(), 0);
+        assert.equal(handlers.upload.mock.callCount(), 1);
+        assert.equal(job.steps.transcribe.status, 'pending');
+    });
+
+    it('reports each failure and saves the state it reports', async () => {
+        const job = await createJob(jobsDir, { id: 'job-1' }, ['upload']);
+        const onStepError = mock.fn();
+
+        await runJob(jobsDir, job, { upload: failing }, { onStepError });
+        const [name, error, step] = onStepError.mock.calls[0].arguments;
+        assert.equal(name, 'upload');
+        assert.equal(error.message, 'upload refused');
+        assert.deepEqual((await loadJob(jobsDir, 'job-1')).steps.upload, step);
+    });
+});
+
+describe('resetSteps', () => {
+    it('gives failed steps fresh attempts and keeps their last result', () => {
+        const job = {
+            steps: {
+                transcribe: { status: 'done', attempts: 1, lastError: null, nextAttemptAt: null, result: 'transcript.txt' },
+                upload: { status: 'failed', attempts: 5, lastError: 'upload refused', nextAttemptAt: null, result: 'partial' }
+            }
+        };
+
+        assert.deepEqual(resetSteps(job), ['upload']);
+        assert.deepEqual(job.steps.upload, { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, result: 'partial' });
+        assert.equal(job.steps.transcribe.status, 'done');
+        assert.throws(() => resetSteps(job, ['summarize']), /Unknown step "summarize". Steps: transcribe, upload/);
+    });
+});
+
+describe('loadJob', () => {
+    it('puts steps left running by a crash back to pending', async () => {
+        const jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-jobs-'));
+        try {
+            const job = await createJob(jobsDir, { id: 'job-1' }, ['upload']);
+            job.steps.upload.status = 'running';
+            job.steps.upload.attempts = 1;
+            await fs.writeFile(path.join(jobsDir, 'job-1.json'), JSON.stringify(job));
+
+            const loaded = await loadJob(jobsDir, 'job-1');
+            assert.equal(loaded.steps.upload.status, 'pending');
+            assert.equal(loaded.steps.upload.attempts, 1);
+        } finally {
+            await fs.rm(jobsDir, { recursive: true, force: true });
+        }
+    });
+});
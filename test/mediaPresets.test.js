@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMediaPreset, DEFAULT_MEDIA_PRESETS, MEDIA_TYPES } from '../src/mediaPresets.js';
+
+describe('buildMediaPreset', () => {
+    // A one hour recording unless the case says otherwise
+    const cases = [
+        {
+            name: 'audio defaults to mono Opus',
+            preset: { type: 'audio' },
+            expected: {
+                extension: 'opus',
+                seekSeconds: null,
+                outputOptions: ['-vn', '-map 0:a', '-c:a libopus', '-b:a 32k', '-ac 1'],
+                details: { codec: 'opus', bitrate: '32k' }
+            }
+        },
+        {
+            name: 'AAC audio goes into a streamable .m4a',
+            preset: { type: 'audio', codec: 'aac', bitrate: '96k', channels: 2 },
+            expected: {
+                extension: 'm4a',
+                outputOptions: ['-vn', '-map 0:a', '-c:a aac', '-b:a 96k', '-ac 2', '-movflags +faststart'],
+                details: { codec: 'aac', bitrate: '96k' }
+            }
+        },
+        {
+            name: 'MP3 audio',
+            preset: { type: 'audio', codec: 'mp3' },
+            expected: { extension: 'mp3', outputOptions: ['-vn', '-map 0:a', '-c:a libmp3lame', '-b:a 32k', '-ac 1'] }
+        },
+        {
+            name: 'video defaults',
+            preset: { type: 'video' },
+            expected: {
+                extension: 'mp4',
+                seekSeconds: null,
+                outputOptions: [
+                    '-map 0:v', '-map 0:a?', '-vf scale=-2:480', '-r 10', '-c:v libx264', '-preset veryfast', '-crf 32',
+                    '-pix_fmt yuv420p', '-c:a aac', '-b:a 64k', '-ac 1', '-movflags +faststart'
+                ],
+                details: { height: 480, framerate: 10 }
+            }
+        },
+        {
+            name: 'video settings override the defaults; label and upload are not settings',
+            preset: { type: 'video', height: 720, framerate: 15, crf: 28, preset: 'medium', audioBitrate: '96k', label: 'Shareable', upload: false },
+            expected: {
+                outputOptions: [
+                    '-map 0:v', '-map 0:a?', '-vf scale=-2:720', '-r 15', '-c:v libx264', '-preset medium', '-crf 28',
+                    '-pix_fmt yuv420p', '-c:a aac', '-b:a 96k', '-ac 1', '-movflags +faststart'
+                ],
+                details: { height: 720, framerate: 15 }
+            }
+        },
+        {
+            name: 'poster seeks to atSeconds and is never wider than the recording',
+            preset: { type: 'poster' },
+            expected: {
+                extension: 'jpg',
+                seekSeconds: 60,
+                outputOptions: ['-frames:v 1', "-vf scale='min(1280,iw)':-2", '-q:v 3'],
+                details: { atSeconds: 60 }
+            }
+        },
+        {
+            name: 'poster of a recording shorter than twice atSeconds takes its middle frame',
+            preset: { type: 'poster', atSeconds: 120, width: 640 },
+            duration: 75,
+            expected: { seekSeconds: 37.5, outputOptions: ['-frames:v 1', "-vf scale='min(640,iw)':-2", '-q:v 3'], details: { atSeconds: 37.5 } }
+        },
+        {
+            name: 'thumbnails are evenly spaced and tiled',
+            preset: { type: 'thumbnails' },
+            expected: {
+                extension: 'jpg',
+                seekSeconds: null,
+                outputOptions: ['-frames:v 1', '-vf fps=1/180.000,scale=160:-2,tile=10x2', '-q:v 4'],
+                details: { intervalSeconds: 180, count: 20, columns: 10, rows: 2, tileWidth: 160 }
+            }
+        },
+        {
+            name: 'thumbnails round a partial last row up',
+            preset: { type: 'thumbnails', count: 7, columns: 3, width: 200 },
+            duration: 100,
+            expected: {
+                outputOptions: ['-frames:v 1', '-vf fps=1/14.286,scale=200:-2,tile=3x3', '-q:v 4'],
+                details: { intervalSeconds: 14.286, count: 7, columns: 3, rows: 3, tileWidth: 200 }
+            }
+        },
+        {
+            name: 'thumbnails use no more columns than frames',
+            preset: { type: 'thumbnails', count: 4 },
+            expected: { outputOptions: ['-frames:v 1', '-vf fps=1/900.000,scale=160:-2,tile=4x1', '-q:v 4'] }
+        }
+    ];
+
+    for (const { name, preset, duration = 3600, expected } of cases) {
+        it(name, () => {
+            const built = buildMediaPreset(preset, duration);
+            for (const [key, value] of Object.entries(expected)) {
+                assert.deepEqual(built[key], value, key);
+            }
+        });
+    }
+
+    it('builds every default preset', () => {
+        for (const preset of Object.values(DEFAULT_MEDIA_PRESETS)) {
+            assert.ok(MEDIA_TYPES.includes(preset.type));
+            assert.ok(buildMediaPreset(preset, 3600).outputOptions.length > 0, preset.type);
+        }
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMeetingLink, checkMeetingLink, redactPasscode } from '../src/meetingLink.js';
+
+const PASSCODE = 'XJewPbCLa3R0CCz1qPkaQcePQUt46j.1';
+
+describe('parseMeetingLink', () => {
+    const cases = [
+        {
+            name: 'join link',
+            link: 'https://zoom.us/j/73857951350',
+            expected: { type: 'join', host: 'zoom.us', meetingId: '73857951350', passcode: '', deepLink: 'zoommtg://zoom.us/join?confno=73857951350' }
+        },
+        {
+            name: 'join link with passcode',
+            link: `https://zoom.us/j/73857951350?pwd=${PASSCODE}`,
+            expected: { type: 'join', meetingId: '73857951350', passcode: PASSCODE, deepLink: `zoommtg://zoom.us/join?confno=73857951350&pwd=${encodeURIComponent(PASSCODE)}` }
+        },
+        {
+            name: 'regional host',
+            link: 'https://us02web.zoom.us/j/85512345678?pwd=abc#success',
+            expected: { type: 'join', host: 'us02web.zoom.us', meetingId: '85512345678', passcode: 'abc', deepLink: 'zoommtg://zoom.us/join?confno=85512345678&pwd=abc' }
+        },
+        {
+            name: 'company vanity domain',
+            link: 'https://acme.zoom.us/j/912345678',
+            expected: { type: 'join', host: 'acme.zoom.us', meetingId: '912345678' }
+        },
+        {
+            name: 'government cloud',
+            link: 'https://agency.zoomgov.com/j/1612345678',
+            expected: { type: 'join', host: 'agency.zoomgov.com', deepLink: 'zoommtg://zoomgov.com/join?confno=1612345678' }
+        },
+        {
+            name: 'link without scheme',
+            link: 'zoom.us/j/85512345678',
+            expected: { type: 'join', host: 'zoom.us', meetingId: '85512345678' }
+        },
+        {
+            name: 'personal link',
+            link: 'https://acme.zoom.us/my/dana.whitfield',
+            expected: { type: 'personal', host: 'acme.zoom.us', meetingId: null, personalName: 'dana.whitfield', deepLink: 'zoommtg://zoom.us/join?confno=dana.whitfield' }
+        },
+        {
+            name: 'webinar link with token',
+            link: 'https://zoom.us/w/98765432109?tk=reg-token.1',
+            expected: { type: 'webinar', meetingId: '98765432109', token: 'reg-token.1', deepLink: 'zoommtg://zoom.us/join?confno=98765432109&tk=reg-token.1' }
+        },
+        {
+            name: 'start link',
+            link: 'https://zoom.us/s/85512345678',
+            expected: { type: 'start', meetingId: '85512345678', deepLink: 'zoommtg://zoom.us/join?confno=85512345678' }
+        },
+        {
+            name: 'web client link',
+            link: 'https://zoom.us/wc/join/85512345678',
+            expected: { type: 'join', meetingId: '85512345678' }
+        },
+        {
+            name: 'web client link with the ID first',
+            link: 'https://app.zoom.us/wc/85512345678/join?fromPWA=1',
+            expected: { type: 'join', host: 'app.zoom.us', meetingId: '85512345678' }
+        },
+        {
+            name: 'zoommtg deep link',
+            link: 'zoommtg://zoom.us/join?action=join&confno=73857951350&pwd=secret&uname=Someone',
+            expected: { type: 'join', host: 'zoom.us', meetingId: '73857951350', passcode: 'secret', deepLink: 'zoommtg://zoom.us/join?confno=73857951350&pwd=secret' }
+        },
+        {
+            name: 'zoomus deep link for a webinar',
+            link: 'zoomus://zoom.us/join?confno=98765432109&tk=abc',
+            expected: { type: 'webinar', meetingId: '98765432109', token: 'abc' }
+        },
+        {
+            name: 'deep link with a personal link name',
+            link: 'zoommtg://zoom.us/join?confno=dana.whitfield',
+            expected: { type: 'personal', personalName: 'dana.whitfield' }
+        },
+        {
+            name: 'meeting ID with spaces',
+            link: '855 1234 5678',
+            expected: { type: 'join', host: 'zoom.us', meetingId: '85512345678', deepLink: 'zoommtg://zoom.us/join?confno=85512345678' }
+        },
+        {
+            name: 'meeting ID with dashes',
+            link: ' 738-5795-1350 ',
+            expected: { type: 'join', meetingId: '73857951350' }
+        },
+        {
+            name: 'password option overrides the pwd in the link',
+            link: 'https://zoom.us/j/85512345678?pwd=fromlink',
+            options: { password: 'from config' },
+            expected: { passcode: 'from config', deepLink: 'zoommtg://zoom.us/join?confno=85512345678&pwd=from%20config' }
+        },
+        {
+            name: 'display name',
+            link: 'https://zoom.us/j/85512345678',
+            options: { displayName: 'Zoom Recorder' },
+            expected: { deepLink: 'zoommtg://zoom.us/join?confno=85512345678&uname=Zoom%20Recorder' }
+        }
+    ];
+
+    for (const { name, link, options, expected } of cases) {
+        it(name, () => {
+            const parsed = parseMeetingLink(link, options);
+            for (const [key, value] of Object.entries(expected)) {
+                assert.equal(parsed[key], value, key);
+            }
+        });
+    }
+});
+
+describe('parseMeetingLink errors', () => {
+    const cases = [
+        { name: 'empty', link: '', message: /is empty/ },
+        { name: 'missing', link: undefined, message: /is empty/ },
+        { name: 'too few digits', link: '1234 5678', message: /has 8 digits; meeting IDs have 9 to 11/ },
+        { name: 'too many digits', link: '123456789012', message: /has 12 digits/ },
+        { name: 'other meeting service', link: 'https://teams.microsoft.com/l/meetup-join/19%3ameeting', message: /teams\.microsoft\.com is not a Zoom domain/ },
+        { name: 'lookalike domain', link: 'https://zoom.us.example.com/j/85512345678', message: /not a Zoom domain/ },
+        { name: 'other scheme', link: 'msteams://teams.microsoft.com/l/meetup-join', message: /uses msteams:\/\/, which is not a Zoom link/ },
+        { name: 'not a meeting page', link: 'https://zoom.us/signin', message: /does not point to a meeting/ },
+        { name: 'non-numeric meeting ID', link: 'https://zoom.us/j/abc', message: /has "abc" where a meeting ID/ },
+        { name: 'short meeting ID in a link', link: 'https://zoom.us/j/12345', message: /has "12345" where a meeting ID/ },
+        { name: 'deep link without confno', link: 'zoommtg://zoom.us/join?action=join', message: /has no confno/ },
+        { name: 'free text', link: 'ask Dana for the link', message: /is neither a link nor a meeting ID/ }
+    ];
+
+    for (const { name, link, message } of cases) {
+        it(name, () => {
+            assert.throws(() => parseMeetingLink(link), message);
+            assert.match(checkMeetingLink(link), message);
+        });
+    }
+
+    it('hides the passcode of the link in the error', () => {
+        assert.throws(() => parseMeetingLink('https://example.com/j/85512345678?pwd=secret'), (error) => {
+            assert.match(error.message, /pwd=\*\*\*/);
+            assert.doesNotMatch(error.message, /secret/);
+            return true;
+        });
+    });
+
+    it('accepts valid links', () => {
+        assert.equal(checkMeetingLink('https://zoom.us/j/85512345678'), null);
+    });
+});
+
+describe('redactPasscode', () => {
+    const cases = [
+        { text: 'zoommtg://zoom.us/join?confno=1&pwd=abc&uname=x', expected: 'zoommtg://zoom.us/join?confno=1&pwd=***&uname=x' },
+        { text: 'https://zoom.us/w/1?tk=token&pwd=abc', expected: 'https://zoom.us/w/1?tk=***&pwd=***' },
+        { text: 'https://zoom.us/j/1', expected: 'https://zoom.us/j/1' }
+    ];
+
+    for (const { text, expected } of cases) {
+        it(text, () => {
+            assert.equal(redactPasscode(text), expected);
+        });
+    }
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRun } from '../src/scheduler.js';
+
+// A Monday
+const FROM = new Date('2026-10-19T00:00:00Z');
+
+describe('getNextRun', () => {
+    const cases = [
+        { name: 'weekday', expression: '0 9 * * 1', expected: '2026-10-19T09:00:00.000Z' },
+        { name: 'range ending on Sunday as 7', expression: '0 9 * * 5-7', from: '2026-10-24T10:00:00Z', expected: '2026-10-25T09:00:00.000Z' },
+        { name: 'Sunday by name', expression: '0 9 * * SUN', expected: '2026-10-25T09:00:00.000Z' },
+        { name: 'Sunday as 7', expression: '0 9 * * 7', expected: '2026-10-25T09:00:00.000Z' },
+        { name: 'Sunday as 0', expression: '0 9 * * 0', expected: '2026-10-25T09:00:00.000Z' },
+        { name: 'day-of-month or day-of-week, weekday first', expression: '0 9 1 * 1', from: '2026-10-20T00:00:00Z', expected: '2026-10-26T09:00:00.000Z' },
+        { name: 'day-of-month or day-of-week, day first', expression: '0 9 1 * 1', from: '2026-10-27T00:00:00Z', expected: '2026-11-01T09:00:00.000Z' },
+        { name: 'day-of-month with any weekday', expression: '30 14 15 * *', expected: '2026-11-15T14:30:00.000Z', from: '2026-10-16T00:00:00Z' },
+        { name: 'with seconds field', expression: '0 0 9 * * MON-FRI', from: '2026-10-24T00:00:00Z', expected: '2026-10-26T09:00:00.000Z' },
+        { name: 'in a timezone', expression: '0 9 * * 1', timezone: 'America/New_York', expected: '2026-10-19T13:00:00.000Z' }
+    ];
+
+    for (const { name, expression, timezone = 'UTC', from, expected } of cases) {
+        it(name, () => {
+            const next = getNextRun(expression, timezone, from ? new Date(from) : FROM);
+            assert.equal(next?.toISOString(), expected);
+        });
+    }
+
+    it('returns null when nothing matches within a year', () => {
+        assert.equal(getNextRun('0 9 31 2 *', 'UTC', FROM), null);
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/schema.js';
+import { validateConfig } from '../src/configSchema.js';
+
+describe('validateSchema', () => {
+    const cases = [
+        { name: 'type', schema: { type: 'string' }, value: 3, errors: ['value must be a string'] },
+        { name: 'one of several types', schema: { type: ['integer', 'null'] }, value: 1.5, errors: ['value must be an integer or null'] },
+        { name: 'null allowed', schema: { type: ['integer', 'null'] }, value: null, errors: [] },
+        { name: 'number that is not finite', schema: { type: 'number' }, value: Infinity, errors: ['value must be a number'] },
+        { name: 'array is not an object', schema: { type: 'object' }, value: [], errors: ['value must be an object'] },
+        { name: 'enum', schema: { enum: ['a', 'b'] }, value: 'c', errors: ['value must be one of: a, b (got "c")'] },
+        { name: 'minLength', schema: { type: 'string', minLength: 1 }, value: '', errors: ['value must not be empty'] },
+        { name: 'minimum and maximum', schema: { type: 'array', items: { type: 'number', minimum: 1, maximum: 5 } }, value: [0, 3, 6], errors: ['[0] must be at least 1', '[2] must be at most 5'] },
+        { name: 'minItems', schema: { type: 'array', minItems: 2 }, value: [1], errors: ['value must contain at least 2 entries'] },
+        { name: 'minItems of one', schema: { type: 'array', minItems: 1 }, value: [], errors: ['value must contain at least 1 entry'] },
+        {
+            name: 'required and nested paths',
+            schema: { type: 'object', required: ['a'], properties: { a: { type: 'string' }, b: { type: 'object', properties: { c: { type: 'boolean' } } } } },
+            value: { b: { c: 'yes' } },
+            errors: ['a is required', 'b.c must be a boolean']
+        },
+        {
+            name: 'unknown keys',
+            schema: { type: 'object', properties: { known: { type: 'string' } } },
+            value: { known: 'x', typo: 1 },
+            errors: ['typo is not a known setting']
+        },
+        {
+            name: 'additionalProperties',
+            schema: { type: 'object', additionalProperties: { type: 'string' } },
+            value: { a: 'x', b: 2 },
+            errors: ['b must be a string']
+        },
+        {
+            name: 'check runs after the other rules and is prefixed with the path',
+            schema: { type: 'object', properties: { id: { type: 'string', check: (value) => (value.includes(' ') ? 'may not contain spaces' : null) } } },
+            value: { id: 'a b' },
+            errors: ['id may not contain spaces']
+        },
+        {
+            name: 'check is skipped when the type is wrong',
+            schema: { type: 'string', check: () => 'should not run' },
+            value: 1,
+            errors: ['value must be a string']
+        }
+    ];
+
+    for (const { name, schema, value, errors } of cases) {
+        it(name, () => {
+            assert.deepEqual(validateSchema(value, schema), errors);
+        });
+    }
+
+    it('names the value in messages', () => {
+        assert.deepEqual(validateSchema(1, { type: 'string' }, 'summary'), ['summary must be a string']);
+    });
+
+    describe('defaults', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                retries: { type: 'integer', default: 3 },
+                tags: { type: 'array', default: [] },
+                nested: {
+                    type: 'object',
+                    default: {},
+                    properties: { enabled: { type: 'boolean', default: false }, port: { type: 'integer', minimum: 1, default: 0 } }
+                }
+            }
+        };
+
+        it('fills in missing values, including inside a defaulted object', () => {
+            const value = {};
+            validateSchema(value, schema);
+            assert.deepEqual(value, { retries: 3, tags: [], nested: { enabled: false, port: 0 } });
+        });
+
+        it('keeps values that are set, even null or false', () => {
+            const value = { retries: null, nested: { enabled: true } };
+            const errors = validateSchema(value, schema);
+            assert.deepEqual(value, { retries: null, tags: [], nested: { enabled: true, port: 0 } });
+            assert.deepEqual(errors, ['retries must be an integer', 'nested.port must be at least 1']);
+        });
+
+        it('gives every value its own copy of a default', () => {
+            const first = {};
+            const second = {};
+            validateSchema(first, schema);
+            validateSchema(second, schema);
+            first.tags.push('changed');
+            assert.deepEqual(second.tags, []);
+            assert.deepEqual(schema.properties.tags.default, []);
+        });
+    });
+});
+
+describe('validateConfig', () => {
+    it('fills in the defaults of a minimal config', () => {
+        const config = { cloudStorage: { provider: 'local' } };
+        assert.deepEqual(validateConfig(config), []);
+
+        assert.equal(config.cloudStorage.folderName, 'Zoom Recordings');
+        assert.deepEqual(config.schedule, { enabled: true, graceMinutes: 15, maxDurationMinutes: 240, joinEarlyMinutes: 0, joinTimeoutMinutes: 15 });
+        assert.equal(config.recording.outputDir, './recordings');
+        assert.deepEqual(config.recording.silence, { enabled: false, noiseDb: -50, stopAfterSeconds: 900, trim: false, trimPaddingSeconds: 2 });
+        assert.deepEqual(config.recording.segments, { minutes: 10, stallSeconds: 30, maxRestarts: 10 });
+        assert.deepEqual(config.postProcessing, { maxAttempts: 5, backoffSeconds: 60 });
+        assert.equal(config.media.enabled, false);
+        assert.deepEqual(Object.keys(config.media.presets), ['audio', 'compressed', 'poster', 'thumbnails']);
+        assert.deepEqual(config.dashboard, { enabled: false, host: '127.0.0.1', port: 8787 });
+    });
+
+    it('reports every problem with the path of the offending value', () => {
+        const config = {
+            cloudStorage: { provider: 'dropbox' },
+            schedul: {},
+            meetings: [{
+                meetingLink: 'https://teams.microsoft.com/l/meetup-join/1',
+                cronExpression: '61 * * * *',
+                timezone: 'Mars/Olympus_Mons',
+                quality: 'ultra',
+                attendees: ['', 3]
+            }],
+            recording: { segments: { minutes: 0 } },
+            notifications: { notifiers: [{ type: 'slack' }] }
+        };
+
+        assert.deepEqual(validateConfig(config), [
+            'meetings[0].meetingLink is not a Zoom link (teams.microsoft.com is not a Zoom domain)',
+            'meetings[0].attendees[0] must not be empty',
+            'meetings[0].attendees[1] must be a string',
+            'meetings[0].cronExpression is not a valid cron expression',
+            'meetings[0].timezone is not a known IANA timezone (e.g. "America/Los_Angeles")',
+            'meetings[0].quality must be one of: high, medium, low (got "ultra")',
+            'cloudStorage.provider must be one of: local, google-drive, onedrive, s3, webdav (got "dropbox")',
+            'recording.segments.minutes must be at least 1',
+            'notifications.notifiers[0] needs a url for slack',
+            'schedul is not a known setting'
+        ]);
+    });
+
+    it('requires cloudStorage', () => {
+        assert.deepEqual(validateConfig({}), ['cloudStorage is required']);
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    startScreenRecording,
+    stopScreenRecording,
+    getRecordingGaps,
+    getCaptureFailure,
+    recoverSegments
+} from '../src/screenRecorder.js';
+
+// Stand-ins for ffmpeg and ffprobe, put first on PATH
+// Capture runs write one segment holding "<segment name>\n", report progress and then either exit with code 1
+// (FAKE_FFMPEG=crash) or keep going until "q"; concat runs write the listed segments' content to the output.
+// ffprobe reports a segment's length as its size, so an empty segment is unreadable.
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const output = args[args.length - 1];
+// fluent-ffmpeg checks the formats and encoders before a run
+if (args[0] === '-formats') {
+    process.stdout.write(' D  concat          Virtual concatenation script\\n');
+    process.exit(0);
+}
+if (args[0] === '-encoders') process.exit(0);
+if (args.includes('concat')) {
+    const list = args[args.indexOf('-i') + 1];
+    const names = fs.readFileSync(list, 'utf-8').trim().split('\\n').map((line) => line.slice(6, -1));
+    fs.writeFileSync(output, names.map((name) => fs.readFileSync(path.join(path.dirname(list), name), 'utf-8')).join(''));
+    process.exit(0);
+}
+const number = Number(args[args.indexOf('-segment_start_number') + 1]);
+const segment = output.replace('%04d', String(number).padStart(4, '0'));
+fs.writeFileSync(segment, path.basename(segment) + '\\n');
+process.stderr.write('frame=   30 fps=30 q=23.0 size=N/A time=00:00:01.00 bitrate=N/A speed=1x\\n');
+if (process.env.FAKE_FFMPEG === 'crash') process.exit(1);
+process.stdin.on('data', () => process.exit(0));
+`;
+
+const FAKE_FFPROBE = `#!/usr/bin/env node
+const fs = require('fs');
+const size = fs.statSync(process.argv[process.argv.length - 1]).size;
+if (size === 0) {
+    process.stderr.write('Invalid data found when processing input\\n');
+    process.exit(1);
+}
+process.stdout.write('[FORMAT]\\nduration=' + size + '\\n[/FORMAT]\\n');
+`;
+
+let binDir;
+let workDir;
+const originalPath = process.env.PATH;
+
+before(async () => {
+    binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-bin-'));
+    await fs.writeFile(path.join(binDir, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => { });
+    }
+});
+
+after(async () => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_FFMPEG;
+    mock.restoreAll();
+    await fs.rm(binDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await fs.rm(workDir || '', { recursive: true, force: true });
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-capture-'));
+});
+
+const record = (segments) => startScreenRecording(workDir, 'low', { backend: 'lavfi' }, 'recording.mp4', null, segments);
+
+const waitFor = async (condition, timeoutMs = 20000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out');
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+};
+
+describe('capture watchdog', () => {
+    it('records into one segment and joins it when nothing goes wrong', async () => {
+        delete process.env.FAKE_FFMPEG;
+        const recordingPath = await record();
+        assert.equal(await stopScreenRecording(), recordingPath);
+
+        assert.equal(await fs.readFile(recordingPath, 'utf-8'), 'segment-0000.mp4\n');
+        await assert.rejects(fs.access(path.join(workDir, 'recording-segments')));
+        assert.deepEqual(getRecordingGaps(), []);
+        assert.equal(getCaptureFailure(), null);
+    });
+
+    it('restarts a capture whose ffmpeg exits into the next segment, then gives up after maxRestarts', async () => {
+        process.env.FAKE_FFMPEG = 'crash';
+        const recordingPath = await record({ maxRestarts: 2 });
+        await waitFor(() => getCaptureFailure());
+
+        assert.equal(getCaptureFailure(), 'ffmpeg exited with code 1; gave up after 2 restart(s)');
+        await stopScreenRecording();
+
+        // Everything captured before giving up is kept, in order
+        assert.equal(await fs.readFile(recordingPath, 'utf-8'), 'segment-0000.mp4\nsegment-0001.mp4\nsegment-0002.mp4\n');
+        const gaps = getRecordingGaps();
+        assert.deepEqual(gaps.map(({ atSeconds, reason }) => [atSeconds, reason]), [
+            [1, 'ffmpeg exited with code 1'],
+            [2, 'ffmpeg exited with code 1'],
+            [3, 'ffmpeg exited with code 1']
+        ]);
+        assert.ok(gaps.every((gap) => gap.end && gap.seconds >= 0));
+    });
+
+    it('clears the failure when the next recording starts', async () => {
+        delete process.env.FAKE_FFMPEG;
+        await record();
+        assert.equal(getCaptureFailure(), null);
+        await stopScreenRecording();
+    });
+});
+
+describe('recoverSegments', () => {
+    const writeSegments = async (segments) => {
+        const segmentDir = path.join(workDir, 'recording-segments');
+        await fs.mkdir(segmentDir);
+        for (const [name, content] of Object.entries(segments)) {
+            await fs.writeFile(path.join(segmentDir, name), content);
+        }
+        return segmentDir;
+    };
+
+    it('joins the segments in order, leaving out unreadable ones and other files', async () => {
+        const segmentDir = await writeSegments({
+            'segment-0002.mp4': 'c\n',
+            'segment-0000.mp4': 'a\n',
+            'segment-0001.mp4': '',
+            'segment-0010.mp4': 'd\n',
+            'segments.txt': 'stale list\n'
+        });
+        const recordingPath = path.join(workDir, 'recording.mp4');
+        const written = { '0000': '09:10', '0001': '09:20', '0002': '09:40', '0010': '09:30' };
+        for (const [number, time] of Object.entries(written)) {
+            const at = new Date(`2026-10-19T${time}:00Z`);
+            await fs.utimes(path.join(segmentDir, `segment-${number}.mp4`), at, at);
+        }
+
+        const recovered = await recoverSegments(recordingPath);
+
+        assert.equal(recovered.segments, 3);
+        assert.deepEqual(recovered.endedAt, new Date('2026-10-19T09:40:00Z'));
+        assert.equal(await fs.readFile(recordingPath, 'utf-8'), 'a\nc\nd\n');
+        await assert.rejects(fs.access(segmentDir));
+    });
+
+    it('returns null when there is no segment folder or no segment in it', async () => {
+        const recordingPath = path.join(workDir, 'recording.mp4');
+        assert.equal(await recoverSegments(recordingPath), null);
+
+        await writeSegments({ 'segments.txt': '' });
+        assert.equal(await recoverSegments(recordingPath), null);
+    });
+
+    it('keeps the folder when no segment is readable', async () => {
+        const segmentDir = await writeSegments({ 'segment-0000.mp4': '' });
+        await assert.rejects(recoverSegments(path.join(workDir, 'recording.mp4')), /Nothing was recorded/);
+        await fs.access(segmentDir);
+    });
+});
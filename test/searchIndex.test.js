@@ -0,0 +1,188 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { searchSessions, indexSession, parseQuery } from '../src/searchIndex.js';
+
+const SESSIONS = [
+    {
+        id: 'standup-1',
+        meeting: { id: 'standup', name: 'Daily Standup' },
+        actualStart: '2026-10-05T09:00:00.000Z',
+        segments: ['Morning everyone.', 'The Q3 migration is done, but the date moved.', 'Migration of Q3 data is next.'],
+        summary: '# Summary\n\n- Q3 migration finished [00:05]\n'
+    },
+    {
+        id: 'planning-1',
+        meeting: { id: 'planning', name: 'Planning' },
+        actualStart: '2026-10-12T15:00:00.000Z',
+        segments: ['We should review the Q3 migration plan.']
+    },
+    {
+        id: 'standup-2',
+        meeting: { id: 'standup', name: 'Daily Standup' },
+        actualStart: '2026-10-19T09:00:00.000Z',
+        segments: ['Nothing new today.']
+    }
+];
+
+const writeSession = async (outputDir, { id, meeting, actualStart, segments, summary }) => {
+    const dir = path.join(outputDir, meeting.id, id);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'transcript.json'), JSON.stringify({
+        segments: segments.map((text, i) => ({ start: i * 5, end: i * 5 + 5, speaker: null, text }))
+    }));
+    const artifacts = { segments: { path: 'transcript.json' } };
+    if (summary) {
+        await fs.writeFile(path.join(dir, 'summary.md'), summary);
+        artifacts.summary = { path: 'summary.md' };
+    }
+    await fs.writeFile(path.join(dir, 'session.json'), JSON.stringify({ id, meeting, createdAt: actualStart, actualStart, artifacts, steps: {} }));
+    return dir;
+};
+
+describe('searchSessions', () => {
+    let config;
+
+    before(async () => {
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zoom-recorder-search-'));
+        config = { recording: { outputDir } };
+        for (const session of SESSIONS) {
+            await writeSession(outputDir, session);
+        }
+    });
+
+    after(async () => {
+        await fs.rm(config.recording.outputDir, { recursive: true, force: true });
+    });
+
+    // Hits as "session source start"
+    const cases = [
+        {
+            name: 'word, newest session first and in transcript order',
+            query: 'migration',
+            expected: ['planning-1 transcript 0', 'standup-1 transcript 5', 'standup-1 transcript 10', 'standup-1 summary 5']
+        },
+        {
+            name: 'words in any order, ignoring case and punctuation',
+            query: 'MIGRATION, q3!',
+            expected: ['planning-1 transcript 0', 'standup-1 transcript 5', 'standup-1 transcript 10', 'standup-1 summary 5']
+        },
+        {
+            name: 'phrase keeps its word order',
+            query: '"q3 migration"',
+            expected: ['planning-1 transcript 0', 'standup-1 transcript 5', 'standup-1 summary 5']
+        },
+        {
+            name: 'phrase and word must both match the same segment',
+            query: '"Q3 migration" date',
+            expected: ['standup-1 transcript 5']
+        },
+        {
+            name: 'words of a phrase must be next to each other',
+            query: '"migration data"',
+            expected: []
+        },
+        {
+            name: 'meeting by id',
+            query: 'migration',
+            filters: { meeting: 'planning' },
+            expected: ['planning-1 transcript 0']
+        },
+        {
+            name: 'meeting by name, ignoring case',
+            query: 'migration',
+            filters: { meeting: 'daily standup' },
+            expected: ['standup-1 transcript 5', 'standup-1 transcript 10', 'standup-1 summary 5']
+        },
+        {
+            name: 'unknown meeting',
+            query: 'migration',
+            filters: { meeting: 'Retro' },
+            expected: []
+        },
+        {
+            name: 'from date',
+            query: 'migration',
+            filters: { from: new Date('2026-10-10T00:00:00Z') },
+            expected: ['planning-1 transcript 0']
+        },
+        {
+            name: 'to date',
+            query: 'migration',
+            filters: { to: new Date('2026-10-10T00:00:00Z') },
+            expected: ['standup-1 transcript 5', 'standup-1 transcript 10', 'standup-1 summary 5']
+        },
+        {
+            name: 'date range including its ends',
+            query: 'q3',
+            filters: { from: new Date('2026-10-12T15:00:00Z'), to: new Date('2026-10-19T09:00:00Z') },
+            expected: ['planning-1 transcript 0']
+        },
+        {
+            name: 'limit',
+            query: 'migration',
+            filters: { limit: 2 },
+            expected: ['planning-1 transcript 0', 'standup-1 transcript 5']
+        },
+        {
+            name: 'no match',
+            query: 'deployment',
+            expected: []
+        }
+    ];
+
+    for (const { name, query, filters, expected } of cases) {
+        it(name, async () => {
+            const hits = await searchSessions(config, query, filters);
+            assert.deepEqual(hits.map((hit) => `${hit.sessionId} ${hit.source} ${hit.start}`), expected);
+        });
+    }
+
+    it('gives each hit the segments around it from the same source', async () => {
+        const [hit] = await searchSessions(config, 'date moved', { context: 2 });
+        assert.deepEqual(hit.before.map((document) => document.text), ['Morning everyone.']);
+        assert.deepEqual(hit.after.map((document) => document.text), ['Migration of Q3 data is next.']);
+
+        const [summary] = await searchSessions(config, 'finished');
+        assert.equal(summary.text, 'Q3 migration finished [00:05]');
+        assert.deepEqual(summary.before.map((document) => document.text), ['Summary']);
+        assert.deepEqual(summary.after, []);
+    });
+
+    it('rejects an empty query', async () => {
+        await assert.rejects(searchSessions(config, ' "" '), /Search query is empty/);
+    });
+
+    it('re-indexes one session, dropping the words it no longer has', async () => {
+        const session = SESSIONS[2];
+        await searchSessions(config, 'nothing');
+        const dir = await writeSession(config.recording.outputDir, { ...session, segments: ['The migration rollback is scheduled.'] });
+
+        await indexSession(config, dir);
+
+        assert.deepEqual(await searchSessions(config, 'nothing'), []);
+        const hits = await searchSessions(config, 'migration');
+        assert.deepEqual(hits.map((hit) => hit.sessionId), ['standup-2', 'planning-1', 'standup-1', 'standup-1', 'standup-1']);
+
+        const index = JSON.parse(await fs.readFile(path.join(config.recording.outputDir, '.search-index.json'), 'utf-8'));
+        assert.equal(index.terms.nothing, undefined);
+        assert.deepEqual(index.terms.migration.sort(), ['planning-1', 'standup-1', 'standup-2']);
+    });
+});
+
+describe('parseQuery', () => {
+    const cases = [
+        { query: '"Q3 migration" date', expected: [['q3', 'migration'], ['date']] },
+        { query: 'standup, notes', expected: [['standup'], ['notes']] },
+        { query: '"unclosed phrase', expected: [['unclosed', 'phrase']] },
+        { query: '"" ?', expected: [] }
+    ];
+
+    for (const { query, expected } of cases) {
+        it(query, () => {
+            assert.deepEqual(parseQuery(query), expected);
+        });
+    }
+});